@@ -0,0 +1,160 @@
+/**
+ * Admin API for usage analytics over api_requests and device_bindings
+ * GET ?from=2024-05-01&to=2024-05-08 (default: the last 7 days; `to` is exclusive)
+ *     &top=20          - number of top consumers
+ *     &format=csv&report=endpoints|licenses|days|devices|versions|top (default: endpoints)
+ *
+ * JSON returns every report:
+ *   endpoints - requests and credits per endpoint
+ *   licenses  - requests and credits per license
+ *   days      - requests, credits and active devices per UTC day
+ *   devices   - daily active devices (devices making proxied API requests)
+ *   versions  - extension versions reported to /api/validate, by devices seen in the range
+ *   top       - heaviest licenses by credits
+ *
+ * Grouping happens in the database (the api_request_usage_report RPC, see supabase/migrations), so
+ * every request in the range is counted. CSV cells that a spreadsheet would read as a formula are
+ * prefixed with ' - license keys and user-reported versions end up in them.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.ANALYTICS_READ;
+const DEFAULT_RANGE_DAYS = 7;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    return await getReport(req, res);
+  } catch (error) {
+    console.error('[AdminAnalytics] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+// Parse ?from / ?to, returning { from, to } Dates or { error }
+function parseRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be ISO dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  return { from, to };
+}
+
+// Requests and devices in [from, to), grouped by the api_request_usage_report RPC
+async function fetchUsage(from, to) {
+  const { data, error } = await supabase.rpc('api_request_usage_report', {
+    p_from: from.toISOString(),
+    p_to: to.toISOString()
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+function buildReports(usage, top) {
+  const licenses = usage.licenses.map(row => ({
+    licenseKey: row.license_key,
+    requests: row.requests,
+    credits: row.credits,
+    devices: row.devices
+  }));
+
+  const days = usage.days.map(row => ({
+    day: row.day,
+    requests: row.requests,
+    credits: row.credits,
+    activeDevices: row.active_devices
+  }));
+
+  return {
+    endpoints: usage.endpoints,
+    licenses,
+    days,
+    devices: days.map(({ day, activeDevices }) => ({ day, activeDevices })),
+    versions: usage.versions,
+    top: licenses.slice(0, top)
+  };
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+async function getReport(req, res) {
+  const { from, to, error: rangeError } = parseRange(req.query);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  const top = Math.min(parseInt(req.query.top) || 20, 200);
+
+  const usage = await fetchUsage(from, to);
+  const reports = buildReports(usage, top);
+
+  if (req.query.format === 'csv') {
+    const report = req.query.report || 'endpoints';
+    if (!Object.hasOwn(reports, report)) {
+      return res.status(400).json({ error: `Unknown report. Use one of: ${Object.keys(reports).join(', ')}` });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${report}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv"`);
+    return res.status(200).send(toCsv(reports[report]));
+  }
+
+  return res.status(200).json({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: {
+      requests: usage.totals.requests,
+      credits: usage.totals.credits,
+      devicesSeen: usage.totals.devices_seen
+    },
+    ...reports
+  });
+}
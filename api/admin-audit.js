@@ -0,0 +1,93 @@
+/**
+ * Admin API for the audit log (read-only - audit_events is append-only, see lib/audit.js)
+ * GET: Query events, newest first
+ *   ?actor=...&actorType=admin|device
+ *   ?target=...&targetType=license|extension_version|shared_config|signing_key|maintenance_window|admin_token
+ *   ?action=version.upsert
+ *   ?from=2024-01-01T00:00:00Z&to=2024-02-01T00:00:00Z
+ *   ?page=1&limit=50
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.AUDIT_READ;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    return await listEvents(req, res);
+  } catch (error) {
+    console.error('[AdminAudit] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+async function listEvents(req, res) {
+  const { actor, actorType, target, targetType, action, from, to } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('audit_events')
+    .select('*', { count: 'exact' });
+
+  if (actor) query = query.eq('actor_id', actor);
+  if (actorType) query = query.eq('actor_type', actorType);
+  if (target) query = query.eq('target_id', target);
+  if (targetType) query = query.eq('target_type', targetType);
+  if (action) query = query.eq('action', action);
+
+  for (const [param, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: `${param} must be an ISO date` });
+    }
+    query = param === 'from'
+      ? query.gte('created_at', date.toISOString())
+      : query.lt('created_at', date.toISOString());
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch audit events', details: error });
+  }
+
+  return res.status(200).json({
+    events: data || [],
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
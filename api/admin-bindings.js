@@ -0,0 +1,245 @@
+/**
+ * Admin API for device bindings (support console)
+ * GET: List bindings
+ *   ?key=HONED-... - one license, plus its transfer history and operator notes
+ *   ?deviceId=...  - bindings for a device
+ *   ?endpoint=twitter - by last_endpoint
+ *   ?staleDays=30  - not seen in N days (never-seen bindings included)
+ *   ?churn=true    - keys seen from many IPs / user agents (&churnDays=7&minIps=3&minUserAgents=3)
+ *   ?page=1&limit=50
+ * POST { action: 'reset', key, deviceId? }: Remove the binding(s) so the user can activate again
+ * POST { action: 'note', key, deviceId?, note, author? }: Attach an operator note
+ *
+ * Churn is computed from api_requests, which the proxy handlers write on every request, by the
+ * api_request_churn RPC (supabase/migrations) so every row in the range is counted.
+ * Notes live in device_binding_notes so they survive a reset.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { recordAuditEvents, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.LICENSES_WRITE;
+
+const BINDING_COLUMNS = 'license_key, device_id, bound_at, last_seen, last_ip, last_user_agent, last_endpoint, refresh_token_expires_at';
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listBindings(req, res);
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || req.body?.action;
+
+      switch (action) {
+        case 'reset':
+          return await resetBinding(req, res);
+        case 'note':
+          return await addNote(req, res);
+        default:
+          return res.status(400).json({ error: 'Invalid action' });
+      }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[AdminBindings] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+// Distinct IPs / user agents per license key in api_requests since `since`, grouped in SQL
+async function getChurn(since, { minIps, minUserAgents }) {
+  const { data, error } = await supabase.rpc('api_request_churn', {
+    p_since: since.toISOString(),
+    p_min_ips: minIps,
+    p_min_user_agents: minUserAgents
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const churn = {};
+  for (const row of data || []) {
+    churn[row.license_key] = {
+      distinctIps: row.distinct_ips,
+      distinctUserAgents: row.distinct_user_agents,
+      requests: row.requests
+    };
+  }
+
+  return churn;
+}
+
+async function listBindings(req, res) {
+  const { key, deviceId, endpoint, staleDays, churn } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('device_bindings')
+    .select(BINDING_COLUMNS, { count: 'exact' });
+
+  if (key) query = query.eq('license_key', key);
+  if (deviceId) query = query.eq('device_id', deviceId);
+  if (endpoint) query = query.eq('last_endpoint', endpoint);
+
+  if (staleDays !== undefined) {
+    const days = parseInt(staleDays);
+    if (isNaN(days) || days < 1) {
+      return res.status(400).json({ error: 'staleDays must be a positive integer' });
+    }
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    query = query.or(`last_seen.is.null,last_seen.lt.${cutoff}`);
+  }
+
+  let churnByKey = null;
+  if (churn === 'true') {
+    const churnDays = parseInt(req.query.churnDays) || 7;
+    const since = new Date(Date.now() - churnDays * 24 * 60 * 60 * 1000);
+    churnByKey = await getChurn(since, {
+      minIps: parseInt(req.query.minIps) || 3,
+      minUserAgents: parseInt(req.query.minUserAgents) || 3
+    });
+
+    const keys = Object.keys(churnByKey);
+    if (keys.length === 0) {
+      return res.status(200).json({ bindings: [], pagination: { page, limit, total: 0, totalPages: 0 } });
+    }
+    query = query.in('license_key', keys);
+  }
+
+  const { data, error, count } = await query
+    .order('last_seen', { ascending: false, nullsFirst: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch bindings', details: error });
+  }
+
+  const response = {
+    bindings: (data || []).map(binding => ({
+      ...binding,
+      ...(churnByKey ? { churn: churnByKey[binding.license_key] } : {})
+    })),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  };
+
+  // Single-license view: add what support needs to explain a DEVICE_MISMATCH
+  if (key) {
+    const [{ data: license }, { data: transfers }, { data: notes }] = await Promise.all([
+      supabase.from('license_keys').select('key, revoked, expires_at, tier, max_devices').eq('key', key).single(),
+      supabase.from('device_transfers').select('*').eq('license_key', key).order('transferred_at', { ascending: false }),
+      supabase.from('device_binding_notes').select('*').eq('license_key', key).order('created_at', { ascending: false })
+    ]);
+
+    response.license = license || null;
+    response.transfers = transfers || [];
+    response.notes = notes || [];
+  }
+
+  return res.status(200).json(response);
+}
+
+async function resetBinding(req, res) {
+  const { key, deviceId } = req.body || {};
+
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  // Without a deviceId every binding for the key is removed
+  let query = supabase
+    .from('device_bindings')
+    .delete()
+    .eq('license_key', key);
+
+  if (deviceId) {
+    query = query.eq('device_id', deviceId);
+  }
+
+  const { data, error } = await query.select(BINDING_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to reset binding', details: error.message });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Binding not found' });
+  }
+
+  await recordAuditEvents(req, data.map(binding => ({
+    actor: getAdminActor(req),
+    action: 'binding.reset',
+    target: { type: 'license', id: key },
+    before: binding
+  })));
+
+  const removed = data.map(row => row.device_id);
+  console.log(`[AdminBindings] Reset ${key.substring(0, 8)}... - removed ${removed.join(', ')}`);
+
+  return res.status(200).json({
+    success: true,
+    message: `${removed.length} binding${removed.length !== 1 ? 's' : ''} removed. The user can activate again.`,
+    removed
+  });
+}
+
+async function addNote(req, res) {
+  const { key, deviceId, note, author } = req.body || {};
+
+  if (!key || !note) {
+    return res.status(400).json({ error: 'key and note are required' });
+  }
+
+  const { data, error } = await supabase
+    .from('device_binding_notes')
+    .insert({
+      license_key: key,
+      device_id: deviceId || null,
+      note,
+      author: author || null,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[AdminBindings] Note insert error:', error);
+    return res.status(500).json({ error: 'Failed to add note', details: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Note added successfully',
+    note: data
+  });
+}
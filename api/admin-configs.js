@@ -0,0 +1,169 @@
+/**
+ * Admin API for moderating shared configs
+ * GET: List configs (?public=true|false, ?deviceId=..., ?page=1&limit=50) - without config_data
+ * PATCH { id, isPublic }: Change visibility (e.g. unpublish an abusive config)
+ * DELETE ?id=...: Remove a config
+ *
+ * Owners manage their own configs through /api/config-share; this route bypasses ownership.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.CONFIGS_MODERATE;
+const CONFIG_COLUMNS = 'id, device_id, display_name, description, is_public, admins_count, tweets_count, blacklist_count, config_size_bytes, view_count, copy_count, created_at';
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, PATCH, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await listConfigs(req, res);
+
+      case 'PATCH':
+        return await setVisibility(req, res);
+
+      case 'DELETE':
+        return await deleteConfig(req, res);
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[AdminConfigs] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+async function listConfigs(req, res) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('shared_configs')
+    .select(CONFIG_COLUMNS, { count: 'exact' });
+
+  if (req.query.public === 'true' || req.query.public === 'false') {
+    query = query.eq('is_public', req.query.public === 'true');
+  }
+
+  if (req.query.deviceId) {
+    query = query.eq('device_id', req.query.deviceId);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch configs', details: error });
+  }
+
+  return res.status(200).json({
+    configs: data || [],
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
+
+async function setVisibility(req, res) {
+  const { id, isPublic } = req.body || {};
+
+  if (!id || typeof isPublic !== 'boolean') {
+    return res.status(400).json({ error: 'id and isPublic are required' });
+  }
+
+  const { data: before } = await supabase
+    .from('shared_configs')
+    .select(CONFIG_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!before) {
+    return res.status(404).json({ error: 'Config not found' });
+  }
+
+  const { data, error } = await supabase
+    .from('shared_configs')
+    .update({ is_public: isPublic })
+    .eq('id', id)
+    .select(CONFIG_COLUMNS)
+    .single();
+
+  if (error || !data) {
+    return res.status(500).json({ error: 'Failed to update config', details: error?.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'config.moderate_visibility',
+    target: { type: 'shared_config', id },
+    before,
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Config ${isPublic ? 'published' : 'unpublished'} successfully`,
+    config: data
+  });
+}
+
+async function deleteConfig(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'id query parameter is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('shared_configs')
+    .delete()
+    .eq('id', id)
+    .select(CONFIG_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to delete config', details: error });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Config not found' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'config.moderate_delete',
+    target: { type: 'shared_config', id },
+    before: data[0]
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Config deleted successfully'
+  });
+}
@@ -0,0 +1,291 @@
+/**
+ * Admin API for rotating the JWT signing key ring
+ * GET: List keys (public metadata only)
+ * POST { action: 'generate', alg? }: Create a pending key (published in the JWKS, not signing yet)
+ * POST { action: 'promote', kid }: Make a key the signing key; the previous one keeps verifying
+ * POST { action: 'retire', kid }: Stop accepting a verify-only key once its tokens have expired
+ *
+ * Rotation: generate -> wait for JWKS consumers to pick it up -> promote -> retire the old key.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { randomBytes } from 'crypto';
+import { ACCESS_TOKEN_TTL_SECONDS } from '../lib/tokens.js';
+import {
+  KEY_RING_CACHE_SECONDS,
+  generateSigningKeyPair,
+  getEnvKeyInfo,
+  clearKeyRingCache
+} from '../lib/keyring.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.KEYS_WRITE;
+
+// A demoted key may still have tokens in flight on instances with a stale key ring cache
+const RETIRE_AFTER_SECONDS = ACCESS_TOKEN_TTL_SECONDS + KEY_RING_CACHE_SECONDS;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listKeys(res);
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || req.body?.action;
+
+      switch (action) {
+        case 'generate':
+          return await generateKey(req, res);
+        case 'promote':
+          return await promoteKey(req, res);
+        case 'retire':
+          return await retireKey(req, res);
+        default:
+          return res.status(400).json({ error: 'Invalid action' });
+      }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[AdminKeys] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  } finally {
+    // Pick up changes on this instance immediately; others reload within the cache window
+    clearKeyRingCache();
+  }
+}
+
+async function fetchKeys() {
+  const { data, error } = await supabase
+    .from('signing_keys')
+    .select('kid, alg, status, created_at, promoted_at, demoted_at, retired_at')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+async function listKeys(res) {
+  const keys = await fetchKeys();
+
+  // The env key is part of the ring until it has a signing_keys row
+  const envKey = getEnvKeyInfo();
+  const envKeyUntracked = envKey && !keys.some(key => key.kid === envKey.kid);
+
+  return res.status(200).json({
+    keys,
+    count: keys.length,
+    activeKey: keys.find(key => key.status === 'active')?.kid || (envKeyUntracked ? envKey.kid : null),
+    envKey: envKeyUntracked ? { kid: envKey.kid, alg: envKey.alg } : null
+  });
+}
+
+async function generateKey(req, res) {
+  const alg = req.body?.alg || 'EdDSA';
+
+  if (alg !== 'EdDSA' && alg !== 'ES256') {
+    return res.status(400).json({ error: 'alg must be EdDSA or ES256' });
+  }
+
+  const keyPair = generateSigningKeyPair(alg);
+  const kid = `honed-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${randomBytes(3).toString('hex')}`;
+
+  const { error } = await supabase
+    .from('signing_keys')
+    .insert({
+      kid,
+      alg: keyPair.alg,
+      status: 'pending',
+      private_key: keyPair.privateKey,
+      public_key: keyPair.publicKey,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('[AdminKeys] Insert error:', error);
+    return res.status(500).json({ error: 'Failed to create key', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'signing_key.generate',
+    target: { type: 'signing_key', id: kid },
+    after: { kid, alg: keyPair.alg, status: 'pending' }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Key ${kid} created. Promote it once JWKS consumers have refreshed.`,
+    kid,
+    alg: keyPair.alg
+  });
+}
+
+async function promoteKey(req, res) {
+  const { kid } = req.body || {};
+
+  if (!kid) {
+    return res.status(400).json({ error: 'kid is required' });
+  }
+
+  const { data: target, error: targetError } = await supabase
+    .from('signing_keys')
+    .select('kid, status, private_key')
+    .eq('kid', kid)
+    .single();
+
+  if (targetError || !target) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+
+  if (target.status === 'active') {
+    return res.status(200).json({ success: true, message: `Key ${kid} is already active` });
+  }
+
+  if (target.status === 'retired' || !target.private_key) {
+    return res.status(409).json({ error: 'Retired keys cannot be promoted' });
+  }
+
+  const now = new Date().toISOString();
+  const keys = await fetchKeys();
+  const previousActive = keys.find(key => key.status === 'active');
+
+  // Promote first so there is never a moment without an active key
+  const { error: promoteError } = await supabase
+    .from('signing_keys')
+    .update({ status: 'active', promoted_at: now, demoted_at: null })
+    .eq('kid', kid);
+
+  if (promoteError) {
+    return res.status(500).json({ error: 'Failed to promote key', details: promoteError.message });
+  }
+
+  if (previousActive) {
+    const { error: demoteError } = await supabase
+      .from('signing_keys')
+      .update({ status: 'verify', demoted_at: now })
+      .eq('kid', previousActive.kid);
+
+    if (demoteError) {
+      return res.status(500).json({ error: 'Failed to demote previous key', details: demoteError.message });
+    }
+  } else {
+    // First promotion - record the env key (public half only) so it can be retired later
+    const envKey = getEnvKeyInfo();
+    if (envKey && !keys.some(key => key.kid === envKey.kid)) {
+      const { error: envError } = await supabase
+        .from('signing_keys')
+        .insert({
+          kid: envKey.kid,
+          alg: envKey.alg,
+          status: 'verify',
+          private_key: null,
+          public_key: envKey.publicKey,
+          created_at: now,
+          demoted_at: now
+        });
+
+      if (envError) {
+        return res.status(500).json({ error: 'Failed to record env key', details: envError.message });
+      }
+    }
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'signing_key.promote',
+    target: { type: 'signing_key', id: kid },
+    before: { status: target.status, activeKid: previousActive?.kid || null },
+    after: { status: 'active', activeKid: kid }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Key ${kid} is now the signing key`,
+    previousKid: previousActive?.kid || null,
+    retireAfter: new Date(Date.now() + RETIRE_AFTER_SECONDS * 1000).toISOString()
+  });
+}
+
+async function retireKey(req, res) {
+  const { kid, force } = req.body || {};
+
+  if (!kid) {
+    return res.status(400).json({ error: 'kid is required' });
+  }
+
+  const { data: target, error: targetError } = await supabase
+    .from('signing_keys')
+    .select('kid, status, demoted_at')
+    .eq('kid', kid)
+    .single();
+
+  if (targetError || !target) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+
+  if (target.status === 'active') {
+    return res.status(409).json({ error: 'Promote another key before retiring the active key' });
+  }
+
+  if (target.status === 'retired') {
+    return res.status(200).json({ success: true, message: `Key ${kid} is already retired` });
+  }
+
+  // Tokens signed by a demoted key stay valid until they expire
+  if (target.status === 'verify' && !force) {
+    const retireAfter = new Date(new Date(target.demoted_at).getTime() + RETIRE_AFTER_SECONDS * 1000);
+    if (retireAfter > new Date()) {
+      return res.status(409).json({
+        error: 'Key may still have unexpired tokens',
+        retireAfter: retireAfter.toISOString()
+      });
+    }
+  }
+
+  // Drop the private key - a retired key never signs again
+  const { error } = await supabase
+    .from('signing_keys')
+    .update({ status: 'retired', retired_at: new Date().toISOString(), private_key: null })
+    .eq('kid', kid);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to retire key', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'signing_key.retire',
+    target: { type: 'signing_key', id: kid },
+    before: { status: target.status, demoted_at: target.demoted_at },
+    after: { status: 'retired', forced: Boolean(force) }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Key ${kid} retired successfully`
+  });
+}
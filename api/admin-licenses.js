@@ -0,0 +1,402 @@
+/**
+ * Admin API for managing license keys
+ * GET: Search keys (?prefix=HONED-AB, ?deviceId=..., ?revoked=true|false, ?page=1&limit=50)
+ * POST { action: 'generate', count, prefix?, expires_at? | months?, tier?, max_devices?, release_channel?,
+ *        daily_credit_limit?, monthly_credit_limit? }
+ * POST { action: 'revoke' | 'unrevoke', keys: [...] }
+ * POST { action: 'extend', key, months, reason? } - also records a license_extensions row
+ * POST { action: 'update', key, tier?, entitlements?, max_devices?, release_channel?,
+ *        daily_credit_limit?, monthly_credit_limit? } - credit limits override the tier default; null resets
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { TIER_ENTITLEMENTS } from '../lib/entitlements.js';
+import { RELEASE_CHANNELS } from '../lib/releases.js';
+import { generateLicenseKey, addMonths } from '../lib/license.js';
+import { recordAuditEvent, recordAuditEvents, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.LICENSES_WRITE;
+
+const MAX_GENERATE_COUNT = 500;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await searchLicenses(req, res);
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || req.body?.action;
+
+      switch (action) {
+        case 'generate':
+          return await generateLicenses(req, res);
+        case 'revoke':
+          return await setRevoked(req, res, true);
+        case 'unrevoke':
+          return await setRevoked(req, res, false);
+        case 'extend':
+          return await extendLicense(req, res);
+        case 'update':
+          return await updateLicense(req, res);
+        default:
+          return res.status(400).json({ error: 'Invalid action' });
+      }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[AdminLicenses] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+// Validate tier / entitlements / max_devices / release_channel / credit limits, returning an error message or null
+function validateLicenseFields({ tier, entitlements, max_devices, release_channel, daily_credit_limit, monthly_credit_limit }) {
+  if (tier !== undefined && tier !== null && !TIER_ENTITLEMENTS[tier]) {
+    return `Unknown tier. Use one of: ${Object.keys(TIER_ENTITLEMENTS).join(', ')}`;
+  }
+  if (entitlements !== undefined && entitlements !== null && !Array.isArray(entitlements)) {
+    return 'entitlements must be an array or null';
+  }
+  if (max_devices !== undefined && (!Number.isInteger(max_devices) || max_devices < 1)) {
+    return 'max_devices must be a positive integer';
+  }
+  if (release_channel !== undefined && !RELEASE_CHANNELS.includes(release_channel)) {
+    return `Invalid release_channel. Use one of: ${RELEASE_CHANNELS.join(', ')}`;
+  }
+  for (const [name, value] of [['daily_credit_limit', daily_credit_limit], ['monthly_credit_limit', monthly_credit_limit]]) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      return `${name} must be a non-negative integer or null`;
+    }
+  }
+  return null;
+}
+
+async function searchLicenses(req, res) {
+  const { prefix, deviceId, revoked } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('license_keys')
+    .select('*', { count: 'exact' });
+
+  if (prefix) {
+    // Escape LIKE wildcards so the prefix is matched literally
+    query = query.ilike('key', `${prefix.replace(/[%_\\]/g, '\\$&')}%`);
+  }
+
+  if (revoked === 'true' || revoked === 'false') {
+    query = query.eq('revoked', revoked === 'true');
+  }
+
+  if (deviceId) {
+    const { data: bindings, error: bindingsError } = await supabase
+      .from('device_bindings')
+      .select('license_key')
+      .eq('device_id', deviceId);
+
+    if (bindingsError) {
+      return res.status(500).json({ error: 'Failed to search device bindings', details: bindingsError });
+    }
+
+    const keys = (bindings || []).map(binding => binding.license_key);
+    if (keys.length === 0) {
+      return res.status(200).json({ licenses: [], pagination: { page, limit, total: 0, totalPages: 0 } });
+    }
+    query = query.in('key', keys);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch licenses', details: error });
+  }
+
+  // Attach bound devices so support can see who holds each seat
+  const licenseKeys = (data || []).map(license => license.key);
+  let bindingsByKey = {};
+  if (licenseKeys.length > 0) {
+    const { data: bindings } = await supabase
+      .from('device_bindings')
+      .select('license_key, device_id, bound_at, last_seen, last_endpoint')
+      .in('license_key', licenseKeys);
+
+    bindingsByKey = (bindings || []).reduce((acc, binding) => {
+      (acc[binding.license_key] = acc[binding.license_key] || []).push(binding);
+      return acc;
+    }, {});
+  }
+
+  return res.status(200).json({
+    licenses: (data || []).map(license => ({
+      ...license,
+      devices: bindingsByKey[license.key] || []
+    })),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
+
+async function generateLicenses(req, res) {
+  const { count, prefix, expires_at, months, tier, entitlements, max_devices, release_channel, daily_credit_limit, monthly_credit_limit } = req.body;
+  const keyPrefix = (prefix || 'HONED').toUpperCase();
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATE_COUNT) {
+    return res.status(400).json({ error: `count must be an integer between 1 and ${MAX_GENERATE_COUNT}` });
+  }
+
+  if (!/^[A-Z0-9]{1,12}$/.test(keyPrefix)) {
+    return res.status(400).json({ error: 'prefix must be 1-12 letters or digits' });
+  }
+
+  const fieldsError = validateLicenseFields({ tier, entitlements, max_devices, release_channel, daily_credit_limit, monthly_credit_limit });
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  // Expiry: explicit date, N months from now, or lifetime
+  let expiresAt = null;
+  if (expires_at) {
+    expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime())) {
+      return res.status(400).json({ error: 'expires_at must be an ISO date' });
+    }
+  } else if (months !== undefined) {
+    if (!Number.isInteger(months) || months < 1) {
+      return res.status(400).json({ error: 'months must be a positive integer' });
+    }
+    expiresAt = addMonths(new Date(), months);
+  }
+
+  const now = new Date().toISOString();
+  const keys = new Set();
+  while (keys.size < count) {
+    keys.add(generateLicenseKey(keyPrefix));
+  }
+
+  const rows = [...keys].map(key => ({
+    key,
+    revoked: false,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    tier: tier || null,
+    entitlements: entitlements || null,
+    max_devices: max_devices || 1,
+    release_channel: release_channel || null,
+    daily_credit_limit: daily_credit_limit ?? null,
+    monthly_credit_limit: monthly_credit_limit ?? null,
+    created_at: now
+  }));
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .insert(rows)
+    .select('key, expires_at, tier, max_devices, release_channel');
+
+  if (error) {
+    console.error('[AdminLicenses] Insert error:', error);
+    return res.status(500).json({ error: 'Failed to generate licenses', details: error.message });
+  }
+
+  await recordAuditEvents(req, data.map(license => ({
+    actor: getAdminActor(req),
+    action: 'license.generate',
+    target: { type: 'license', id: license.key },
+    after: license
+  })));
+
+  return res.status(200).json({
+    success: true,
+    message: `${data.length} license key${data.length !== 1 ? 's' : ''} generated successfully`,
+    licenses: data
+  });
+}
+
+async function setRevoked(req, res, revoked) {
+  const { key } = req.body;
+  const keys = req.body.keys || (key ? [key] : []);
+
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return res.status(400).json({ error: 'keys is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .update({ revoked })
+    .in('key', keys)
+    .select('key');
+
+  if (error) {
+    return res.status(500).json({ error: `Failed to ${revoked ? 'revoke' : 'unrevoke'} licenses`, details: error.message });
+  }
+
+  const updated = (data || []).map(row => row.key);
+
+  await recordAuditEvents(req, updated.map(updatedKey => ({
+    actor: getAdminActor(req),
+    action: revoked ? 'license.revoke' : 'license.unrevoke',
+    target: { type: 'license', id: updatedKey },
+    after: { revoked }
+  })));
+
+  return res.status(200).json({
+    success: true,
+    message: `${updated.length} license key${updated.length !== 1 ? 's' : ''} ${revoked ? 'revoked' : 'unrevoked'}`,
+    updated,
+    notFound: keys.filter(k => !updated.includes(k))
+  });
+}
+
+async function extendLicense(req, res) {
+  const { key, months, reason } = req.body;
+
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  if (!Number.isInteger(months) || months < 1) {
+    return res.status(400).json({ error: 'months must be a positive integer' });
+  }
+
+  const { data: license, error: fetchError } = await supabase
+    .from('license_keys')
+    .select('key, expires_at')
+    .eq('key', key)
+    .single();
+
+  if (fetchError || !license) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+
+  if (!license.expires_at) {
+    return res.status(400).json({ error: 'License has no expiry (lifetime license)' });
+  }
+
+  // Extend from the current expiry, or from now if it has already lapsed
+  const currentExpiry = new Date(license.expires_at);
+  const base = currentExpiry > new Date() ? currentExpiry : new Date();
+  const newExpiry = addMonths(base, months);
+
+  const { error: updateError } = await supabase
+    .from('license_keys')
+    .update({ expires_at: newExpiry.toISOString() })
+    .eq('key', key);
+
+  if (updateError) {
+    return res.status(500).json({ error: 'Failed to extend license', details: updateError.message });
+  }
+
+  const { error: historyError } = await supabase
+    .from('license_extensions')
+    .insert({
+      license_key: key,
+      months_added: months,
+      reason: reason || 'manual',
+      created_at: new Date().toISOString()
+    });
+
+  if (historyError) {
+    console.error('[AdminLicenses] Extension history error:', historyError);
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'license.extend',
+    target: { type: 'license', id: key },
+    before: { expires_at: license.expires_at },
+    after: { expires_at: newExpiry.toISOString(), months_added: months, reason: reason || 'manual' }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `License extended by ${months} month${months !== 1 ? 's' : ''}`,
+    key,
+    previousExpiresAt: license.expires_at,
+    expiresAt: newExpiry.toISOString()
+  });
+}
+
+async function updateLicense(req, res) {
+  const { key, tier, entitlements, max_devices, release_channel, daily_credit_limit, monthly_credit_limit } = req.body;
+
+  if (!key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  const fieldsError = validateLicenseFields({ tier, entitlements, max_devices, release_channel, daily_credit_limit, monthly_credit_limit });
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const updates = {};
+  if (tier !== undefined) updates.tier = tier;
+  if (entitlements !== undefined) updates.entitlements = entitlements;
+  if (max_devices !== undefined) updates.max_devices = max_devices;
+  if (release_channel !== undefined) updates.release_channel = release_channel;
+  if (daily_credit_limit !== undefined) updates.daily_credit_limit = daily_credit_limit;
+  if (monthly_credit_limit !== undefined) updates.monthly_credit_limit = monthly_credit_limit;
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const { data: before } = await supabase
+    .from('license_keys')
+    .select(Object.keys(updates).join(', '))
+    .eq('key', key)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .update(updates)
+    .eq('key', key)
+    .select()
+    .single();
+
+  if (error || !data) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'license.update',
+    target: { type: 'license', id: key },
+    before: before || null,
+    after: updates
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'License updated successfully',
+    license: data
+  });
+}
@@ -0,0 +1,243 @@
+/**
+ * Admin API for scheduled maintenance windows
+ * GET: List windows (?active=true for windows that are running or scheduled)
+ * POST: Create a window
+ * PATCH: Update a window (e.g. end it early with ends_at or is_active: false)
+ * DELETE: Remove a window
+ *
+ * Scopes (endpoints, versions, tiers) are arrays; leave one empty to match everything.
+ * Handlers pick up changes within MAINTENANCE_CACHE_SECONDS (see lib/maintenance.js).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { TIER_ENTITLEMENTS } from '../lib/entitlements.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.MAINTENANCE_WRITE;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, PATCH, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await listWindows(req, res);
+
+      case 'POST':
+        return await createWindow(req, res);
+
+      case 'PATCH':
+        return await updateWindow(req, res);
+
+      case 'DELETE':
+        return await deleteWindow(req, res);
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[AdminMaintenance] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+// Validate and normalize window fields, returning { fields } or { error }
+function parseWindowFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.message !== undefined) fields.message = body.message || null;
+
+  for (const column of ['starts_at', 'ends_at']) {
+    if (body[column] === undefined) continue;
+    if (body[column] === null) {
+      fields[column] = null;
+      continue;
+    }
+    const date = new Date(body[column]);
+    if (isNaN(date.getTime())) {
+      return { error: `${column} must be an ISO date` };
+    }
+    fields[column] = date.toISOString();
+  }
+
+  for (const column of ['endpoints', 'versions', 'tiers']) {
+    if (body[column] === undefined) continue;
+    if (body[column] !== null && !Array.isArray(body[column])) {
+      return { error: `${column} must be an array` };
+    }
+    fields[column] = body[column] && body[column].length > 0 ? body[column] : null;
+  }
+
+  const unknownTier = fields.tiers?.find(tier => !TIER_ENTITLEMENTS[tier]);
+  if (unknownTier) {
+    return { error: `Unknown tier: ${unknownTier}` };
+  }
+
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  if (!partial && !fields.starts_at) {
+    // Default to starting immediately
+    fields.starts_at = new Date().toISOString();
+  }
+
+  if (fields.starts_at && fields.ends_at && fields.ends_at <= fields.starts_at) {
+    return { error: 'ends_at must be after starts_at' };
+  }
+
+  return { fields };
+}
+
+async function listWindows(req, res) {
+  let query = supabase
+    .from('maintenance_windows')
+    .select('*')
+    .order('starts_at', { ascending: false });
+
+  if (req.query.active === 'true') {
+    query = query
+      .eq('is_active', true)
+      .or(`ends_at.is.null,ends_at.gt.${new Date().toISOString()}`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch maintenance windows', details: error });
+  }
+
+  return res.status(200).json({
+    windows: data || [],
+    count: data?.length || 0
+  });
+}
+
+async function createWindow(req, res) {
+  const { fields, error: fieldsError } = parseWindowFields(req.body || {});
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const { data, error } = await supabase
+    .from('maintenance_windows')
+    .insert({
+      is_active: true,
+      ...fields,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[AdminMaintenance] Insert error:', error);
+    return res.status(500).json({ error: 'Failed to create maintenance window', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'maintenance.create',
+    target: { type: 'maintenance_window', id: data.id },
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Maintenance window created successfully',
+    window: data
+  });
+}
+
+async function updateWindow(req, res) {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const { fields, error: fieldsError } = parseWindowFields(req.body, { partial: true });
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const { data: before } = await supabase
+    .from('maintenance_windows')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('maintenance_windows')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error || !data) {
+    return res.status(404).json({ error: 'Maintenance window not found' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'maintenance.update',
+    target: { type: 'maintenance_window', id },
+    before: before || null,
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Maintenance window updated successfully',
+    window: data
+  });
+}
+
+async function deleteWindow(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'id query parameter is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('maintenance_windows')
+    .delete()
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to delete maintenance window', details: error });
+  }
+
+  if (data && data.length > 0) {
+    await recordAuditEvent(req, {
+      actor: getAdminActor(req),
+      action: 'maintenance.delete',
+      target: { type: 'maintenance_window', id },
+      before: data[0]
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Maintenance window deleted successfully'
+  });
+}
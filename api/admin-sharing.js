@@ -0,0 +1,232 @@
+/**
+ * Admin API for account-sharing flags (see lib/sharing.js)
+ * GET: List flags (?status=open|dismissed|suspended, ?key=..., ?page=1&limit=50), highest score first
+ * POST { action: 'scan' }: Run the scan now
+ * POST { action: 'dismiss', id, reason? }: Close a flag as a false positive
+ * POST { action: 'suspend', id }: Revoke the flagged license
+ * POST { action: 'unsuspend', id }: Restore a license suspended for sharing
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+import { scanForSharing, suspendForSharing, getSharingConfig } from '../lib/sharing.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.LICENSES_WRITE;
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listFlags(req, res);
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || req.body?.action;
+
+      switch (action) {
+        case 'scan':
+          return await runScan(req, res);
+        case 'dismiss':
+          return await dismissFlag(req, res);
+        case 'suspend':
+          return await suspendFlag(req, res);
+        case 'unsuspend':
+          return await unsuspendFlag(req, res);
+        default:
+          return res.status(400).json({ error: 'Invalid action' });
+      }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[AdminSharing] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+async function fetchFlag(id) {
+  const { data } = await supabase
+    .from('sharing_flags')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  return data;
+}
+
+async function listFlags(req, res) {
+  const { status, key } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('sharing_flags')
+    .select('*', { count: 'exact' });
+
+  if (status) query = query.eq('status', status);
+  if (key) query = query.eq('license_key', key);
+
+  const { data, error, count } = await query
+    .order('score', { ascending: false })
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch sharing flags', details: error });
+  }
+
+  return res.status(200).json({
+    flags: data || [],
+    config: getSharingConfig(),
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
+
+async function runScan(req, res) {
+  const result = await scanForSharing(req);
+
+  return res.status(200).json({
+    success: true,
+    message: `Scanned ${result.scanned} licenses`,
+    scanned: result.scanned,
+    flagged: result.flagged,
+    suspended: result.suspended
+  });
+}
+
+async function dismissFlag(req, res) {
+  const { id, reason } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const flag = await fetchFlag(id);
+  if (!flag) {
+    return res.status(404).json({ error: 'Flag not found' });
+  }
+
+  if (flag.status !== 'open') {
+    return res.status(409).json({ error: `Flag is already ${flag.status}` });
+  }
+
+  const { error } = await supabase
+    .from('sharing_flags')
+    .update({ status: 'dismissed', updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to dismiss flag', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'sharing_flag.dismiss',
+    target: { type: 'license', id: flag.license_key },
+    before: { status: flag.status, score: flag.score },
+    after: { status: 'dismissed', reason: reason || null }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Flag dismissed'
+  });
+}
+
+async function suspendFlag(req, res) {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const flag = await fetchFlag(id);
+  if (!flag) {
+    return res.status(404).json({ error: 'Flag not found' });
+  }
+
+  if (flag.status === 'suspended') {
+    return res.status(200).json({ success: true, message: 'License is already suspended' });
+  }
+
+  await suspendForSharing(req, flag, getAdminActor(req));
+
+  return res.status(200).json({
+    success: true,
+    message: `License ${flag.license_key.substring(0, 8)}... suspended`
+  });
+}
+
+async function unsuspendFlag(req, res) {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const flag = await fetchFlag(id);
+  if (!flag) {
+    return res.status(404).json({ error: 'Flag not found' });
+  }
+
+  if (flag.status !== 'suspended') {
+    return res.status(409).json({ error: 'License was not suspended for this flag' });
+  }
+
+  const { error: licenseError } = await supabase
+    .from('license_keys')
+    .update({ revoked: false })
+    .eq('key', flag.license_key);
+
+  if (licenseError) {
+    return res.status(500).json({ error: 'Failed to restore license', details: licenseError.message });
+  }
+
+  const { error: flagError } = await supabase
+    .from('sharing_flags')
+    .update({ status: 'dismissed', updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (flagError) {
+    return res.status(500).json({ error: 'Failed to update flag', details: flagError.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'license.unsuspend_sharing',
+    target: { type: 'license', id: flag.license_key },
+    before: { revoked: true },
+    after: { revoked: false, flagId: flag.id }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `License ${flag.license_key.substring(0, 8)}... restored`
+  });
+}
@@ -0,0 +1,193 @@
+/**
+ * Admin API for admin API tokens
+ * GET: List tokens (never the token or its hash)
+ * POST { action: 'create', name, scopes: [...], expires_at? | days? }: Returns the raw token once
+ * POST { action: 'revoke', id }: Revoke a token immediately
+ *
+ * A token can only grant scopes it holds itself, and cannot create a token that outlives it.
+ * See lib/admin-auth.js for the scope list.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders, generateAdminToken } from '../lib/admin-auth.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.TOKENS_WRITE;
+const TOKEN_COLUMNS = 'id, name, scopes, expires_at, revoked_at, last_used_at, created_at';
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listTokens(res);
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || req.body?.action;
+
+      switch (action) {
+        case 'create':
+          return await createToken(req, res);
+        case 'revoke':
+          return await revokeToken(req, res);
+        default:
+          return res.status(400).json({ error: 'Invalid action' });
+      }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[AdminTokens] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+async function listTokens(res) {
+  const { data, error } = await supabase
+    .from('admin_tokens')
+    .select(TOKEN_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch tokens', details: error });
+  }
+
+  return res.status(200).json({
+    tokens: data || [],
+    count: data?.length || 0
+  });
+}
+
+async function createToken(req, res) {
+  const { name, scopes, expires_at, days } = req.body || {};
+  const knownScopes = Object.values(ADMIN_SCOPES);
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ error: 'scopes must be a non-empty array' });
+  }
+
+  const unknownScope = scopes.find(scope => !knownScopes.includes(scope));
+  if (unknownScope) {
+    return res.status(400).json({ error: `Unknown scope: ${unknownScope}. Use one of: ${knownScopes.join(', ')}` });
+  }
+
+  const ungrantable = scopes.filter(scope => !req.adminToken.scopes.includes(scope));
+  if (ungrantable.length > 0) {
+    return res.status(403).json({ error: `Cannot grant scopes you do not hold: ${ungrantable.join(', ')}` });
+  }
+
+  // Expiry: explicit date, N days from now, or none
+  let expiresAt = null;
+  if (expires_at) {
+    expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime())) {
+      return res.status(400).json({ error: 'expires_at must be an ISO date' });
+    }
+  } else if (days !== undefined) {
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (expiresAt && expiresAt <= new Date()) {
+    return res.status(400).json({ error: 'expires_at must be in the future' });
+  }
+
+  // A token that expires only creates tokens that expire by then
+  const callerExpiresAt = req.adminToken.expires_at ? new Date(req.adminToken.expires_at) : null;
+  if (callerExpiresAt && (!expiresAt || expiresAt > callerExpiresAt)) {
+    expiresAt = callerExpiresAt;
+  }
+
+  const { token, hash } = generateAdminToken();
+
+  const { data, error } = await supabase
+    .from('admin_tokens')
+    .insert({
+      name,
+      token_hash: hash,
+      scopes,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      created_at: new Date().toISOString()
+    })
+    .select(TOKEN_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[AdminTokens] Insert error:', error);
+    return res.status(500).json({ error: 'Failed to create token', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'admin_token.create',
+    target: { type: 'admin_token', id: data.id },
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Token created. Store it now - it cannot be shown again.',
+    token,
+    tokenInfo: data
+  });
+}
+
+async function revokeToken(req, res) {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('admin_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('revoked_at', null)
+    .select(TOKEN_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to revoke token', details: error.message });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Token not found or already revoked' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'admin_token.revoke',
+    target: { type: 'admin_token', id },
+    after: data[0]
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Token ${data[0].name} revoked successfully`
+  });
+}
@@ -2,42 +2,37 @@
  * Admin API for managing extension versions
  * GET: List all versions
  * POST: Create or update a version (uses upsert to avoid conflicts)
+ * PATCH: Change rollout_percentage, channel or is_active of an existing version
  * DELETE: Remove a version
+ *
+ * Each version belongs to a release channel (stable/beta) and is rolled out to
+ * rollout_percentage percent of devices on that channel (see lib/releases.js).
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { RELEASE_CHANNELS, DEFAULT_CHANNEL } from '../lib/releases.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+import { emitWebhookEvent, WEBHOOK_EVENTS } from '../lib/webhooks.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Simple admin auth check - in production, use proper authentication
-function isAdmin(req) {
-  const authHeader = req.headers.authorization;
-  const adminSecret = process.env.ADMIN_API_SECRET;
-  
-  if (!adminSecret) {
-    console.warn('[AdminVersions] No ADMIN_API_SECRET set, allowing all requests');
-    return true;
-  }
-  
-  return authHeader === `Bearer ${adminSecret}`;
-}
+const REQUIRED_SCOPE = ADMIN_SCOPES.VERSIONS_WRITE;
 
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // Check admin auth
-  if (!isAdmin(req)) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
   }
 
   try {
@@ -48,6 +43,9 @@ export default async function handler(req, res) {
       case 'POST':
       case 'PUT':
         return await upsertVersion(req, res);
+
+      case 'PATCH':
+        return await updateVersion(req, res);
       
       case 'DELETE':
         return await deleteVersion(req, res);
@@ -75,17 +73,53 @@ async function listVersions(res) {
   }
 
   // Get current active version
-  const activeVersion = data?.find(v => v.is_active);
+  const activeVersion = data?.find(v => v.is_active && (v.channel || DEFAULT_CHANNEL) === DEFAULT_CHANNEL);
+
+  // Newest active version per channel
+  const activeVersions = {};
+  for (const channel of RELEASE_CHANNELS) {
+    activeVersions[channel] = data?.find(v => v.is_active && (v.channel || DEFAULT_CHANNEL) === channel) || null;
+  }
 
   return res.status(200).json({
     versions: data || [],
     count: data?.length || 0,
-    activeVersion: activeVersion || null
+    activeVersion: activeVersion || null,
+    activeVersions
+  });
+}
+
+// Validate channel / rollout_percentage, returning an error message or null
+function validateRolloutFields({ channel, rollout_percentage }) {
+  if (channel !== undefined && !RELEASE_CHANNELS.includes(channel)) {
+    return `Invalid channel. Use one of: ${RELEASE_CHANNELS.join(', ')}`;
+  }
+
+  if (rollout_percentage !== undefined &&
+      (!Number.isInteger(rollout_percentage) || rollout_percentage < 0 || rollout_percentage > 100)) {
+    return 'rollout_percentage must be an integer between 0 and 100';
+  }
+
+  return null;
+}
+
+// Notify webhook subscribers when a save turns a version on
+async function notifyIfActivated(before, after) {
+  if (!after?.is_active || before?.is_active) {
+    return;
+  }
+
+  await emitWebhookEvent(WEBHOOK_EVENTS.VERSION_ACTIVATED, {
+    version: after.version,
+    channel: after.channel,
+    rolloutPercentage: after.rollout_percentage,
+    minimumVersion: after.minimum_version,
+    downloadUrl: after.download_url
   });
 }
 
 async function upsertVersion(req, res) {
-  const { version, minimum_version, download_url, is_active, release_notes } = req.body;
+  const { version, minimum_version, download_url, is_active, release_notes, channel, rollout_percentage } = req.body;
 
   if (!version) {
     return res.status(400).json({ error: 'version is required' });
@@ -98,6 +132,17 @@ async function upsertVersion(req, res) {
     });
   }
 
+  const rolloutError = validateRolloutFields({ channel, rollout_percentage });
+  if (rolloutError) {
+    return res.status(400).json({ error: rolloutError });
+  }
+
+  const { data: before } = await supabase
+    .from('extension_versions')
+    .select('*')
+    .eq('version', version)
+    .maybeSingle();
+
   const versionData = {
     version,
     minimum_version: minimum_version || '1.0',
@@ -107,13 +152,22 @@ async function upsertVersion(req, res) {
     updated_at: new Date().toISOString()
   };
 
+  // Re-saving a version must not reset a staged rollout - only new versions get the defaults
+  if (channel !== undefined || !before) {
+    versionData.channel = channel || DEFAULT_CHANNEL;
+  }
+  if (rollout_percentage !== undefined || !before) {
+    versionData.rollout_percentage = rollout_percentage ?? 100;
+  }
+
   // Use upsert to avoid duplicate key conflicts
   const { data, error } = await supabase
     .from('extension_versions')
     .upsert(versionData, { 
       onConflict: 'version',
       returning: 'representation'
-    });
+    })
+    .select();
 
   if (error) {
     console.error('[AdminVersions] Upsert error:', error);
@@ -123,13 +177,82 @@ async function upsertVersion(req, res) {
     });
   }
 
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'version.upsert',
+    target: { type: 'extension_version', id: version },
+    before: before || null,
+    after: data?.[0] || versionData
+  });
+
+  await notifyIfActivated(before, data?.[0] || versionData);
+
   return res.status(200).json({
     success: true,
-    message: `Version ${version} ${data ? 'updated' : 'created'} successfully`,
+    message: `Version ${version} ${before ? 'updated' : 'created'} successfully`,
     version: data?.[0] || versionData
   });
 }
 
+// Partial update, e.g. widening a staged rollout without resending the whole version
+async function updateVersion(req, res) {
+  const { version, channel, rollout_percentage, is_active } = req.body;
+
+  if (!version) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+
+  const rolloutError = validateRolloutFields({ channel, rollout_percentage });
+  if (rolloutError) {
+    return res.status(400).json({ error: rolloutError });
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (channel !== undefined) updates.channel = channel;
+  if (rollout_percentage !== undefined) updates.rollout_percentage = rollout_percentage;
+  if (is_active !== undefined) updates.is_active = is_active;
+
+  const { data: before } = await supabase
+    .from('extension_versions')
+    .select('*')
+    .eq('version', version)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('extension_versions')
+    .update(updates)
+    .eq('version', version)
+    .select();
+
+  if (error) {
+    console.error('[AdminVersions] Update error:', error);
+    return res.status(500).json({
+      error: 'Failed to update version',
+      details: error.message
+    });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: `Version ${version} not found` });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'version.update',
+    target: { type: 'extension_version', id: version },
+    before: before || null,
+    after: data[0]
+  });
+
+  await notifyIfActivated(before, data[0]);
+
+  return res.status(200).json({
+    success: true,
+    message: `Version ${version} updated successfully`,
+    version: data[0]
+  });
+}
+
 async function deleteVersion(req, res) {
   const { version } = req.query;
 
@@ -137,15 +260,25 @@ async function deleteVersion(req, res) {
     return res.status(400).json({ error: 'version query parameter is required' });
   }
 
-  const { error } = await supabase
+  const { data, error } = await supabase
     .from('extension_versions')
     .delete()
-    .eq('version', version);
+    .eq('version', version)
+    .select();
 
   if (error) {
     return res.status(500).json({ error: 'Failed to delete version', details: error });
   }
 
+  if (data && data.length > 0) {
+    await recordAuditEvent(req, {
+      actor: getAdminActor(req),
+      action: 'version.delete',
+      target: { type: 'extension_version', id: version },
+      before: data[0]
+    });
+  }
+
   return res.status(200).json({
     success: true,
     message: `Version ${version} deleted successfully`
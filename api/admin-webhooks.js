@@ -0,0 +1,357 @@
+/**
+ * Admin API for outbound webhooks (see lib/webhooks.js)
+ * GET: List subscriptions (secrets hidden)
+ * GET ?view=deliveries: Delivery log (?subscriptionId=..., ?status=pending|delivered|failed, ?page, ?limit)
+ * POST { action: 'create', name, url, events?, format? }: Returns the signing secret once
+ * POST { action: 'test', id }: Send a ping to a subscription
+ * POST { action: 'redeliver', deliveryId }: Send a logged delivery again
+ * PATCH { id, name?, url?, events?, format?, is_active?, rotateSecret? }: Update a subscription
+ * DELETE ?id=...: Remove a subscription
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, requireAdmin, setAdminCorsHeaders } from '../lib/admin-auth.js';
+import { recordAuditEvent, getAdminActor } from '../lib/audit.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  generateWebhookSecret,
+  emitWebhookEvent,
+  attemptDelivery
+} from '../lib/webhooks.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for admin operations
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const REQUIRED_SCOPE = ADMIN_SCOPES.WEBHOOKS_WRITE;
+const SUBSCRIPTION_COLUMNS = 'id, name, url, events, format, is_active, created_at, updated_at';
+
+export default async function handler(req, res) {
+  // Set CORS headers (admin origins only)
+  setAdminCorsHeaders(req, res, 'GET, POST, PATCH, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Check admin token and scope
+  if (!(await requireAdmin(req, res, REQUIRED_SCOPE))) {
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return req.query.view === 'deliveries'
+          ? await listDeliveries(req, res)
+          : await listSubscriptions(res);
+
+      case 'POST': {
+        const action = req.query.action || req.body?.action;
+
+        switch (action) {
+          case 'create':
+            return await createSubscription(req, res);
+          case 'test':
+            return await testSubscription(req, res);
+          case 'redeliver':
+            return await redeliver(req, res);
+          default:
+            return res.status(400).json({ error: 'Invalid action' });
+        }
+      }
+
+      case 'PATCH':
+        return await updateSubscription(req, res);
+
+      case 'DELETE':
+        return await deleteSubscription(req, res);
+
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[AdminWebhooks] Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
+
+// Validate and normalize subscription fields, returning { fields } or { error }
+function parseSubscriptionFields(body, { partial = false } = {}) {
+  const fields = {};
+  const knownEvents = Object.values(WEBHOOK_EVENTS);
+
+  if (body.name !== undefined) fields.name = body.name || null;
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    fields.url = url.toString();
+  }
+
+  if (body.events !== undefined) {
+    if (body.events !== null && !Array.isArray(body.events)) {
+      return { error: 'events must be an array' };
+    }
+    const unknownEvent = (body.events || []).find(event => !knownEvents.includes(event));
+    if (unknownEvent) {
+      return { error: `Unknown event: ${unknownEvent}. Use one of: ${knownEvents.join(', ')}` };
+    }
+    fields.events = body.events || [];
+  }
+
+  if (body.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(body.format)) {
+      return { error: `Invalid format. Use one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    fields.format = body.format;
+  }
+
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  return { fields };
+}
+
+async function listSubscriptions(res) {
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select(SUBSCRIPTION_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch subscriptions', details: error });
+  }
+
+  return res.status(200).json({
+    subscriptions: data || [],
+    count: data?.length || 0,
+    events: Object.values(WEBHOOK_EVENTS)
+  });
+}
+
+async function listDeliveries(req, res) {
+  const { subscriptionId, status } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' });
+
+  if (subscriptionId) query = query.eq('subscription_id', subscriptionId);
+  if (status) query = query.eq('status', status);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to fetch deliveries', details: error });
+  }
+
+  return res.status(200).json({
+    deliveries: data || [],
+    pagination: {
+      page,
+      limit,
+      total: count || 0,
+      totalPages: Math.ceil((count || 0) / limit)
+    }
+  });
+}
+
+async function createSubscription(req, res) {
+  const { fields, error: fieldsError } = parseSubscriptionFields(req.body || {});
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const secret = generateWebhookSecret();
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .insert({
+      events: [],
+      format: 'json',
+      is_active: true,
+      ...fields,
+      secret,
+      created_at: now,
+      updated_at: now
+    })
+    .select(SUBSCRIPTION_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[AdminWebhooks] Insert error:', error);
+    return res.status(500).json({ error: 'Failed to create subscription', details: error.message });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'webhook.create',
+    target: { type: 'webhook_subscription', id: data.id },
+    after: data
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Subscription created. Store the secret now - it cannot be shown again.',
+    subscription: data,
+    secret
+  });
+}
+
+async function updateSubscription(req, res) {
+  const { id, rotateSecret } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const { fields, error: fieldsError } = parseSubscriptionFields(req.body, { partial: true });
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const secret = rotateSecret ? generateWebhookSecret() : null;
+  if (secret) fields.secret = secret;
+
+  const { data: before } = await supabase
+    .from('webhook_subscriptions')
+    .select(SUBSCRIPTION_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select(SUBSCRIPTION_COLUMNS)
+    .single();
+
+  if (error || !data) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'webhook.update',
+    target: { type: 'webhook_subscription', id },
+    before: before || null,
+    after: { ...data, secretRotated: Boolean(secret) }
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Subscription updated successfully',
+    subscription: data,
+    ...(secret ? { secret } : {})
+  });
+}
+
+async function deleteSubscription(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'id query parameter is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .delete()
+    .eq('id', id)
+    .select(SUBSCRIPTION_COLUMNS);
+
+  if (error) {
+    return res.status(500).json({ error: 'Failed to delete subscription', details: error });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  await recordAuditEvent(req, {
+    actor: getAdminActor(req),
+    action: 'webhook.delete',
+    target: { type: 'webhook_subscription', id },
+    before: data[0]
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Subscription deleted successfully'
+  });
+}
+
+async function testSubscription(req, res) {
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  const { data: subscription } = await supabase
+    .from('webhook_subscriptions')
+    .select('id, url, events, format, secret')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  const [result] = await emitWebhookEvent(WEBHOOK_EVENTS.PING, {
+    message: 'Test delivery from Honed',
+    subscriptionId: subscription.id
+  }, { subscriptions: [subscription] });
+
+  return res.status(200).json({
+    success: result?.status === 'delivered',
+    delivery: result || null
+  });
+}
+
+async function redeliver(req, res) {
+  const { deliveryId } = req.body || {};
+
+  if (!deliveryId) {
+    return res.status(400).json({ error: 'deliveryId is required' });
+  }
+
+  const { data: delivery } = await supabase
+    .from('webhook_deliveries')
+    .select('*, subscription:webhook_subscriptions(id, url, format, secret)')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  if (!delivery.subscription) {
+    return res.status(409).json({ error: 'Subscription no longer exists' });
+  }
+
+  const { subscription, ...logged } = delivery;
+  const result = await attemptDelivery(subscription, { ...logged, payload: { id: logged.id, ...logged.payload } });
+
+  return res.status(200).json({
+    success: result.status === 'delivered',
+    delivery: result
+  });
+}
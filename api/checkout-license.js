@@ -0,0 +1,124 @@
+// Vercel serverless function for the checkout success page
+// Returns the license key a completed checkout provisioned (see payment-webhook.js)
+// Point the payment link's success URL here: /api/checkout-license?session_id={CHECKOUT_SESSION_ID}
+
+import { createClient } from '@supabase/supabase-js';
+import { PAYMENT_EVENTS } from '../lib/payments.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // payment_events is not readable with the anon key
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+export default async function handler(req, res) {
+  // Set CORS headers FIRST - allow extension and web origins
+  const origin = req.headers.origin;
+
+  // Allow chrome-extension origins and approved web origins
+  const isExtensionOrigin = origin && (
+    origin.startsWith('chrome-extension://') ||
+    origin.startsWith('moz-extension://')
+  );
+  const isAllowedWebOrigin = origin === 'https://trade.padre.gg' || origin === 'https://axiom.trade';
+
+  if (isExtensionOrigin || isAllowedWebOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const sessionId = req.query.session_id;
+
+  // Checkout session ids are long and unguessable; they are the only credential here
+  if (!sessionId || !/^cs_[A-Za-z0-9_]{16,}$/.test(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_REQUEST',
+      message: 'A checkout session id is required'
+    });
+  }
+
+  try {
+    // Delayed payment methods are applied by a second event for the same session
+    const { data: payments, error } = await supabase
+      .from('payment_events')
+      .select('action, license_key, status')
+      .in('type', [PAYMENT_EVENTS.CHECKOUT_COMPLETED, PAYMENT_EVENTS.CHECKOUT_ASYNC_PAYMENT_SUCCEEDED])
+      .eq('object_id', sessionId);
+
+    if (error) throw error;
+
+    const processed = (payments || []).filter(row => row.status === 'processed');
+    const payment = processed.find(row => row.action !== 'awaiting_payment');
+
+    if (!payment && processed.length > 0) {
+      return res.status(202).json({
+        success: false,
+        error: 'PENDING',
+        message: 'Your payment has not cleared yet. Come back to this page once your bank confirms it.'
+      });
+    }
+
+    // The provider calls the webhook and redirects the customer at about the same time
+    if (!payment) {
+      return res.status(202).json({
+        success: false,
+        error: 'PENDING',
+        message: 'Your payment is still being processed. Refresh this page in a few seconds.'
+      });
+    }
+
+    if (!payment.license_key) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: 'No license was issued for this checkout'
+      });
+    }
+
+    const { data: license, error: licenseError } = await supabase
+      .from('license_keys')
+      .select('key, expires_at, tier, max_devices')
+      .eq('key', payment.license_key)
+      .maybeSingle();
+
+    if (licenseError) throw licenseError;
+
+    // The key was issued, but has since been deleted
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: 'The license issued for this checkout no longer exists'
+      });
+    }
+
+    return res.json({
+      success: true,
+      renewed: payment.action !== 'provisioned',
+      licenseKey: license.key,
+      expiresAt: license.expires_at,
+      tier: license.tier,
+      maxDevices: license.max_devices,
+      message: payment.action === 'provisioned'
+        ? 'Thanks for your purchase! Enter this license key in the extension to activate it.'
+        : 'Thanks for renewing! Your license has been extended.'
+    });
+  } catch (error) {
+    console.error('[Checkout License API] Error:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'SERVER_ERROR',
+      message: 'Failed to look up checkout'
+    });
+  }
+}
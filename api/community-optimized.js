@@ -3,20 +3,16 @@
  * Returns only the fields needed by the extension to minimize payload size
  */
 
-import { jwtVerify } from 'jose';
+import { verifyToken } from '../lib/tokens.js';
+import { ENTITLEMENTS, hasEntitlement, featureNotInPlan } from '../lib/entitlements.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { CREDITS_PER_LOOKUP, checkCreditQuota, withReservedCredits, sendQuotaExceeded } from '../lib/quota.js';
+import { getLookupCache } from '../lib/lookup-cache.js';
+import { fetchOptimizedCommunity } from '../lib/twitter-lookup.js';
+import { sendUpstreamError } from '../lib/upstream.js';
+import { trackUsage } from '../lib/tracking.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
-const secretKey = new TextEncoder().encode(JWT_SECRET);
-
-async function verifyToken(token) {
-  try {
-    const { payload } = await jwtVerify(token, secretKey);
-    if (payload.purpose !== 'honed-license') return null;
-    return payload;
-  } catch (error) {
-    return null;
-  }
-}
+const REQUIRED_ENTITLEMENT = ENTITLEMENTS.TWITTER_LOOKUP;
 
 export default async function handler(req, res) {
   // CORS headers
@@ -27,6 +23,7 @@ export default async function handler(req, res) {
   }
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Cache');
 
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
@@ -40,80 +37,38 @@ export default async function handler(req, res) {
   const token = authHeader.substring(7);
   const payload = await verifyToken(token);
   if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  if (!hasEntitlement(payload, REQUIRED_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(payload, REQUIRED_ENTITLEMENT));
+  }
 
-  // Get request info for tracking
-  const forwardedFor = req.headers['x-forwarded-for'];
-  const ip = forwardedFor?.split(',')[0].trim() || 
-             req.headers['x-vercel-forwarded-for'] ||
-             req.headers['x-real-ip'] || null;
-  const userAgent = req.headers['user-agent'] || null;
-
-  // Track usage
-  try {
-    const { createClient } = await import('@supabase/supabase-js');
-    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-
-    const { data: binding } = await supabase
-      .from('device_bindings')
-      .select('license_key')
-      .eq('device_id', payload.deviceId)
-      .single();
+  const maintenance = await getActiveMaintenance({ endpoint: 'community-optimized', version: payload.version, tier: payload.tier });
+  if (maintenance) return sendMaintenance(res, maintenance);
 
-    if (binding) {
-      await supabase
-        .from('device_bindings')
-        .update({ last_seen: new Date().toISOString(), last_ip: ip, last_user_agent: userAgent, last_endpoint: 'community' })
-        .eq('device_id', payload.deviceId);
+  // Enforce the license's credit budget before spending upstream credits
+  const quota = await checkCreditQuota(payload);
+  if (!quota.allowed) return sendQuotaExceeded(res, quota);
 
-      await supabase.from('api_requests').insert({
-        license_key: binding.license_key,
-        device_id: payload.deviceId,
-        endpoint: 'community',
-        ip_address: ip,
-        user_agent: userAgent,
-        credits_used: 20
-      });
-    }
-  } catch (e) { /* Silent fail for tracking */ }
+  const { communityId } = req.query;
+  if (!communityId) return res.status(400).json({ error: 'Missing communityId' });
 
+  let lookup;
   try {
-    const { communityId } = req.query;
-    if (!communityId) return res.status(400).json({ error: 'Missing communityId' });
-
-    // Call Twitter API
-    const apiKey = process.env.TWITTER_API_KEY;
-    const apiUrl = new URL('https://api.twitterapi.io/twitter/community/info');
-    apiUrl.searchParams.set('community_id', communityId);
-    const response = await fetch(apiUrl.toString(), {
-      headers: { 'X-API-Key': apiKey }
+    lookup = await getLookupCache().get('community', communityId, () => fetchOptimizedCommunity(communityId), {
+      reserve: (load) => withReservedCredits(quota, load)
     });
+  } catch (error) {
+    await trackUsage(req, payload, { endpoint: 'community' });
+    if (error.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, error.quota);
+    return sendUpstreamError(res, error, 'COMMUNITY_NOT_FOUND');
+  }
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Twitter API error');
+  // Only a miss reserved credits (its own, even when it joined another request's fetch); hits are free
+  const creditsUsed = lookup.cache === 'MISS' ? CREDITS_PER_LOOKUP : 0;
+  await trackUsage(req, payload, { endpoint: 'community', creditsUsed });
 
-    // The Twitter API returns { community_info: {...}, status: "success" }
-    const community = data.community_info || data.data?.community_info || data;
-    
-    // Return in same format as original Twitter API
-    const optimized = {
-      status: 'success',
-      msg: 'success',
-      community_info: {
-        id: community.id || communityId,
-        name: community.name,
-        description: community.description,
-        avatar_url: community.avatar_url,
-        banner_url: community.banner_url,
-        member_count: community.member_count,
-        created_at: community.created_at,
-        // Admin info - the API returns both admin and creator
-        creator: community.creator || community.admin || null,
-        admin: community.admin || community.creator || null
-      }
-    };
+  res.setHeader('X-Cache', lookup.cache);
+  res.status(200).json(lookup.value);
 
-    return res.status(200).json(optimized);
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
-  }
+  // Serverless functions may be frozen once the handler returns - let a stale entry's refresh finish first
+  await lookup.revalidating;
 }
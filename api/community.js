@@ -1,17 +1,12 @@
-import { jwtVerify } from 'jose';
+import { verifyToken } from '../lib/tokens.js';
+import { ENTITLEMENTS, hasEntitlement, featureNotInPlan } from '../lib/entitlements.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { CREDITS_PER_LOOKUP, checkCreditQuota, withReservedCredits, sendQuotaExceeded } from '../lib/quota.js';
+import { fetchCommunityInfo } from '../lib/twitter-lookup.js';
+import { sendUpstreamError } from '../lib/upstream.js';
+import { trackUsage } from '../lib/tracking.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
-const secretKey = new TextEncoder().encode(JWT_SECRET);
-
-async function verifyToken(token) {
-  try {
-    const { payload } = await jwtVerify(token, secretKey);
-    if (payload.purpose !== 'honed-license') return null;
-    return payload;
-  } catch (error) {
-    return null;
-  }
-}
+const REQUIRED_ENTITLEMENT = ENTITLEMENTS.TWITTER_LOOKUP;
 
 export default async function handler(req, res) {
   const origin = req.headers.origin;
@@ -31,29 +26,29 @@ export default async function handler(req, res) {
   const token = authHeader.substring(7);
   const payload = await verifyToken(token);
   if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  if (!hasEntitlement(payload, REQUIRED_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(payload, REQUIRED_ENTITLEMENT));
+  }
 
-  // Track usage
-  try {
-    const { createClient } = await import('@supabase/supabase-js');
-    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-    const { data: binding } = await supabase.from('device_bindings').select('license_key').eq('device_id', payload.deviceId).single();
-    if (binding) {
-      await supabase.from('device_bindings').update({ last_seen: new Date().toISOString(), last_endpoint: 'community' }).eq('device_id', payload.deviceId);
-      await supabase.from('api_requests').insert({ license_key: binding.license_key, device_id: payload.deviceId, endpoint: 'community', credits_used: 20 });
-    }
-  } catch (e) { }
+  const maintenance = await getActiveMaintenance({ endpoint: 'community', version: payload.version, tier: payload.tier });
+  if (maintenance) return sendMaintenance(res, maintenance);
+
+  // Enforce the license's credit budget before spending upstream credits
+  const quota = await checkCreditQuota(payload);
+  if (!quota.allowed) return sendQuotaExceeded(res, quota);
 
   try {
     const { communityId } = req.query;
     if (!communityId) return res.status(400).json({ error: 'Missing communityId' });
 
-    const apiKey = process.env.TWITTER_API_KEY;
-    const response = await fetch(`https://api.twitterapi.io/twitter/community/info?community_id=${communityId}`, { headers: { 'X-API-Key': apiKey } });
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error || 'Twitter API error');
+    // Reserved up front and released if the lookup fails, so only successful lookups are charged
+    const data = await withReservedCredits(quota, () => fetchCommunityInfo(communityId));
+    await trackUsage(req, payload, { endpoint: 'community', creditsUsed: CREDITS_PER_LOOKUP });
 
     return res.status(200).json(data);
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    await trackUsage(req, payload, { endpoint: 'community' });
+    if (error.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, error.quota);
+    return sendUpstreamError(res, error, 'COMMUNITY_NOT_FOUND');
   }
 }
@@ -11,29 +11,14 @@
 //
 // SECURITY: Uses anon key with RLS policies. Write operations require JWT authentication.
 
-import { jwtVerify } from 'jose';
+import { verifyToken } from '../lib/tokens.js';
+import { ENTITLEMENTS, hasEntitlement, featureNotInPlan } from '../lib/entitlements.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { recordAuditEvent, getDeviceActor } from '../lib/audit.js';
+import { emitWebhookEvent, WEBHOOK_EVENTS } from '../lib/webhooks.js';
 
-// SECURITY: No fallback - JWT_SECRET must be set in environment
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('[Config Share API] FATAL: JWT_SECRET environment variable is not set');
-}
-const secretKey = new TextEncoder().encode(JWT_SECRET || '');
-
-/**
- * Verify JWT token and extract payload
- * @param {string} token - JWT token from Authorization header
- * @returns {Object|null} Token payload or null if invalid
- */
-async function verifyToken(token) {
-  try {
-    const { payload } = await jwtVerify(token, secretKey);
-    if (payload.purpose !== 'honed-license') return null;
-    return payload;
-  } catch (error) {
-    return null;
-  }
-}
+// Private uploads are open to every license; making a config public requires this entitlement
+const PUBLISH_ENTITLEMENT = ENTITLEMENTS.CONFIG_PUBLISH;
 
 /**
  * Extract and verify JWT from request headers
@@ -49,6 +34,17 @@ async function getAuthPayload(req) {
   return await verifyToken(token);
 }
 
+/**
+ * Config row for the audit log, without the (up to 5MB) config_data payload
+ * @param {Object|null} config - shared_configs row
+ * @returns {Object|null}
+ */
+function toAuditSnapshot(config) {
+  if (!config) return null;
+  const { config_data, ...snapshot } = config;
+  return snapshot;
+}
+
 export default async function handler(req, res) {
   // Set CORS headers
   const origin = req.headers.origin;
@@ -68,6 +64,12 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  // Browsing is anonymous, so only endpoint-wide windows apply here
+  const maintenance = await getActiveMaintenance({ endpoint: 'config-share' });
+  if (maintenance) {
+    return sendMaintenance(res, maintenance);
+  }
+
   // SECURITY: Use anon key with RLS policies instead of service key
   const { createClient } = await import('@supabase/supabase-js');
   const supabase = createClient(
@@ -207,12 +209,21 @@ async function handleUpload(req, res, supabase) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  // Grace-period tokens are read-only
+  if (authPayload.readOnly) {
+    return res.status(403).json({ error: 'License expired - read-only access', reason: 'GRACE_PERIOD' });
+  }
+
   const { displayName, description, isPublic, configData } = req.body;
 
   if (!configData) {
     return res.status(400).json({ error: 'Missing config data' });
   }
 
+  if (isPublic && !hasEntitlement(authPayload, PUBLISH_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(authPayload, PUBLISH_ENTITLEMENT));
+  }
+
   const adminsCount = configData.settings?.adminAlertsList?.length || 0;
   const tweetsCount = configData.settings?.trackedTweetsList?.length || 0;
   const blacklistCount = configData.settings?.adminBlacklistList?.length || 0;
@@ -247,6 +258,21 @@ async function handleUpload(req, res, supabase) {
     return res.status(500).json({ error: 'Failed to upload config' });
   }
 
+  await recordAuditEvent(req, {
+    actor: getDeviceActor(deviceId),
+    action: 'config.create',
+    target: { type: 'shared_config', id: data.id },
+    after: toAuditSnapshot(data)
+  });
+
+  if (data.is_public) {
+    await emitWebhookEvent(WEBHOOK_EVENTS.CONFIG_PUBLISHED, {
+      configId: data.id,
+      displayName: data.display_name,
+      deviceId: data.device_id
+    });
+  }
+
   return res.status(200).json({
     success: true,
     configId: data.id,
@@ -300,16 +326,25 @@ async function handleVisibility(req, res, supabase) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  // Grace-period tokens are read-only
+  if (authPayload.readOnly) {
+    return res.status(403).json({ error: 'License expired - read-only access', reason: 'GRACE_PERIOD' });
+  }
+
   const { configId, isPublic } = req.body;
 
   if (!configId || typeof isPublic !== 'boolean') {
     return res.status(400).json({ error: 'Missing configId or isPublic' });
   }
 
+  if (isPublic && !hasEntitlement(authPayload, PUBLISH_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(authPayload, PUBLISH_ENTITLEMENT));
+  }
+
   // Verify ownership before updating
   const { data: existingConfig, error: fetchError } = await supabase
     .from('shared_configs')
-    .select('device_id')
+    .select('id, device_id, is_public')
     .eq('id', configId)
     .single();
 
@@ -333,6 +368,22 @@ async function handleVisibility(req, res, supabase) {
     return res.status(500).json({ error: 'Failed to update config' });
   }
 
+  await recordAuditEvent(req, {
+    actor: getDeviceActor(authPayload.deviceId),
+    action: 'config.visibility',
+    target: { type: 'shared_config', id: configId },
+    before: existingConfig,
+    after: { id: data.id, device_id: data.device_id, is_public: data.is_public }
+  });
+
+  if (data.is_public && !existingConfig.is_public) {
+    await emitWebhookEvent(WEBHOOK_EVENTS.CONFIG_PUBLISHED, {
+      configId: data.id,
+      displayName: data.display_name,
+      deviceId: data.device_id
+    });
+  }
+
   return res.status(200).json({
     success: true,
     isPublic: data.is_public
@@ -348,6 +399,11 @@ async function handleDelete(req, res, supabase) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  // Grace-period tokens are read-only
+  if (authPayload.readOnly) {
+    return res.status(403).json({ error: 'License expired - read-only access', reason: 'GRACE_PERIOD' });
+  }
+
   const configId = req.query.id;
   if (!configId) {
     return res.status(400).json({ error: 'Missing config ID' });
@@ -380,6 +436,13 @@ async function handleDelete(req, res, supabase) {
     return res.status(500).json({ error: 'Failed to delete config' });
   }
 
+  await recordAuditEvent(req, {
+    actor: getDeviceActor(authPayload.deviceId),
+    action: 'config.delete',
+    target: { type: 'shared_config', id: configId },
+    before: toAuditSnapshot(data)
+  });
+
   return res.status(200).json({
     success: true,
     message: 'Config deleted successfully'
@@ -6,24 +6,8 @@
  * This endpoint allows credential rotation without requiring extension updates.
  */
 
-import { jwtVerify } from 'jose';
-
-// SECURITY: No fallback - JWT_SECRET must be set in environment
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('[Config API] FATAL: JWT_SECRET environment variable is not set');
-}
-const secretKey = new TextEncoder().encode(JWT_SECRET || '');
-
-async function verifyToken(token) {
-  try {
-    const { payload } = await jwtVerify(token, secretKey);
-    if (payload.purpose !== 'honed-license') return null;
-    return payload;
-  } catch (error) {
-    return null;
-  }
-}
+import { verifyToken } from '../lib/tokens.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
 
 export default async function handler(req, res) {
   // CORS headers for extension access
@@ -56,6 +40,11 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 
+  const maintenance = await getActiveMaintenance({ endpoint: 'config', version: payload.version, tier: payload.tier });
+  if (maintenance) {
+    return sendMaintenance(res, maintenance);
+  }
+
   // Return Supabase credentials (anon key is safe to expose)
   const supabaseUrl = process.env.SUPABASE_URL;
   const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
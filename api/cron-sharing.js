@@ -0,0 +1,27 @@
+/**
+ * Scheduled account-sharing scan (Vercel Cron, see vercel.json)
+ * Vercel sends Authorization: Bearer $CRON_SECRET; without CRON_SECRET every request is denied.
+ */
+
+import { scanForSharing } from '../lib/sharing.js';
+
+export default async function handler(req, res) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await scanForSharing(req);
+
+    return res.status(200).json({
+      success: true,
+      scanned: result.scanned,
+      flagged: result.flagged.length,
+      suspended: result.suspended.length
+    });
+  } catch (error) {
+    console.error('[CronSharing] Error:', error);
+    return res.status(500).json({ error: 'Sharing scan failed', details: error.message });
+  }
+}
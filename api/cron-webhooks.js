@@ -0,0 +1,27 @@
+/**
+ * Scheduled webhook retries (Vercel Cron, see vercel.json)
+ * Vercel sends Authorization: Bearer $CRON_SECRET; without CRON_SECRET every request is denied.
+ */
+
+import { retryDueDeliveries } from '../lib/webhooks.js';
+
+export default async function handler(req, res) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret || req.headers.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await retryDueDeliveries();
+
+    return res.status(200).json({
+      success: true,
+      attempted: results.length,
+      delivered: results.filter(result => result.status === 'delivered').length,
+      failed: results.filter(result => result.status === 'failed').length
+    });
+  } catch (error) {
+    console.error('[CronWebhooks] Error:', error);
+    return res.status(500).json({ error: 'Webhook retry failed', details: error.message });
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * JWKS Endpoint
+ * Publishes the public keys used to sign honed-license access tokens
+ * Served at /.well-known/jwks.json (see vercel.json rewrite)
+ *
+ * Verifiers, including the extension, select the key by the token's `kid` header and never
+ * need the private key.
+ */
+
+import { getPublicJwks } from '../lib/keyring.js';
+
+export default async function handler(req, res) {
+  // Public document - any origin may fetch it
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const jwks = await getPublicJwks();
+
+    res.setHeader('Cache-Control', 'public, max-age=300'); // Cache for 5 minutes
+    return res.status(200).json(jwks);
+  } catch (error) {
+    console.error('[JWKS API] Error:', error);
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+}
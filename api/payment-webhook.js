@@ -0,0 +1,452 @@
+/**
+ * Payment-provider webhook receiver (see lib/payments.js)
+ * POST: Stripe-style event signed with PAYMENT_WEBHOOK_SECRET (Stripe-Signature header)
+ *
+ * Keys bought through checkout are linked to the payment through license_keys.payment_customer_id,
+ * payment_subscription_id, payment_status ('active'|'cancelled'|'disputed') and customer_email.
+ * Extensions are recorded in license_extensions with reason 'payment' and payment_event_id, which
+ * is unique: an event extends or provisions a key at most once, however often it is delivered.
+ *
+ * Responds 2xx once an event is applied (or ignored), so the provider stops resending it. Errors
+ * respond 5xx and release the event claim so the provider's retry applies it.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { TIER_ENTITLEMENTS } from '../lib/entitlements.js';
+import { generateLicenseKey, addMonths } from '../lib/license.js';
+import { readRawBody } from '../lib/request.js';
+import { recordAuditEvent } from '../lib/audit.js';
+import { emitWebhookEvent, WEBHOOK_EVENTS } from '../lib/webhooks.js';
+import {
+  PAYMENT_EVENTS,
+  PAYMENT_SYSTEM_ACTOR,
+  verifyPaymentSignature,
+  isCheckoutPaid,
+  getCheckoutPlan,
+  getInvoiceMonths
+} from '../lib/payments.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // Service key: creates and revokes licenses
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// A claim older than this belongs to an attempt that crashed and may be taken over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const LICENSE_PAYMENT_COLUMNS = 'key, revoked, expires_at, tier, payment_subscription_id';
+
+const HANDLERS = {
+  [PAYMENT_EVENTS.CHECKOUT_COMPLETED]: handleCheckoutCompleted,
+  [PAYMENT_EVENTS.CHECKOUT_ASYNC_PAYMENT_SUCCEEDED]: handleCheckoutCompleted,
+  [PAYMENT_EVENTS.INVOICE_PAID]: handleInvoicePaid,
+  [PAYMENT_EVENTS.SUBSCRIPTION_DELETED]: handleSubscriptionDeleted,
+  [PAYMENT_EVENTS.DISPUTE_CREATED]: handleDisputeCreated
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret || !supabaseUrl || !supabaseKey) {
+    console.error('[PaymentWebhook] PAYMENT_WEBHOOK_SECRET or Supabase service key not configured');
+    return res.status(503).json({ error: 'Payment webhook not configured' });
+  }
+
+  let event;
+  try {
+    const rawBody = await readRawBody(req);
+
+    if (!verifyPaymentSignature(rawBody, req.headers['stripe-signature'], secret)) {
+      console.warn('[PaymentWebhook] Rejected event with invalid signature');
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    event = JSON.parse(rawBody);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid payload', details: error.message });
+  }
+
+  const handleEvent = HANDLERS[event.type];
+  if (!handleEvent || !event.id || !event.data?.object) {
+    return res.status(200).json({ received: true, ignored: true });
+  }
+
+  try {
+    const claim = await claimEvent(event);
+
+    if (claim === 'processed') {
+      console.log(`[PaymentWebhook] ${event.type} ${event.id} already processed`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    if (claim === 'in_progress') {
+      return res.status(409).json({ error: 'Event is being processed' });
+    }
+
+    let result;
+    try {
+      result = await handleEvent(req, event.data.object, event);
+      await completeEvent(event, result);
+    } catch (error) {
+      await releaseEvent(event);
+      throw error;
+    }
+
+    console.log(`[PaymentWebhook] ${event.type} ${event.id}: ${result.action}${result.licenseKey ? ' ' + result.licenseKey.substring(0, 8) + '...' : ''}`);
+
+    return res.status(200).json({ received: true, action: result.action });
+  } catch (error) {
+    console.error(`[PaymentWebhook] Failed to process ${event.type} ${event.id}:`, error);
+    return res.status(500).json({ error: 'Failed to process event', details: error.message });
+  }
+}
+
+/**
+ * Claim an event id so concurrent or repeated deliveries apply it once
+ * @returns {Promise<string>} 'claimed', 'processed' or 'in_progress'
+ */
+async function claimEvent(event) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('payment_events')
+    .insert({
+      id: event.id,
+      type: event.type,
+      object_id: event.data.object.id || null,
+      status: 'processing',
+      created_at: now
+    });
+
+  if (!error) return 'claimed';
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('payment_events')
+    .select('status, created_at')
+    .eq('id', event.id)
+    .single();
+
+  if (fetchError) throw fetchError;
+  if (existing.status === 'processed') return 'processed';
+  if (Date.now() - new Date(existing.created_at).getTime() < CLAIM_TIMEOUT_MS) return 'in_progress';
+
+  // The previous attempt crashed mid-way; take the claim over
+  const { data: taken, error: takeError } = await supabase
+    .from('payment_events')
+    .update({ created_at: now })
+    .eq('id', event.id)
+    .eq('status', 'processing')
+    .eq('created_at', existing.created_at)
+    .select('id');
+
+  if (takeError) throw takeError;
+  return taken?.length ? 'claimed' : 'in_progress';
+}
+
+async function completeEvent(event, result) {
+  const { error } = await supabase
+    .from('payment_events')
+    .update({
+      status: 'processed',
+      action: result.action,
+      license_key: result.licenseKey || null,
+      payment_intent: result.paymentIntent || null,
+      charge: result.charge || null,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  // Surfaced so the provider redelivers; the handlers skip what this event already applied
+  if (error) throw error;
+}
+
+async function releaseEvent(event) {
+  const { error } = await supabase
+    .from('payment_events')
+    .delete()
+    .eq('id', event.id)
+    .eq('status', 'processing');
+
+  if (error) {
+    console.error('[PaymentWebhook] Failed to release event claim:', error);
+  }
+}
+
+async function fetchLicenseBy(column, value) {
+  const { data, error } = await supabase
+    .from('license_keys')
+    .select(LICENSE_PAYMENT_COLUMNS)
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function notifyPayment(action, license, event, months) {
+  await emitWebhookEvent(WEBHOOK_EVENTS.LICENSE_PAYMENT, {
+    action,
+    licenseKey: license.key.substring(0, 8) + '...',
+    tier: license.tier || null,
+    months: months || null,
+    expiresAt: license.expires_at || null,
+    paymentEvent: event.id
+  });
+}
+
+async function recordPaymentExtension(key, months, event) {
+  const { error } = await supabase
+    .from('license_extensions')
+    .insert({
+      license_key: key,
+      months_added: months,
+      reason: 'payment',
+      payment_event_id: event.id,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('[PaymentWebhook] Extension history error:', error);
+  }
+}
+
+// Key already created or extended by this event, on a delivery that could not be completed
+async function fetchPaymentExtension(event) {
+  const { data, error } = await supabase
+    .from('license_extensions')
+    .select('license_key')
+    .eq('payment_event_id', event.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Create a key for a new customer
+async function provisionLicense(req, plan, link, event) {
+  const provisioned = await fetchPaymentExtension(event);
+  if (provisioned) {
+    console.log(`[PaymentWebhook] ${event.id} already provisioned ${provisioned.license_key.substring(0, 8)}...`);
+    return fetchLicenseBy('key', provisioned.license_key);
+  }
+
+  let tier = plan.tier;
+  if (tier && !TIER_ENTITLEMENTS[tier]) {
+    console.warn(`[PaymentWebhook] Unknown tier "${tier}" in checkout metadata, using the default tier`);
+    tier = null;
+  }
+
+  const row = {
+    key: generateLicenseKey(),
+    revoked: false,
+    expires_at: addMonths(new Date(), plan.months).toISOString(),
+    tier,
+    entitlements: null,
+    max_devices: plan.maxDevices,
+    release_channel: null,
+    ...link,
+    created_at: new Date().toISOString()
+  };
+
+  const { data: license, error } = await supabase
+    .from('license_keys')
+    .insert(row)
+    .select(LICENSE_PAYMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  await recordPaymentExtension(license.key, plan.months, event);
+
+  await recordAuditEvent(req, {
+    actor: PAYMENT_SYSTEM_ACTOR,
+    action: 'license.generate',
+    target: { type: 'license', id: license.key },
+    after: { ...license, max_devices: plan.maxDevices, source: 'payment', paymentEvent: event.id }
+  });
+
+  await notifyPayment('provisioned', license, event, plan.months);
+
+  return license;
+}
+
+// Extend a key from its current expiry, or from now if it has already lapsed
+async function extendLicense(req, license, months, link, event) {
+  // Writing the payment link again on a redelivery is harmless
+  const { error: linkError } = await supabase.from('license_keys').update(link).eq('key', license.key);
+  if (linkError) throw linkError;
+
+  // The new expiry and its license_extensions row are written together, once per event
+  // (supabase/migrations/20261019121000_license_payment_extension.sql)
+  const { data: extension, error } = await supabase
+    .rpc('extend_license_for_payment', {
+      p_license_key: license.key,
+      p_months: months,
+      p_payment_event_id: event.id
+    })
+    .single();
+
+  if (error) throw error;
+
+  if (extension.status === 'lifetime') {
+    // Lifetime keys only pick up the payment link
+    return 'linked';
+  }
+
+  if (extension.status === 'already_applied') {
+    console.log(`[PaymentWebhook] ${event.id} already extended ${license.key.substring(0, 8)}...`);
+    return 'extended';
+  }
+
+  if (extension.status !== 'extended') {
+    throw new Error(`License ${license.key.substring(0, 8)}... not extended: ${extension.status}`);
+  }
+
+  const newExpiry = new Date(extension.expires_at).toISOString();
+
+  await recordAuditEvent(req, {
+    actor: PAYMENT_SYSTEM_ACTOR,
+    action: 'license.extend',
+    target: { type: 'license', id: license.key },
+    before: { expires_at: extension.previous_expires_at },
+    after: { expires_at: newExpiry, months_added: months, reason: 'payment', paymentEvent: event.id }
+  });
+
+  await notifyPayment('extended', { ...license, expires_at: newExpiry }, event, months);
+
+  if (license.revoked) {
+    console.warn(`[PaymentWebhook] Extended revoked license ${license.key.substring(0, 8)}... - it stays revoked`);
+  }
+
+  return 'extended';
+}
+
+async function handleCheckoutCompleted(req, session, event) {
+  // An unpaid session is applied later by its async_payment_succeeded event
+  if (!isCheckoutPaid(session)) {
+    return { action: 'awaiting_payment' };
+  }
+
+  const plan = getCheckoutPlan(session);
+  const link = {
+    payment_customer_id: session.customer || null,
+    payment_subscription_id: session.subscription || null,
+    payment_status: 'active',
+    customer_email: session.customer_details?.email || session.customer_email || null
+  };
+  const references = { paymentIntent: session.payment_intent || null };
+
+  // Renewal links carry the key being renewed (see getRenewalUrl)
+  if (session.client_reference_id) {
+    const license = await fetchLicenseBy('key', session.client_reference_id);
+
+    if (license) {
+      const action = await extendLicense(req, license, plan.months, link, event);
+      return { action, licenseKey: license.key, ...references };
+    }
+
+    console.warn(`[PaymentWebhook] client_reference_id ${session.client_reference_id.substring(0, 8)}... is not a license, provisioning a new key`);
+  }
+
+  const license = await provisionLicense(req, plan, link, event);
+  return { action: 'provisioned', licenseKey: license.key, ...references };
+}
+
+async function handleInvoicePaid(req, invoice, event) {
+  const subscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  if (!subscriptionId) {
+    // One-off payments are applied by the checkout session events
+    return { action: 'ignored' };
+  }
+
+  const references = { paymentIntent: invoice.payment_intent || null, charge: invoice.charge || null };
+  const license = await fetchLicenseBy('payment_subscription_id', subscriptionId);
+
+  // Thrown errors make the provider resend the event, by which time the checkout has been applied
+  if (!license) {
+    throw new Error(`No license linked to subscription ${subscriptionId} yet`);
+  }
+
+  if (invoice.billing_reason === 'subscription_create') {
+    // The first invoice is the checkout itself, which already provisioned or extended the key.
+    // Record its payment so a chargeback can find the key.
+    return { action: 'linked', licenseKey: license.key, ...references };
+  }
+
+  const months = getInvoiceMonths(invoice) || 1;
+  const action = await extendLicense(req, license, months, { payment_status: 'active' }, event);
+  return { action, licenseKey: license.key, ...references };
+}
+
+async function handleSubscriptionDeleted(req, subscription) {
+  const license = await fetchLicenseBy('payment_subscription_id', subscription.id);
+  if (!license) {
+    return { action: 'ignored' };
+  }
+
+  const { error } = await supabase
+    .from('license_keys')
+    .update({ payment_status: 'cancelled' })
+    .eq('key', license.key);
+
+  if (error) throw error;
+
+  await recordAuditEvent(req, {
+    actor: PAYMENT_SYSTEM_ACTOR,
+    action: 'license.subscription_cancel',
+    target: { type: 'license', id: license.key },
+    before: { payment_status: 'active' },
+    after: { payment_status: 'cancelled', expires_at: license.expires_at }
+  });
+
+  return { action: 'cancelled', licenseKey: license.key };
+}
+
+async function handleDisputeCreated(req, dispute, event) {
+  const filters = [];
+  if (dispute.payment_intent) filters.push(`payment_intent.eq.${dispute.payment_intent}`);
+  if (dispute.charge) filters.push(`charge.eq.${dispute.charge}`);
+
+  if (filters.length === 0) {
+    return { action: 'ignored' };
+  }
+
+  // Find the key the disputed payment was applied to
+  const { data: payments, error: lookupError } = await supabase
+    .from('payment_events')
+    .select('license_key')
+    .eq('status', 'processed')
+    .not('license_key', 'is', null)
+    .or(filters.join(','))
+    .limit(1);
+
+  if (lookupError) throw lookupError;
+
+  const licenseKey = payments?.[0]?.license_key;
+  if (!licenseKey) {
+    console.warn(`[PaymentWebhook] Dispute ${dispute.id} does not match a recorded payment`);
+    return { action: 'ignored' };
+  }
+
+  const { error } = await supabase
+    .from('license_keys')
+    .update({ revoked: true, payment_status: 'disputed' })
+    .eq('key', licenseKey);
+
+  if (error) throw error;
+
+  await recordAuditEvent(req, {
+    actor: PAYMENT_SYSTEM_ACTOR,
+    action: 'license.revoke',
+    target: { type: 'license', id: licenseKey },
+    after: { revoked: true, reason: 'chargeback', dispute: dispute.id, paymentEvent: event.id }
+  });
+
+  await notifyPayment('revoked', { key: licenseKey }, event, null);
+
+  return { action: 'revoked', licenseKey, paymentIntent: dispute.payment_intent || null, charge: dispute.charge || null };
+}
@@ -1,87 +1,186 @@
+// Vercel serverless function for device activation
+// Binds the device in device_bindings with the same rules as /api/validate (revocation, expiry,
+// maintenance windows, device limit). Tokens are still issued by /api/validate.
+//
+// Legacy DEVICE_BINDINGS env pairs are imported with scripts/import-legacy-bindings.js.
+
+import { createClient } from '@supabase/supabase-js';
+import { getLicenseRateLimiter, getLicenseRateLimitKeys, sendRateLimited } from '../lib/rate-limit.js';
+import { getClientIp } from '../lib/request.js';
+import { getActiveMaintenance, getMaintenanceInfo } from '../lib/maintenance.js';
+import {
+  fetchLicense,
+  getLicenseRejection,
+  fetchBindings,
+  toDeviceList,
+  getDeviceLimitMessage
+} from '../lib/license.js';
+import { resolveEntitlements } from '../lib/entitlements.js';
+import { recordAuditEvent, getDeviceActor } from '../lib/audit.js';
+import { queueWebhookEvent, WEBHOOK_EVENTS } from '../lib/webhooks.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+
 export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    // Allow chrome-extension origins and approved web origins
+    const origin = req.headers.origin;
+    const allowedOrigins = [
+      origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://')),
+      origin === 'https://trade.padre.gg',
+      origin === 'https://axiom.trade'
+    ];
+
+    if (allowedOrigins.some(Boolean)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
 
     if (req.method === 'OPTIONS') return res.status(200).end();
     if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
     try {
-      const { key, deviceId } = req.query;
+      const { key, deviceId, version } = req.query;
 
       if (!key) return res.status(400).json({ error: 'Missing key' });
       if (!deviceId) return res.status(400).json({ error: 'Missing deviceId' });
 
-      // Get current device bindings
-      const deviceBindings = process.env.DEVICE_BINDINGS || '';
-      const bindings = {};
+      // Throttle key guessing per IP and per device
+      const ip = getClientIp(req);
+      const rateLimitKeys = getLicenseRateLimitKeys(ip, deviceId);
+      const rateLimit = await getLicenseRateLimiter().check(rateLimitKeys);
+      if (!rateLimit.allowed) {
+        return sendRateLimited(res, rateLimit.retryAfter, { success: false, registered: false });
+      }
 
-      if (deviceBindings) {
-        deviceBindings.split(',').forEach(binding => {
-          const [k, d] = binding.split(':');
-          if (k && d) bindings[k] = d;
+      // Check scheduled maintenance
+      const maintenance = await getActiveMaintenance({ endpoint: 'register', version });
+      if (maintenance) {
+        return res.status(200).json({
+          success: false,
+          registered: false,
+          ...getMaintenanceInfo(maintenance)
         });
       }
 
-      // Check if revoked
-      const revokedKeys = process.env.REVOKED_KEYS?.split(',') || [];
-      if (revokedKeys.includes(key)) {
+      // Check that the key exists, is not revoked and is not past its grace window
+      const license = await fetchLicense(supabase, key);
+      const rejection = getLicenseRejection(license);
+      if (rejection) {
+        if (rejection.reason === 'INVALID') {
+          await getLicenseRateLimiter().recordFailure(rateLimitKeys);
+        }
         return res.status(200).json({
           success: false,
           registered: false,
-          reason: 'REVOKED',
-          message: 'This license has been revoked.'
+          ...rejection
         });
       }
 
-      // Check kill switch
-      if (process.env.MASTER_KILL_SWITCH === 'true') {
+      // Maintenance windows scoped to this license's tier
+      const tierMaintenance = await getActiveMaintenance({ endpoint: 'register', version, tier: resolveEntitlements(license).tier });
+      if (tierMaintenance) {
         return res.status(200).json({
           success: false,
           registered: false,
-          reason: 'MAINTENANCE',
-          message: 'Extension is temporarily disabled.'
+          ...getMaintenanceInfo(tierMaintenance)
         });
       }
 
-      const boundDeviceId = bindings[key];
-
-      // Key not bound yet - auto-register this device (first come, first served)
-      if (!boundDeviceId) {
-        // Log for admin to add to env vars
-        console.log(`[LICENSE REGISTRATION] New device for key ${key.substring(0, 8)}... : deviceId=${deviceId}`);
+      const maxDevices = license.max_devices || 1;
+      const bindings = await fetchBindings(supabase, key);
+      const devices = toDeviceList(bindings, deviceId);
 
+      // Key already bound to this device
+      if (bindings.some(binding => binding.device_id === deviceId)) {
         return res.status(200).json({
           success: true,
           registered: true,
-          alreadyBound: false,
-          message: 'License activated successfully!'
+          alreadyBound: true,
+          message: 'License already activated on this device.',
+          maxDevices,
+          devices
         });
       }
 
-      // Key already bound - check if it's this device
-      if (boundDeviceId === deviceId) {
-        return res.status(200).json({
-          success: true,
-          registered: true,
+      // No free seat - show the bound devices so the user knows which one to free
+      if (bindings.length >= maxDevices) {
+        console.log(`[LICENSE BLOCKED] Key ${key.substring(0, 8)}... - Attempted access from device: ${deviceId}, ${bindings.length}/${maxDevices} devices bound`);
+
+        // Queued before responding so the retry cron delivers it even if the function is frozen
+        const sendWebhook = await queueWebhookEvent(WEBHOOK_EVENTS.DEVICE_MISMATCH, {
+          licenseKey: key.substring(0, 8) + '...',
+          deviceId,
+          endpoint: 'register',
+          boundDevices: bindings.length,
+          maxDevices
+        }, { throttleKey: key });
+
+        res.status(200).json({
+          success: false,
+          registered: false,
+          reason: 'DEVICE_MISMATCH',
           alreadyBound: true,
-          message: 'License already activated on this device.'
+          currentDeviceId: deviceId,
+          maxDevices,
+          devices,
+          message: `${getDeviceLimitMessage(bindings.length, maxDevices)} Your device ID: ${deviceId}`
         });
+
+        // First attempt after responding, so a slow subscriber never delays the extension
+        await sendWebhook();
+        return;
       }
 
-      // Different device - show error with device IDs
-      console.log(`[LICENSE BLOCKED] Key ${key.substring(0, 8)}... - Attempted access from device: ${deviceId}, Bound to: ${boundDeviceId}`);
-
-      return res.status(200).json({
-        success: false,
-        registered: false,
-        reason: 'DEVICE_MISMATCH',
-        alreadyBound: true,
-        boundDeviceId: boundDeviceId,
-        currentDeviceId: deviceId,
-        message: `This license is already activated on another device. Your device ID: ${deviceId}`
+      // Free seat - bind this device (first come, first served)
+      const now = new Date().toISOString();
+      const { error: insertError } = await supabase
+        .from('device_bindings')
+        .insert({
+          license_key: key,
+          device_id: deviceId,
+          bound_at: now,
+          last_seen: now,
+          last_ip: ip,
+          last_user_agent: req.headers['user-agent'] || null,
+          last_endpoint: 'register'
+        });
+
+      if (insertError) throw insertError;
+
+      await recordAuditEvent(req, {
+        actor: getDeviceActor(deviceId),
+        action: 'binding.create',
+        target: { type: 'license', id: key },
+        after: { license_key: key, device_id: deviceId, bound_at: now, endpoint: 'register' }
+      });
+
+      console.log(`[LICENSE REGISTRATION] New device for key ${key.substring(0, 8)}... : deviceId=${deviceId}`);
+
+      // Queued before responding so the retry cron delivers it even if the function is frozen
+      const sendWebhook = await queueWebhookEvent(WEBHOOK_EVENTS.DEVICE_REGISTERED, {
+        licenseKey: key.substring(0, 8) + '...',
+        deviceId,
+        endpoint: 'register',
+        boundDevices: bindings.length + 1,
+        maxDevices
       });
 
+      res.status(200).json({
+        success: true,
+        registered: true,
+        alreadyBound: false,
+        message: 'License activated successfully!',
+        maxDevices,
+        devices: toDeviceList([...bindings, { device_id: deviceId, bound_at: now, last_seen: now }], deviceId)
+      });
+
+      // First attempt after responding, so a slow subscriber never delays the extension
+      await sendWebhook();
+      return;
+
     } catch (error) {
       return res.status(500).json({ error: error.message });
     }
@@ -3,6 +3,9 @@
 // Uses the same validation pattern as validate.js for security
 
 import { createClient } from '@supabase/supabase-js';
+import { getExpiryStatus } from '../lib/license.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { getRenewalUrl } from '../lib/payments.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
@@ -10,20 +13,6 @@ const supabaseKey = process.env.SUPABASE_ANON_KEY;
 // Use anon key - RLS policies will enforce access control
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-/**
- * Calculate days remaining until expiration
- */
-function calculateDaysRemaining(expiresAt) {
-  if (!expiresAt) return null;
-
-  const now = new Date();
-  const expiry = new Date(expiresAt);
-  const diffMs = expiry - now;
-  const diffDays = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
-
-  return diffDays;
-}
-
 /**
  * Format date for display
  */
@@ -73,6 +62,11 @@ export default async function handler(req, res) {
 
   const { key, deviceId } = req.query;
 
+  const maintenance = await getActiveMaintenance({ endpoint: 'subscription-status' });
+  if (maintenance) {
+    return sendMaintenance(res, maintenance);
+  }
+
   if (!key || !deviceId) {
     return res.status(400).json({
       success: false,
@@ -94,12 +88,13 @@ export default async function handler(req, res) {
   try {
     console.log('[Subscription Status API] Request received for key:', key?.substring(0, 8) + '...', 'deviceId:', deviceId?.substring(0, 8) + '...');
 
-    // Verify device binding first
+    // Verify device binding first (multi-seat licenses have one row per device)
     console.log('[Subscription Status API] Querying device_bindings...');
     const { data: binding, error: bindingError } = await supabase
       .from('device_bindings')
       .select('device_id, license_key')
       .eq('license_key', key)
+      .eq('device_id', deviceId)
       .single();
 
     if (bindingError && bindingError.code !== 'PGRST116') {
@@ -111,7 +106,7 @@ export default async function handler(req, res) {
 
     // Check if device is authorized for this license
     if (!binding || binding.device_id !== deviceId) {
-      console.log('[Subscription Status API] Device not authorized. Expected:', binding?.device_id, 'Got:', deviceId);
+      console.log('[Subscription Status API] Device not authorized for this license. Got:', deviceId);
       return res.status(403).json({
         success: false,
         error: 'UNAUTHORIZED',
@@ -157,24 +152,23 @@ export default async function handler(req, res) {
       });
     }
 
-    // Calculate subscription status
-    const now = new Date();
-    const expiresAt = license.expires_at ? new Date(license.expires_at) : null;
-    const daysRemaining = calculateDaysRemaining(license.expires_at);
+    // Calculate subscription status (shared with validate so both agree on expiry)
+    const expiry = getExpiryStatus(license.expires_at);
+    const daysRemaining = expiry.daysRemaining;
+    const status = expiry.status;
 
-    let status = 'active';
     let isActive = true;
     let message = null;
 
-    if (!expiresAt) {
-      status = 'lifetime';
+    if (status === 'lifetime') {
       message = 'Lifetime license';
-    } else if (expiresAt < now) {
-      status = 'expired';
+    } else if (status === 'expired') {
       isActive = false;
       message = 'License has expired';
-    } else if (daysRemaining <= 7) {
-      status = 'expiring_soon';
+    } else if (status === 'grace_period') {
+      // Still usable, but read-only until the grace window closes
+      message = `License has expired - read-only access until ${formatDate(expiry.graceEndsAt)}`;
+    } else if (status === 'expiring_soon') {
       message = `License expires in ${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}`;
     } else {
       message = `License active for ${daysRemaining} more days`;
@@ -212,9 +206,10 @@ export default async function handler(req, res) {
         expiresAt: formatDate(license.expires_at),
         expiresAtRaw: license.expires_at,
         daysRemaining: daysRemaining,
+        graceEndsAt: status === 'grace_period' ? expiry.graceEndsAt.toISOString() : null,
         createdAt: formatDate(license.created_at),
         message: message,
-        renewalUrl: 'https://discord.gg/honed', // Replace with actual Discord invite
+        renewalUrl: getRenewalUrl(license.key), // Payment link that extends this key (PAYMENT_RENEWAL_URL)
         extensions: extensions
       }
     };
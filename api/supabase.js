@@ -3,31 +3,11 @@
 // JWT authentication required
 
 const { createClient } = require('@supabase/supabase-js');
-const { jwtVerify } = require('jose');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
-const JWT_SECRET = process.env.JWT_SECRET;
 
 const supabase = createClient(supabaseUrl, supabaseKey);
-const secretKey = new TextEncoder().encode(JWT_SECRET);
-
-/**
- * Verify JWT token for license validation
- * @param {string} token - JWT token to verify
- * @returns {Promise<object|null>} Decoded payload if valid, null if invalid
- */
-async function verifyToken(token) {
-  try {
-    const { payload } = await jwtVerify(token, secretKey);
-    if (payload.purpose !== 'honed-license') {
-      return null;
-    }
-    return payload;
-  } catch (error) {
-    return null;
-  }
-}
 
 /**
  * Calculate token age from Unix timestamp
@@ -203,6 +183,11 @@ module.exports = async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized - No token provided' });
   }
 
+  // Shared token helpers are ES modules - load them dynamically from this CommonJS handler
+  const { verifyToken } = await import('../lib/tokens.js');
+  const { ENTITLEMENTS, hasEntitlement, featureNotInPlan } = await import('../lib/entitlements.js');
+  const { getActiveMaintenance, sendMaintenance } = await import('../lib/maintenance.js');
+
   const token = authHeader.substring(7);
   const payload = await verifyToken(token);
 
@@ -210,6 +195,16 @@ module.exports = async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized - Invalid or expired token' });
   }
 
+  // Dataset sync is a plan feature
+  if (!hasEntitlement(payload, ENTITLEMENTS.DATASET_SYNC)) {
+    return res.status(403).json(featureNotInPlan(payload, ENTITLEMENTS.DATASET_SYNC));
+  }
+
+  const maintenance = await getActiveMaintenance({ endpoint: 'supabase', version: payload.version, tier: payload.tier });
+  if (maintenance) {
+    return sendMaintenance(res, maintenance);
+  }
+
   // Update device_bindings last_seen (don't fail if logging errors)
   try {
     // Get IP from Vercel headers
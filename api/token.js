@@ -0,0 +1,224 @@
+// Vercel serverless function for access token refresh
+// Exchanges the refresh token issued by /api/validate for a new short-lived JWT
+// Skips the device registration that validate performs, but applies the same minimum-version
+// check: a device that must update gets UPDATE_REQUIRED and loses its refresh token, so it has to
+// come back through validate.
+//
+// POST /api/token  { refreshToken, deviceId, version? }  (version defaults to the one last
+// reported to validate)
+//
+// Refresh tokens are tied to the device_bindings row they were issued for, so revoking the
+// license key or resetting/deleting the binding invalidates them on the next refresh.
+
+import { createClient } from '@supabase/supabase-js';
+import { generateToken, hashRefreshToken, getAccessTokenTtl } from '../lib/tokens.js';
+import { getExpiryStatus } from '../lib/license.js';
+import { resolveEntitlements } from '../lib/entitlements.js';
+import { getActiveMaintenance, getMaintenanceInfo } from '../lib/maintenance.js';
+import { getRequiredUpdate, DEFAULT_CHANNEL } from '../lib/releases.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+export default async function handler(req, res) {
+  // Set CORS headers FIRST - allow extension and web origins
+  const origin = req.headers.origin;
+
+  // Allow chrome-extension origins and approved web origins
+  const allowedOrigins = [
+    origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://')),
+    origin === 'https://trade.padre.gg',
+    origin === 'https://axiom.trade'
+  ];
+
+  if (allowedOrigins.some(Boolean)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { refreshToken, deviceId, version } = req.body || {};
+
+  // Maintenance windows scoped to all users, this endpoint or this version
+  const maintenance = await getActiveMaintenance({ endpoint: 'token', version });
+  if (maintenance) {
+    return res.json({ valid: false, ...getMaintenanceInfo(maintenance) });
+  }
+
+  if (!refreshToken || !deviceId) {
+    return res.status(400).json({
+      valid: false,
+      reason: 'INVALID_REQUEST',
+      message: 'Refresh token and device ID are required'
+    });
+  }
+
+  try {
+    const { data: binding, error: bindingError } = await supabase
+      .from('device_bindings')
+      .select('device_id, license_key, refresh_token_expires_at, last_version')
+      .eq('refresh_token_hash', hashRefreshToken(refreshToken))
+      .single();
+
+    if (bindingError && bindingError.code !== 'PGRST116') {
+      throw bindingError;
+    }
+
+    // Unknown hash means the token was never issued, was replaced, or the binding was reset
+    if (!binding || binding.device_id !== deviceId) {
+      return res.status(401).json({
+        valid: false,
+        reason: 'INVALID_REFRESH_TOKEN',
+        message: 'Refresh token is invalid. Please validate your license again.'
+      });
+    }
+
+    if (!binding.refresh_token_expires_at || new Date(binding.refresh_token_expires_at) < new Date()) {
+      return res.status(401).json({
+        valid: false,
+        reason: 'REFRESH_TOKEN_EXPIRED',
+        message: 'Refresh token has expired. Please validate your license again.'
+      });
+    }
+
+    const { data: licenseData, error: licenseError } = await supabase
+      .from('license_keys')
+      .select('key, revoked, expires_at, tier, entitlements, release_channel')
+      .eq('key', binding.license_key)
+      .single();
+
+    if (licenseError && licenseError.code !== 'PGRST116') {
+      throw licenseError;
+    }
+
+    // Drop the refresh token so later attempts fail without a license lookup
+    const dropRefreshToken = () => supabase
+      .from('device_bindings')
+      .update({ refresh_token_hash: null, refresh_token_expires_at: null })
+      .eq('license_key', binding.license_key)
+      .eq('device_id', deviceId);
+
+    if (!licenseData || licenseData.revoked) {
+      await dropRefreshToken();
+
+      return res.json({
+        valid: false,
+        reason: licenseData ? 'REVOKED' : 'INVALID',
+        message: licenseData ? 'License key has been revoked.' : 'Invalid license key.'
+      });
+    }
+
+    // Apply the same expiry rules as validate
+    const expiry = getExpiryStatus(licenseData.expires_at);
+
+    if (expiry.status === 'expired') {
+      return res.json({
+        valid: false,
+        reason: 'EXPIRED',
+        message: 'License has expired. Please renew your subscription.',
+        expiresAt: licenseData.expires_at
+      });
+    }
+
+    // Tier changes take effect on the next refresh
+    const inGracePeriod = expiry.status === 'grace_period';
+    const { tier, entitlements } = resolveEntitlements(licenseData);
+
+    // Maintenance windows scoped to this license's tier
+    const tierMaintenance = await getActiveMaintenance({ endpoint: 'token', version, tier });
+    if (tierMaintenance) {
+      return res.json({ valid: false, ...getMaintenanceInfo(tierMaintenance) });
+    }
+
+    // Raising minimum_version must not wait for the refresh token to expire
+    const updateNotification = await getRequiredUpdate(supabase, {
+      version: version || binding.last_version,
+      deviceId,
+      channel: licenseData.release_channel || DEFAULT_CHANNEL
+    });
+
+    if (updateNotification) {
+      await dropRefreshToken();
+
+      return res.json({
+        valid: false,
+        reason: 'UPDATE_REQUIRED',
+        message: updateNotification.message,
+        updateNotification: updateNotification
+      });
+    }
+
+    const token = await generateToken(binding.license_key, deviceId, {
+      notAfter: expiry.accessEndsAt,
+      readOnly: inGracePeriod,
+      tier,
+      entitlements,
+      version
+    });
+
+    // Update last_seen tracking (don't fail if logging errors)
+    try {
+      // Get IP from Vercel headers
+      const forwardedFor = req.headers['x-forwarded-for'];
+      const ip = forwardedFor ? forwardedFor.split(',')[0].trim() :
+                 req.headers['x-vercel-forwarded-for'] ||
+                 req.headers['x-real-ip'] ||
+                 req.socket?.remoteAddress ||
+                 null;
+
+      await supabase
+        .from('device_bindings')
+        .update({
+          last_seen: new Date().toISOString(),
+          last_ip: ip,
+          last_user_agent: req.headers['user-agent'] || null,
+          last_endpoint: 'token'
+        })
+        .eq('license_key', binding.license_key)
+        .eq('device_id', deviceId);
+    } catch (logError) {
+      console.error('[Token API] Tracking update error:', logError);
+    }
+
+    const response = {
+      valid: true,
+      reason: 'VALID',
+      message: 'Token refreshed successfully.',
+      deviceId: deviceId,
+      token: token,
+      expiresIn: getAccessTokenTtl(expiry.accessEndsAt),
+      refreshTokenExpiresAt: binding.refresh_token_expires_at,
+      expiresAt: licenseData.expires_at || null,
+      tier: tier,
+      entitlements: entitlements
+    };
+
+    if (inGracePeriod) {
+      response.reason = 'GRACE_PERIOD';
+      response.message = `License has expired. Read-only access until ${expiry.graceEndsAt.toISOString()}.`;
+      response.readOnly = true;
+      response.graceEndsAt = expiry.graceEndsAt.toISOString();
+    }
+
+    return res.json(response);
+
+  } catch (error) {
+    console.error('[Token API] Error:', error);
+    return res.status(500).json({
+      valid: false,
+      reason: 'ERROR',
+      message: 'Token refresh error. Please try again later.'
+    });
+  }
+}
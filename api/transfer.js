@@ -0,0 +1,211 @@
+// Vercel serverless function for self-service license transfer
+// Moves a device binding to the calling device (e.g. after a Chrome reinstall changed the deviceId)
+//
+// POST /api/transfer  { key, deviceId, fromDeviceId? }
+//
+// The license key authenticates the request, the same way it does for /api/validate, and key
+// guesses share validate's rate limit.
+// fromDeviceId picks which binding to move on multi-seat licenses; it accepts the full ID or
+// the masked 8-character prefix listed in validate's `devices`. Without it, the binding that
+// was seen least recently is moved.
+//
+// Every transfer is recorded in device_transfers (license_key, from_device_id, to_device_id,
+// from_bound_at, from_last_seen, from_last_ip, ip, user_agent, transferred_at). Only
+// TRANSFER_LIMIT transfers (default 2) are allowed per key in any 30-day window. The limit check,
+// the move and the history row are one transaction (the transfer_device_binding RPC, see
+// supabase/migrations), and device_transfers is only reachable with the service key.
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchLicense, getLicenseRejection } from '../lib/license.js';
+import { getActiveMaintenance, getMaintenanceInfo } from '../lib/maintenance.js';
+import { recordAuditEvent, getDeviceActor } from '../lib/audit.js';
+import { getLicenseRateLimiter, getLicenseRateLimitKeys, sendRateLimited } from '../lib/rate-limit.js';
+import { getClientIp } from '../lib/request.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY; // device_transfers is not reachable with the anon key
+const TRANSFER_LIMIT = parseInt(process.env.TRANSFER_LIMIT, 10) || 2;
+const TRANSFER_WINDOW_DAYS = 30;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+export default async function handler(req, res) {
+  // Set CORS headers FIRST - allow extension and web origins
+  const origin = req.headers.origin;
+
+  // Allow chrome-extension origins and approved web origins
+  const allowedOrigins = [
+    origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://')),
+    origin === 'https://trade.padre.gg',
+    origin === 'https://axiom.trade'
+  ];
+
+  if (allowedOrigins.some(Boolean)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { key, deviceId, fromDeviceId } = req.body || {};
+
+  const maintenance = await getActiveMaintenance({ endpoint: 'transfer' });
+  if (maintenance) {
+    return res.json({ success: false, ...getMaintenanceInfo(maintenance) });
+  }
+
+  if (!key || !deviceId) {
+    return res.status(400).json({
+      success: false,
+      reason: 'INVALID_REQUEST',
+      message: 'License key and device ID are required'
+    });
+  }
+
+  // Throttle key guessing per IP and per device
+  const ip = getClientIp(req);
+  const rateLimitKeys = getLicenseRateLimitKeys(ip, deviceId);
+  const rateLimit = await getLicenseRateLimiter().check(rateLimitKeys);
+  if (!rateLimit.allowed) {
+    return sendRateLimited(res, rateLimit.retryAfter, { success: false });
+  }
+
+  try {
+    const rejection = getLicenseRejection(await fetchLicense(supabase, key));
+    if (rejection) {
+      if (rejection.reason === 'INVALID') {
+        await getLicenseRateLimiter().recordFailure(rateLimitKeys);
+      }
+      return res.json({ success: false, ...rejection });
+    }
+
+    const { data: bindings, error: bindingsError } = await supabase
+      .from('device_bindings')
+      .select('device_id, bound_at, last_seen, last_ip')
+      .eq('license_key', key)
+      .order('last_seen', { ascending: true, nullsFirst: true });
+
+    if (bindingsError) {
+      throw bindingsError;
+    }
+
+    if (!bindings || bindings.length === 0) {
+      return res.json({
+        success: false,
+        reason: 'NOT_BOUND',
+        message: 'This license is not bound to any device. Validate it to activate this device.'
+      });
+    }
+
+    if (bindings.some(binding => binding.device_id === deviceId)) {
+      return res.json({
+        success: false,
+        reason: 'ALREADY_BOUND',
+        message: 'This license is already active on this device.'
+      });
+    }
+
+    // Pick the binding to move - explicit device (full or masked prefix) or least recently seen
+    let fromBinding = bindings[0];
+    if (fromDeviceId) {
+      const prefix = fromDeviceId.replace(/\.\.\.$/, '');
+      fromBinding = bindings.find(binding =>
+        binding.device_id === fromDeviceId || (prefix.length >= 8 && binding.device_id.startsWith(prefix))
+      );
+
+      if (!fromBinding) {
+        return res.status(404).json({
+          success: false,
+          reason: 'DEVICE_NOT_FOUND',
+          message: 'The device to transfer from is not bound to this license.'
+        });
+      }
+    }
+
+    const userAgent = req.headers['user-agent'] || null;
+
+    // Check the cooldown, move the binding and record the transfer atomically
+    const { data: transfer, error: transferError } = await supabase
+      .rpc('transfer_device_binding', {
+        p_license_key: key,
+        p_from_device_id: fromBinding.device_id,
+        p_to_device_id: deviceId,
+        p_ip: ip,
+        p_user_agent: userAgent,
+        p_transfer_limit: TRANSFER_LIMIT,
+        p_window_seconds: TRANSFER_WINDOW_DAYS * 24 * 60 * 60
+      })
+      .single();
+
+    if (transferError) {
+      throw transferError;
+    }
+
+    if (transfer.status === 'limit_reached') {
+      console.log(`[LICENSE TRANSFER BLOCKED] Key ${key.substring(0, 8)}... - ${transfer.transfers_used} transfers in ${TRANSFER_WINDOW_DAYS} days`);
+
+      return res.status(429).json({
+        success: false,
+        reason: 'TRANSFER_LIMIT_REACHED',
+        message: `This license can only be transferred ${TRANSFER_LIMIT} times every ${TRANSFER_WINDOW_DAYS} days.`,
+        nextTransferAt: new Date(transfer.next_transfer_at).toISOString()
+      });
+    }
+
+    if (transfer.status === 'already_bound') {
+      return res.json({
+        success: false,
+        reason: 'ALREADY_BOUND',
+        message: 'This license is already active on this device.'
+      });
+    }
+
+    // Another transfer or an unbind got there first - nothing moved, so no slot is used
+    if (transfer.status !== 'transferred') {
+      return res.status(409).json({
+        success: false,
+        reason: 'BINDING_CHANGED',
+        message: 'The device binding changed during the transfer. Please try again.'
+      });
+    }
+
+    const now = new Date(transfer.transferred_at).toISOString();
+
+    await recordAuditEvent(req, {
+      actor: getDeviceActor(deviceId),
+      action: 'binding.transfer',
+      target: { type: 'license', id: key },
+      before: { license_key: key, device_id: fromBinding.device_id, bound_at: fromBinding.bound_at, last_seen: fromBinding.last_seen },
+      after: { license_key: key, device_id: deviceId, bound_at: now }
+    });
+
+    const transfersUsed = transfer.transfers_used;
+    console.log(`[LICENSE TRANSFER] Key ${key.substring(0, 8)}... - ${fromBinding.device_id} -> ${deviceId} (${transfersUsed}/${TRANSFER_LIMIT} in ${TRANSFER_WINDOW_DAYS} days)`);
+
+    return res.json({
+      success: true,
+      reason: 'TRANSFERRED',
+      message: 'License transferred to this device. Please validate again.',
+      deviceId: deviceId,
+      transfersUsed: transfersUsed,
+      transfersRemaining: TRANSFER_LIMIT - transfersUsed
+    });
+
+  } catch (error) {
+    console.error('[Transfer API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      reason: 'ERROR',
+      message: 'Transfer error. Please try again later.'
+    });
+  }
+}
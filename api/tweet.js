@@ -0,0 +1,165 @@
+/**
+ * Tweet Lookup API
+ * Fetches tracked tweets through the licensed proxy, trimmed to the fields the extension renders
+ *
+ * GET ?id=<tweetId>          (Authorization: Bearer <license token>)
+ *   Returns { status: 'success', data: tweet } with X-Cache, or the same errors as
+ *   /api/twitter-optimized with TWEET_NOT_FOUND for deleted, protected or unknown tweets
+ * GET ?ids=<id>,<id>,...     (up to MAX_TWEETS)
+ *   Returns { status: 'success', tweets: { <id>: item }, summary } where each item is either
+ *   { status: 'success', cache: 'HIT'|'STALE'|'MISS', data: tweet } or
+ *   { status: 'error', error: 'INVALID_TWEET_ID'|'QUOTA_EXCEEDED'|'TWEET_NOT_FOUND'|
+ *     'UPSTREAM_RATE_LIMITED'|'UPSTREAM_UNAVAILABLE', message, reason?, retryAfter? }
+ *
+ * tweet is { id, text, created_at, author, engagement: { likes, retweets, replies, quotes, views,
+ * bookmarks }, media: [{ type, url, previewUrl }], quoted_tweet_id, in_reply_to_id,
+ * in_reply_to_user_name, conversation_id }.
+ *
+ * Tweets are cached briefly (LOOKUP_CACHE_TTLS.tweet) since engagement counts keep moving. Like the
+ * other proxies, only upstream lookups are charged (CREDITS_PER_LOOKUP per tweet) and each request
+ * is recorded as one api_requests row.
+ */
+
+import { verifyToken } from '../lib/tokens.js';
+import { ENTITLEMENTS, hasEntitlement, featureNotInPlan } from '../lib/entitlements.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { CREDITS_PER_LOOKUP, checkCreditQuota, withReservedCredits, sendQuotaExceeded } from '../lib/quota.js';
+import { getLookupCache } from '../lib/lookup-cache.js';
+import { fetchOptimizedTweet, mapWithConcurrency } from '../lib/twitter-lookup.js';
+import { getUpstreamErrorResponse, sendUpstreamError } from '../lib/upstream.js';
+import { trackUsage } from '../lib/tracking.js';
+
+const REQUIRED_ENTITLEMENT = ENTITLEMENTS.TWITTER_LOOKUP;
+
+const MAX_TWEETS = 50;
+const UPSTREAM_CONCURRENCY = 5;
+const TWEET_ID_PATTERN = /^\d{1,20}$/;
+
+export default async function handler(req, res) {
+  // CORS headers
+  const origin = req.headers.origin;
+  if (origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://'))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Cache');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  // Verify license
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const payload = await verifyToken(authHeader.substring(7));
+  if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  if (!hasEntitlement(payload, REQUIRED_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(payload, REQUIRED_ENTITLEMENT));
+  }
+
+  const maintenance = await getActiveMaintenance({ endpoint: 'tweet', version: payload.version, tier: payload.tier });
+  if (maintenance) return sendMaintenance(res, maintenance);
+
+  const { id, ids } = req.query;
+  if (ids !== undefined) return handleBatch(req, res, payload, ids);
+
+  if (!id) return res.status(400).json({ error: 'Missing id' });
+  if (!TWEET_ID_PATTERN.test(id)) return res.status(400).json({ error: 'Invalid tweet id' });
+
+  // Enforce the license's credit budget before spending upstream credits
+  const quota = await checkCreditQuota(payload);
+  if (!quota.allowed) return sendQuotaExceeded(res, quota);
+
+  let lookup;
+  try {
+    lookup = await getLookupCache().get('tweet', id, () => fetchOptimizedTweet(id), {
+      reserve: (load) => withReservedCredits(quota, load)
+    });
+  } catch (error) {
+    await trackUsage(req, payload, { endpoint: 'tweet' });
+    if (error.code === 'QUOTA_EXCEEDED') return sendQuotaExceeded(res, error.quota);
+    return sendUpstreamError(res, error, 'TWEET_NOT_FOUND');
+  }
+
+  // Only a miss reserved credits (its own, even when it joined another request's fetch); hits are free
+  const creditsUsed = lookup.cache === 'MISS' ? CREDITS_PER_LOOKUP : 0;
+  await trackUsage(req, payload, { endpoint: 'tweet', creditsUsed });
+
+  res.setHeader('X-Cache', lookup.cache);
+  res.status(200).json({ status: 'success', data: lookup.value });
+
+  // Serverless functions may be frozen once the handler returns - let a stale entry's refresh finish first
+  await lookup.revalidating;
+}
+
+// ?ids= - same dedup, budget and fan-out rules as /api/twitter-batch
+async function handleBatch(req, res, payload, ids) {
+  const tweetIds = String(ids).split(',').map(tweetId => tweetId.trim()).filter(Boolean);
+  if (tweetIds.length === 0) return res.status(400).json({ error: 'ids must list at least one tweet id' });
+  if (tweetIds.length > MAX_TWEETS) {
+    return res.status(400).json({ error: `At most ${MAX_TWEETS} ids per request` });
+  }
+
+  // At least one lookup must fit; the rest of the budget caps how many misses go upstream
+  const quota = await checkCreditQuota(payload);
+  if (!quota.allowed) return sendQuotaExceeded(res, quota);
+
+  // Invalid ids are echoed back as keys, so they must not reach Object.prototype
+  const tweets = Object.create(null);
+  const unique = [];
+  for (const tweetId of tweetIds) {
+    if (!TWEET_ID_PATTERN.test(tweetId)) {
+      tweets[tweetId] = { status: 'error', error: 'INVALID_TWEET_ID', message: 'Not a valid tweet id' };
+      continue;
+    }
+
+    if (!Object.hasOwn(tweets, tweetId)) {
+      tweets[tweetId] = null;
+      unique.push(tweetId);
+    }
+  }
+
+  // Each miss reserves its own credits, so misses past the budget fail with QUOTA_EXCEEDED
+  const reserve = (load) => withReservedCredits(quota, load);
+
+  const cache = getLookupCache();
+  const revalidations = [];
+
+  await mapWithConcurrency(unique, UPSTREAM_CONCURRENCY, async (tweetId) => {
+    try {
+      const lookup = await cache.get('tweet', tweetId, () => fetchOptimizedTweet(tweetId), { reserve });
+      if (lookup.revalidating) revalidations.push(lookup.revalidating);
+      tweets[tweetId] = { status: 'success', cache: lookup.cache, data: lookup.value };
+    } catch (error) {
+      tweets[tweetId] = error.code === 'QUOTA_EXCEEDED'
+        ? { status: 'error', error: 'QUOTA_EXCEEDED', message: error.message }
+        : { status: 'error', ...getUpstreamErrorResponse(error, 'TWEET_NOT_FOUND').body };
+    }
+  });
+
+  const items = Object.values(tweets);
+  const misses = items.filter(item => item.cache === 'MISS').length;
+  const creditsUsed = misses * CREDITS_PER_LOOKUP;
+
+  await trackUsage(req, payload, { endpoint: 'tweet', creditsUsed });
+
+  res.status(200).json({
+    status: 'success',
+    tweets,
+    summary: {
+      requested: tweetIds.length,
+      unique: unique.length,
+      hits: items.filter(item => item.cache === 'HIT' || item.cache === 'STALE').length,
+      misses,
+      errors: items.filter(item => item.status === 'error').length,
+      creditsUsed
+    }
+  });
+
+  // Serverless functions may be frozen once the handler returns - let stale refreshes finish first
+  await Promise.all(revalidations);
+}
@@ -0,0 +1,130 @@
+/**
+ * Batch Twitter User Info API
+ * Resolves many handles in one call for pages that render dozens of token rows at once
+ *
+ * POST { userNames: ['elonmusk', '@Foo', ...] }  (Authorization: Bearer <license token>)
+ * Returns { status: 'success', users: { <handle>: item }, summary } where <handle> is lowercased
+ * without the @, and each item is either
+ *   { status: 'success', cache: 'HIT'|'STALE'|'MISS', data: {...} } (same data as /api/twitter-optimized)
+ *   { status: 'error', error: 'INVALID_HANDLE'|'QUOTA_EXCEEDED'|'USER_NOT_FOUND'|'UPSTREAM_RATE_LIMITED'|
+ *     'UPSTREAM_UNAVAILABLE', message, reason?, retryAfter? } (same codes as /api/twitter-optimized)
+ *
+ * Duplicate handles are looked up once, cached entries are served from the shared lookup cache,
+ * and misses go upstream UPSTREAM_CONCURRENCY at a time. Misses are charged CREDITS_PER_LOOKUP
+ * each, limited to what is left of the license's budget; the whole batch is recorded as one
+ * api_requests row.
+ */
+
+import { verifyToken } from '../lib/tokens.js';
+import { ENTITLEMENTS, hasEntitlement, featureNotInPlan } from '../lib/entitlements.js';
+import { getActiveMaintenance, sendMaintenance } from '../lib/maintenance.js';
+import { CREDITS_PER_LOOKUP, checkCreditQuota, withReservedCredits, sendQuotaExceeded } from '../lib/quota.js';
+import { getLookupCache } from '../lib/lookup-cache.js';
+import { fetchOptimizedUser, mapWithConcurrency } from '../lib/twitter-lookup.js';
+import { getUpstreamErrorResponse } from '../lib/upstream.js';
+import { trackUsage } from '../lib/tracking.js';
+
+const REQUIRED_ENTITLEMENT = ENTITLEMENTS.TWITTER_LOOKUP;
+
+const MAX_HANDLES = 50;
+const UPSTREAM_CONCURRENCY = 5;
+const HANDLE_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+export default async function handler(req, res) {
+  const origin = req.headers.origin;
+  if (origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://'))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return res.status(401).json({ error: 'Unauthorized' });
+
+  const payload = await verifyToken(authHeader.substring(7));
+  if (!payload) return res.status(401).json({ error: 'Invalid token' });
+  if (!hasEntitlement(payload, REQUIRED_ENTITLEMENT)) {
+    return res.status(403).json(featureNotInPlan(payload, REQUIRED_ENTITLEMENT));
+  }
+
+  const maintenance = await getActiveMaintenance({ endpoint: 'twitter-batch', version: payload.version, tier: payload.tier });
+  if (maintenance) return sendMaintenance(res, maintenance);
+
+  const userNames = req.body?.userNames;
+  if (!Array.isArray(userNames) || userNames.length === 0) {
+    return res.status(400).json({ error: 'userNames must be a non-empty array' });
+  }
+  if (userNames.length > MAX_HANDLES) {
+    return res.status(400).json({ error: `At most ${MAX_HANDLES} userNames per request` });
+  }
+
+  // At least one lookup must fit; the rest of the budget caps how many misses go upstream
+  const quota = await checkCreditQuota(payload);
+  if (!quota.allowed) return sendQuotaExceeded(res, quota);
+
+  // Handles are user input - keep names like __proto__ or constructor from hitting Object.prototype
+  const users = Object.create(null);
+  const handles = [];
+  for (const userName of userNames) {
+    const handle = typeof userName === 'string' ? userName.trim().replace(/^@/, '') : '';
+    const key = handle.toLowerCase();
+
+    if (!HANDLE_PATTERN.test(handle)) {
+      users[typeof userName === 'string' ? userName : String(userName)] = {
+        status: 'error',
+        error: 'INVALID_HANDLE',
+        message: 'Not a valid Twitter handle'
+      };
+      continue;
+    }
+
+    if (!Object.hasOwn(users, key)) {
+      users[key] = null;
+      handles.push(handle);
+    }
+  }
+
+  // Each miss reserves its own credits, so misses past the budget fail with QUOTA_EXCEEDED
+  const reserve = (load) => withReservedCredits(quota, load);
+
+  const cache = getLookupCache();
+  const revalidations = [];
+
+  await mapWithConcurrency(handles, UPSTREAM_CONCURRENCY, async (handle) => {
+    try {
+      const lookup = await cache.get('user', handle, () => fetchOptimizedUser(handle), { reserve });
+      if (lookup.revalidating) revalidations.push(lookup.revalidating);
+      users[handle.toLowerCase()] = { status: 'success', cache: lookup.cache, data: lookup.value.data };
+    } catch (error) {
+      users[handle.toLowerCase()] = error.code === 'QUOTA_EXCEEDED'
+        ? { status: 'error', error: 'QUOTA_EXCEEDED', message: error.message }
+        : { status: 'error', ...getUpstreamErrorResponse(error, 'USER_NOT_FOUND').body };
+    }
+  });
+
+  const items = Object.values(users);
+  const misses = items.filter(item => item.cache === 'MISS').length;
+  const creditsUsed = misses * CREDITS_PER_LOOKUP;
+
+  await trackUsage(req, payload, { endpoint: 'twitter-batch', creditsUsed });
+
+  res.status(200).json({
+    status: 'success',
+    users,
+    summary: {
+      requested: userNames.length,
+      unique: handles.length,
+      hits: items.filter(item => item.cache === 'HIT' || item.cache === 'STALE').length,
+      misses,
+      errors: items.filter(item => item.status === 'error').length,
+      creditsUsed
+    }
+  });
+
+  // Serverless functions may be frozen once the handler returns - let stale refreshes finish first
+  await Promise.all(revalidations);
+}
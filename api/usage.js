@@ -0,0 +1,45 @@
+// Vercel serverless function for lookup credit usage
+// Returns the license's daily and monthly credit budgets so the extension can show what is left
+//
+// GET /api/usage  (Authorization: Bearer <license token>)
+// Budgets and reset times are described in lib/quota.js.
+
+import { verifyToken } from '../lib/tokens.js';
+import { CREDITS_PER_LOOKUP, getCreditUsage } from '../lib/quota.js';
+
+export default async function handler(req, res) {
+  const origin = req.headers.origin;
+  if (origin && (origin.startsWith('chrome-extension://') || origin.startsWith('moz-extension://'))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return res.status(401).json({ error: 'Unauthorized' });
+
+  const payload = await verifyToken(authHeader.substring(7));
+  if (!payload) return res.status(401).json({ error: 'Invalid token' });
+
+  try {
+    const usage = await getCreditUsage(payload);
+    if (!usage) {
+      return res.status(404).json({ error: 'NOT_BOUND', message: 'This device is not bound to a license.' });
+    }
+
+    return res.status(200).json({
+      tier: usage.tier,
+      creditsPerLookup: CREDITS_PER_LOOKUP,
+      daily: usage.daily,
+      monthly: usage.monthly,
+      lookupsRemaining: Math.floor(Math.min(usage.daily.remaining, usage.monthly.remaining) / CREDITS_PER_LOOKUP)
+    });
+  } catch (error) {
+    console.error('[Usage API] Error:', error);
+    return res.status(500).json({ error: 'Failed to load usage' });
+  }
+}
@@ -1,52 +1,31 @@
 // Vercel serverless function for license validation with device binding
 // Uses Supabase for automatic device registration and license key management
 // Returns signed JWT token for server-side API enforcement
+// Also returns a long-lived refresh token that /api/token exchanges for new access tokens
 
 import { createClient } from '@supabase/supabase-js';
-import { SignJWT, jwtVerify } from 'jose';
+import { generateToken, generateRefreshToken, getAccessTokenTtl } from '../lib/tokens.js';
+import {
+  getExpiryStatus,
+  fetchLicense,
+  getLicenseRejection,
+  fetchBindings,
+  toDeviceList,
+  getDeviceLimitMessage
+} from '../lib/license.js';
+import { resolveEntitlements } from '../lib/entitlements.js';
+import { getLicenseRateLimiter, getLicenseRateLimitKeys, sendRateLimited } from '../lib/rate-limit.js';
+import { getClientIp } from '../lib/request.js';
+import { getRequiredUpdate, DEFAULT_CHANNEL } from '../lib/releases.js';
+import { getActiveMaintenance, getMaintenanceInfo } from '../lib/maintenance.js';
+import { recordAuditEvent, getDeviceActor } from '../lib/audit.js';
+import { queueWebhookEvent, WEBHOOK_EVENTS } from '../lib/webhooks.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
-const masterKillSwitch = process.env.MASTER_KILL_SWITCH === 'true';
-const JWT_SECRET = process.env.JWT_SECRET;
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-const secretKey = new TextEncoder().encode(JWT_SECRET);
-
-// Compare two semantic versions (e.g., "1.2.3" vs "1.3.0")
-// Returns: -1 if v1 < v2, 0 if equal, 1 if v1 > v2
-function compareVersions(v1, v2) {
-  if (!v1 || !v2) return 0;
-  
-  const parts1 = v1.split('.').map(Number);
-  const parts2 = v2.split('.').map(Number);
-  
-  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-    const part1 = parts1[i] || 0;
-    const part2 = parts2[i] || 0;
-    
-    if (part1 < part2) return -1;
-    if (part1 > part2) return 1;
-  }
-  
-  return 0;
-}
-
-async function generateToken(licenseKey, deviceId) {
-  const token = await new SignJWT({
-    licenseKey: licenseKey.substring(0, 8) + '...',
-    deviceId: deviceId,
-    purpose: 'honed-license'
-  })
-    .setProtectedHeader({ alg: 'HS256' })
-    .setIssuedAt()
-    .setExpirationTime('5m')
-    .sign(secretKey);
-
-  return token;
-}
-
 export default async function handler(req, res) {
   // Set CORS headers FIRST - allow extension and web origins
   const origin = req.headers.origin;
@@ -64,6 +43,7 @@ export default async function handler(req, res) {
   }
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -75,12 +55,10 @@ export default async function handler(req, res) {
 
   const { key, deviceId, version } = req.query;
 
-  if (masterKillSwitch) {
-    return res.json({
-      valid: false,
-      reason: 'MAINTENANCE',
-      message: 'Extension is temporarily disabled for maintenance.'
-    });
+  // Maintenance windows scoped to all users, this endpoint or this version
+  const maintenance = await getActiveMaintenance({ endpoint: 'validate', version });
+  if (maintenance) {
+    return res.json({ valid: false, ...getMaintenanceInfo(maintenance) });
   }
 
   if (!key || !deviceId) {
@@ -91,96 +69,74 @@ export default async function handler(req, res) {
     });
   }
 
-  // Check for version update requirements
-  let versionUpdateRequired = false;
-  let versionUpdateInfo = null;
-  
-  console.log(`[Validate API] Version check - Received version: ${version}`);
-  
-  try {
-    const { data: versionData, error: versionError } = await supabase
-      .from('extension_versions')
-      .select('minimum_version, version, download_url')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    console.log(`[Validate API] Database version data:`, versionData, 'Error:', versionError);
-
-    if (!versionError && versionData) {
-      const currentVersion = version || '1.0';
-      const minimumVersion = versionData.minimum_version || '1.0';
-      const compareResult = compareVersions(currentVersion, minimumVersion);
-      
-      console.log(`[Validate API] Comparing versions: current=${currentVersion}, minimum=${minimumVersion}, result=${compareResult} (-1=needs update, 0=same, 1=ok)`);
-      
-      // Simple version comparison (assumes semver format: x.y.z)
-      if (compareResult < 0) {
-        versionUpdateRequired = true;
-        versionUpdateInfo = {
-          active: true,
-          message: `Update required. Your version (${currentVersion}) is outdated. Please update to version ${versionData.version} or later.`,
-          downloadUrl: versionData.download_url,
-          currentVersion: currentVersion,
-          minimumVersion: minimumVersion,
-          latestVersion: versionData.version
-        };
-        console.log(`[Validate API] ❌ Version update REQUIRED: ${currentVersion} < ${minimumVersion}`);
-      } else {
-        console.log(`[Validate API] ✅ Version OK: ${currentVersion} >= ${minimumVersion}`);
-      }
-    } else {
-      console.log(`[Validate API] No active version found in database`);
-    }
-  } catch (versionCheckError) {
-    console.error('[Validate API] Version check error:', versionCheckError);
-    // Continue with validation even if version check fails
+  // Throttle key guessing per IP and per device
+  const rateLimitKeys = getLicenseRateLimitKeys(getClientIp(req), deviceId);
+  const rateLimit = await getLicenseRateLimiter().check(rateLimitKeys);
+  if (!rateLimit.allowed) {
+    return sendRateLimited(res, rateLimit.retryAfter, { valid: false });
   }
 
   try {
-    // Check if license key exists and is not revoked in Supabase
-    const { data: licenseData, error: licenseError } = await supabase
-      .from('license_keys')
-      .select('key, revoked')
-      .eq('key', key)
-      .single();
-
-    if (licenseError && licenseError.code !== 'PGRST116') {
-      throw licenseError;
-    }
+    // Check that the key exists, is not revoked and is not past its grace window
+    const licenseData = await fetchLicense(supabase, key);
+    const rejection = getLicenseRejection(licenseData);
 
-    // Check if key exists
-    if (!licenseData) {
-      return res.json({
-        valid: false,
-        reason: 'INVALID',
-        message: 'Invalid license key.'
-      });
+    if (rejection) {
+      if (rejection.reason === 'INVALID') {
+        await getLicenseRateLimiter().recordFailure(rateLimitKeys);
+      }
+      return res.json({ valid: false, ...rejection });
     }
 
-    // Check if key is revoked
-    if (licenseData.revoked) {
-      return res.json({
-        valid: false,
-        reason: 'REVOKED',
-        message: 'License key has been revoked.'
-      });
-    }
+    // Same expiry rules as subscription-status, plus the grace window
+    const expiry = getExpiryStatus(licenseData.expires_at);
 
-    // Check device binding
-    const { data: existingBinding, error: fetchError } = await supabase
-      .from('device_bindings')
-      .select('device_id, license_key')
-      .eq('license_key', key)
-      .single();
+    // During the grace period tokens are read-only and never outlive the grace window
+    const inGracePeriod = expiry.status === 'grace_period';
+    const { tier, entitlements } = resolveEntitlements(licenseData);
+    const tokenOptions = { notAfter: expiry.accessEndsAt, readOnly: inGracePeriod, tier, entitlements, version };
 
-    if (fetchError && fetchError.code !== 'PGRST116') {
-      throw fetchError;
+    // Maintenance windows scoped to this license's tier
+    const tierMaintenance = await getActiveMaintenance({ endpoint: 'validate', version, tier });
+    if (tierMaintenance) {
+      return res.json({ valid: false, ...getMaintenanceInfo(tierMaintenance) });
     }
 
+    // Check for version update requirements on the license's release channel
+    const channel = licenseData.release_channel || DEFAULT_CHANNEL;
+    const versionUpdateInfo = await getRequiredUpdate(supabase, { version, deviceId, channel });
+    const versionUpdateRequired = Boolean(versionUpdateInfo);
+
+    // Check device bindings - a license may be bound to up to max_devices devices
+    const maxDevices = licenseData.max_devices || 1;
+
+    const bindings = await fetchBindings(supabase, key);
+    const existingBinding = bindings.find(binding => binding.device_id === deviceId);
+
+    // Masked list of bound devices so the user can tell which seat to free
+    const devices = toDeviceList(bindings, deviceId);
+
     // Helper function to build response with version update notification
     function buildResponse(baseResponse) {
+      baseResponse = {
+        ...baseResponse,
+        expiresAt: licenseData.expires_at || null,
+        tier: tier,
+        entitlements: entitlements,
+        maxDevices: maxDevices,
+        devices: devices
+      };
+
+      if (inGracePeriod) {
+        baseResponse = {
+          ...baseResponse,
+          reason: 'GRACE_PERIOD',
+          message: `License has expired. Read-only access until ${expiry.graceEndsAt.toISOString()}.`,
+          readOnly: true,
+          graceEndsAt: expiry.graceEndsAt.toISOString()
+        };
+      }
+
       if (versionUpdateRequired && versionUpdateInfo) {
         return {
           ...baseResponse,
@@ -193,73 +149,139 @@ export default async function handler(req, res) {
     }
 
     if (existingBinding) {
-      if (existingBinding.device_id === deviceId) {
-        const token = await generateToken(key, deviceId);
-
-        // Update last_seen tracking (don't fail if logging errors)
-        try {
-          // Get IP from Vercel headers
-          const forwardedFor = req.headers['x-forwarded-for'];
-          const ip = forwardedFor ? forwardedFor.split(',')[0].trim() :
-                     req.headers['x-vercel-forwarded-for'] ||
-                     req.headers['x-real-ip'] ||
-                     req.socket?.remoteAddress ||
-                     null;
-
-          await supabase
-            .from('device_bindings')
-            .update({
-              last_seen: new Date().toISOString(),
-              last_ip: ip,
-              last_user_agent: req.headers['user-agent'] || null,
-              last_endpoint: 'validate'
-            })
-            .eq('license_key', key);
-        } catch (logError) {
-          console.error('[Validate API] Tracking update error:', logError);
+      const token = await generateToken(key, deviceId, tokenOptions);
+      // Outdated versions must come back through validate, so they get no refresh token
+      const refresh = versionUpdateRequired ? null : generateRefreshToken(expiry.graceEndsAt);
+
+      if (refresh) {
+        const { error: refreshError } = await supabase
+          .from('device_bindings')
+          .update({
+            refresh_token_hash: refresh.hash,
+            refresh_token_expires_at: refresh.expiresAt
+          })
+          .eq('license_key', key)
+          .eq('device_id', deviceId);
+
+        if (refreshError) {
+          throw refreshError;
         }
+      }
 
-        return res.json(buildResponse({
-          valid: true,
-          reason: 'VALID',
-          message: 'License validated successfully.',
-          deviceId: deviceId,
-          token: token
-        }));
-      } else {
-        return res.json({
-          valid: false,
-          reason: 'DEVICE_MISMATCH',
-          message: 'This license key is already bound to another device. Each key can only be used on one device.'
-        });
+      // Update last_seen tracking (don't fail if logging errors)
+      try {
+        // Get IP from Vercel headers
+        const forwardedFor = req.headers['x-forwarded-for'];
+        const ip = forwardedFor ? forwardedFor.split(',')[0].trim() :
+                   req.headers['x-vercel-forwarded-for'] ||
+                   req.headers['x-real-ip'] ||
+                   req.socket?.remoteAddress ||
+                   null;
+
+        await supabase
+          .from('device_bindings')
+          .update({
+            last_seen: new Date().toISOString(),
+            last_ip: ip,
+            last_user_agent: req.headers['user-agent'] || null,
+            last_endpoint: 'validate',
+            last_version: version || null
+          })
+          .eq('license_key', key)
+          .eq('device_id', deviceId);
+      } catch (logError) {
+        console.error('[Validate API] Tracking update error:', logError);
       }
+
+      return res.json(buildResponse({
+        valid: true,
+        reason: 'VALID',
+        message: 'License validated successfully.',
+        deviceId: deviceId,
+        token: token,
+        expiresIn: getAccessTokenTtl(expiry.accessEndsAt),
+        refreshToken: refresh?.token || null,
+        refreshTokenExpiresAt: refresh?.expiresAt || null
+      }));
+    } else if (devices.length >= maxDevices) {
+      // Queued before responding so the retry cron delivers it even if the function is frozen
+      const sendWebhook = await queueWebhookEvent(WEBHOOK_EVENTS.DEVICE_MISMATCH, {
+        licenseKey: key.substring(0, 8) + '...',
+        deviceId: deviceId,
+        endpoint: 'validate',
+        boundDevices: devices.length,
+        maxDevices: maxDevices
+      }, { throttleKey: key });
+
+      res.json({
+        valid: false,
+        reason: 'DEVICE_MISMATCH',
+        message: getDeviceLimitMessage(devices.length, maxDevices),
+        maxDevices: maxDevices,
+        devices: devices
+      });
+
+      // First attempt after responding, so a slow subscriber never delays the extension
+      await sendWebhook();
+      return;
     } else {
+      const refresh = versionUpdateRequired ? null : generateRefreshToken(expiry.graceEndsAt);
+      const now = new Date().toISOString();
+
       const { error: insertError } = await supabase
         .from('device_bindings')
         .insert({
           license_key: key,
           device_id: deviceId,
-          bound_at: new Date().toISOString(),
-          last_seen: new Date().toISOString(),
+          bound_at: now,
+          last_seen: now,
           last_ip: req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || req.socket?.remoteAddress || null,
           last_user_agent: req.headers['user-agent'] || null,
-          last_endpoint: 'validate'
+          last_endpoint: 'validate',
+          last_version: version || null,
+          refresh_token_hash: refresh?.hash || null,
+          refresh_token_expires_at: refresh?.expiresAt || null
         });
 
       if (insertError) {
         throw insertError;
       }
 
-      const token = await generateToken(key, deviceId);
+      await recordAuditEvent(req, {
+        actor: getDeviceActor(deviceId),
+        action: 'binding.create',
+        target: { type: 'license', id: key },
+        after: { license_key: key, device_id: deviceId, bound_at: now, endpoint: 'validate' }
+      });
 
-      return res.json(buildResponse({
+      devices.push(...toDeviceList([{ device_id: deviceId, bound_at: now, last_seen: now }], deviceId));
+
+      const token = await generateToken(key, deviceId, tokenOptions);
+
+      // Queued before responding so the retry cron delivers it even if the function is frozen
+      const sendWebhook = await queueWebhookEvent(WEBHOOK_EVENTS.DEVICE_REGISTERED, {
+        licenseKey: key.substring(0, 8) + '...',
+        deviceId: deviceId,
+        endpoint: 'validate',
+        boundDevices: devices.length,
+        maxDevices: maxDevices
+      });
+
+      res.json(buildResponse({
         valid: true,
         reason: 'VALID',
         message: 'License validated successfully. Device registered.',
         deviceId: deviceId,
         newDevice: true,
-        token: token
+        token: token,
+        expiresIn: getAccessTokenTtl(expiry.accessEndsAt),
+        refreshToken: refresh?.token || null,
+        refreshTokenExpiresAt: refresh?.expiresAt || null
       }));
+
+      // First attempt after responding, so a slow subscriber never delays the extension
+      await sendWebhook();
+      return;
     }
 
   } catch (error) {
@@ -0,0 +1,146 @@
+/**
+ * Scoped admin API tokens
+ *
+ * admin_tokens rows (id, name, token_hash, scopes text[], expires_at, revoked_at, last_used_at,
+ * created_at) are managed through /api/admin-tokens; the first token is created with
+ * scripts/create-admin-token.js. Only the SHA-256 of a token is stored.
+ *
+ * Every admin route declares the scope it requires. Authentication fails closed: without
+ * SUPABASE_SERVICE_KEY, or if admin_tokens cannot be read, every request is denied.
+ *
+ * Browser access is limited to ADMIN_ALLOWED_ORIGINS (comma-separated); scripts and curl send
+ * no Origin and are unaffected.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createHash, randomBytes } from 'crypto';
+
+export const ADMIN_SCOPES = {
+  VERSIONS_WRITE: 'versions:write',         // /api/admin-versions
+  LICENSES_WRITE: 'licenses:write',         // /api/admin-licenses, /api/admin-bindings
+  CONFIGS_MODERATE: 'configs:moderate',     // /api/admin-configs
+  AUDIT_READ: 'audit:read',                 // /api/admin-audit
+  ANALYTICS_READ: 'analytics:read',         // /api/admin-analytics
+  KEYS_WRITE: 'keys:write',                 // /api/admin-keys
+  MAINTENANCE_WRITE: 'maintenance:write',   // /api/admin-maintenance
+  TOKENS_WRITE: 'tokens:write',             // /api/admin-tokens
+  WEBHOOKS_WRITE: 'webhooks:write'          // /api/admin-webhooks
+};
+
+const TOKEN_PREFIX = 'hadm_';
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+/**
+ * Hash an admin token for storage and lookup
+ * @param {string} token - Raw admin token
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashAdminToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new admin token
+ * @returns {{ token: string, hash: string }} Raw token (shown once) and hash for admin_tokens
+ */
+export function generateAdminToken() {
+  const token = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+  return { token, hash: hashAdminToken(token) };
+}
+
+/**
+ * Set CORS headers for an admin route
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} methods - Allowed methods, e.g. 'GET, POST, OPTIONS'
+ */
+export function setAdminCorsHeaders(req, res, methods) {
+  const origin = req.headers.origin;
+  const allowedOrigins = (process.env.ADMIN_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (origin && allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Authenticate an admin request and check that its token has a scope.
+ * On success the token is attached as req.adminToken (used for audit actors and token creation).
+ * @param {Object} req - Request object
+ * @param {string} scope - One of ADMIN_SCOPES
+ * @returns {Promise<{ ok: true, token: Object } | { ok: false, status: number, error: string }>}
+ */
+export async function authenticateAdmin(req, scope) {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('[AdminAuth] SUPABASE_SERVICE_KEY is not set, denying admin request');
+    return { ok: false, status: 503, error: 'Admin authentication is not configured' };
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith(`Bearer ${TOKEN_PREFIX}`)) {
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+
+  const { data: token, error } = await getSupabase()
+    .from('admin_tokens')
+    .select('id, name, scopes, expires_at, revoked_at')
+    .eq('token_hash', hashAdminToken(authHeader.substring(7)))
+    .maybeSingle();
+
+  if (error) {
+    console.error('[AdminAuth] Token lookup error:', error);
+    return { ok: false, status: 503, error: 'Admin authentication unavailable' };
+  }
+
+  if (!token || token.revoked_at || (token.expires_at && new Date(token.expires_at) <= new Date())) {
+    return { ok: false, status: 401, error: 'Unauthorized' };
+  }
+
+  if (!Array.isArray(token.scopes) || !token.scopes.includes(scope)) {
+    return { ok: false, status: 403, error: 'Forbidden', requiredScope: scope };
+  }
+
+  const { error: touchError } = await getSupabase()
+    .from('admin_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', token.id);
+
+  if (touchError) {
+    console.error('[AdminAuth] last_used_at update error:', touchError);
+  }
+
+  req.adminToken = { id: token.id, name: token.name, scopes: token.scopes, expires_at: token.expires_at };
+  return { ok: true, token: req.adminToken };
+}
+
+/**
+ * Authenticate and send the error response when it fails
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} scope - One of ADMIN_SCOPES
+ * @returns {Promise<boolean>} true if the request may proceed
+ */
+export async function requireAdmin(req, res, scope) {
+  const auth = await authenticateAdmin(req, scope);
+  if (auth.ok) {
+    return true;
+  }
+
+  const { ok, status, ...body } = auth;
+  res.status(status).json(body);
+  return false;
+}
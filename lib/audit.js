@@ -0,0 +1,91 @@
+/**
+ * Append-only audit log
+ *
+ * audit_events rows (id, actor_type, actor_id, action, target_type, target_id, before jsonb,
+ * after jsonb, ip, created_at) record administrative and ownership-changing actions:
+ * who (an admin token id, or the deviceId from a license token), did what, to which row, and the row
+ * before and after. Query them through /api/admin-audit.
+ *
+ * Events are written with the service key. The table is insert-only (supabase/migrations): anon
+ * has no access at all, service_role may only INSERT and SELECT, and created_at is always set by
+ * the database, so an entry can be neither forged by a client nor rewritten or backdated later.
+ *
+ * Writing an event never throws: a failed audit insert is logged, and the action it describes
+ * still goes through.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { getClientIp } from './request.js';
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+/**
+ * Actor for requests authenticated with an admin token (see lib/admin-auth.js)
+ * @param {Object} req - Request object
+ * @returns {{type: string, id: string}}
+ */
+export function getAdminActor(req) {
+  return { type: 'admin', id: req.adminToken?.id ? String(req.adminToken.id) : 'unknown' };
+}
+
+/**
+ * Actor for requests authenticated with a license token or key + deviceId
+ * @param {string} deviceId
+ * @returns {{type: string, id: string}}
+ */
+export function getDeviceActor(deviceId) {
+  return { type: 'device', id: deviceId };
+}
+
+/**
+ * Record an audit event
+ * @param {Object} req - Request object (for the client IP)
+ * @param {Object} event
+ * @param {{type: string, id: string}} event.actor
+ * @param {string} event.action - e.g. 'version.upsert', 'config.delete', 'binding.create'
+ * @param {{type: string, id: string}} event.target - e.g. { type: 'extension_version', id: '1.2.0' }
+ * @param {Object} [event.before] - Row before the change (null for creates)
+ * @param {Object} [event.after] - Row after the change (null for deletes)
+ */
+export async function recordAuditEvent(req, event) {
+  return recordAuditEvents(req, [event]);
+}
+
+/**
+ * Record several audit events in one insert (e.g. a bulk revoke)
+ * @param {Object} req - Request object (for the client IP)
+ * @param {Array<Object>} events - Events as accepted by recordAuditEvent
+ */
+export async function recordAuditEvents(req, events) {
+  if (events.length === 0) return;
+
+  const ip = getClientIp(req);
+
+  try {
+    const { error } = await getSupabase()
+      .from('audit_events')
+      .insert(events.map(({ actor, action, target, before = null, after = null }) => ({
+        actor_type: actor.type,
+        actor_id: actor.id,
+        action,
+        target_type: target.type,
+        target_id: String(target.id),
+        before,
+        after,
+        ip
+      })));
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${events.map(event => event.action).join(', ')}:`, error);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * License tiers and entitlements
+ *
+ * license_keys.tier picks a default entitlement set; license_keys.entitlements (text[]) overrides
+ * it per key when set. validate embeds both as JWT claims and each licensed endpoint declares the
+ * entitlement it requires.
+ */
+
+export const ENTITLEMENTS = {
+  DATASET_SYNC: 'dataset_sync',       // /api/supabase admins and tokens dataset
+  TWITTER_LOOKUP: 'twitter_lookup',   // twitterapi.io user, community and tweet proxies
+  CONFIG_PUBLISH: 'config_publish'    // Publishing public configs via config-share
+};
+
+export const TIER_ENTITLEMENTS = {
+  basic: [ENTITLEMENTS.DATASET_SYNC],
+  pro: [ENTITLEMENTS.DATASET_SYNC, ENTITLEMENTS.TWITTER_LOOKUP, ENTITLEMENTS.CONFIG_PUBLISH]
+};
+
+// Keys issued before tiers existed keep full access
+export const DEFAULT_TIER = 'pro';
+
+/**
+ * Resolve the tier and entitlements of a license_keys row
+ * @param {Object} license - Row with optional tier and entitlements columns
+ * @returns {{ tier: string, entitlements: string[] }}
+ */
+export function resolveEntitlements(license) {
+  const tier = license?.tier && TIER_ENTITLEMENTS[license.tier] ? license.tier : DEFAULT_TIER;
+  const entitlements = Array.isArray(license?.entitlements) ? license.entitlements : TIER_ENTITLEMENTS[tier];
+
+  return { tier, entitlements };
+}
+
+/**
+ * Check whether a verified token grants an entitlement
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @param {string} entitlement - One of ENTITLEMENTS
+ * @returns {boolean}
+ */
+export function hasEntitlement(payload, entitlement) {
+  // Tokens signed before entitlements were embedded fall back to the default tier
+  const entitlements = Array.isArray(payload?.entitlements)
+    ? payload.entitlements
+    : TIER_ENTITLEMENTS[DEFAULT_TIER];
+
+  return entitlements.includes(entitlement);
+}
+
+/**
+ * Build the 403 body for a missing entitlement
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @param {string} entitlement - The entitlement that was required
+ * @returns {Object} Response body
+ */
+export function featureNotInPlan(payload, entitlement) {
+  return {
+    error: 'FEATURE_NOT_IN_PLAN',
+    message: 'This feature is not included in your plan.',
+    requiredEntitlement: entitlement,
+    tier: payload?.tier || DEFAULT_TIER
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Signing key ring for honed-license access tokens
+ *
+ * Keys live in the signing_keys table (kid, alg, status, private_key, public_key, created_at,
+ * promoted_at, demoted_at, retired_at), read with the service key and cached per instance for
+ * KEY_RING_CACHE_SECONDS. Statuses:
+ *   pending  - generated and published in the JWKS, not used yet
+ *   active   - signs new tokens (exactly one)
+ *   verify   - no longer signs, but tokens it signed are still accepted
+ *   retired  - no longer accepted or published
+ *
+ * The JWT_PRIVATE_KEY / JWT_KEY_ID env key is part of the ring until a signing_keys row with the
+ * same kid says otherwise. It is active only while the table has no active key, so existing
+ * deployments keep working and its tokens stay valid after the first promotion.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { exportJWK } from 'jose';
+import { createPrivateKey, createPublicKey, generateKeyPairSync } from 'crypto';
+
+const JWT_PRIVATE_KEY = process.env.JWT_PRIVATE_KEY;
+const JWT_KEY_ID = process.env.JWT_KEY_ID || 'honed-1';
+
+export const KEY_RING_CACHE_SECONDS = 60;
+
+// Unknown kids trigger a reload, but not more often than this
+const MIN_RELOAD_INTERVAL_MS = 5 * 1000;
+
+let supabase = null;
+let cachedRing = null;
+let cachedAt = 0;
+let loadingRing = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+/**
+ * Work out the JWS algorithm for a key
+ * @param {KeyObject} keyObject - Private or public key
+ * @returns {string} EdDSA or ES256
+ */
+function getKeyAlgorithm(keyObject) {
+  if (keyObject.asymmetricKeyType === 'ed25519') return 'EdDSA';
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1') return 'ES256';
+  throw new Error(`Unsupported signing key type: ${keyObject.asymmetricKeyType}`);
+}
+
+/**
+ * Build the env-configured key entry, if any
+ * @returns {object|null} Key ring entry
+ */
+function getEnvKey() {
+  if (!JWT_PRIVATE_KEY) return null;
+
+  // Vercel env vars often store PEM newlines escaped
+  const privateKey = createPrivateKey(JWT_PRIVATE_KEY.replace(/\\n/g, '\n'));
+
+  return {
+    kid: JWT_KEY_ID,
+    alg: getKeyAlgorithm(privateKey),
+    status: 'active',
+    privateKey,
+    publicKey: createPublicKey(privateKey)
+  };
+}
+
+async function loadKeyRing() {
+  const { data, error } = await getSupabase()
+    .from('signing_keys')
+    .select('kid, alg, status, private_key, public_key');
+
+  if (error) {
+    throw error;
+  }
+
+  const ring = data
+    .filter(row => row.status !== 'retired')
+    .map(row => ({
+      kid: row.kid,
+      alg: row.alg,
+      status: row.status,
+      privateKey: row.private_key ? createPrivateKey(row.private_key) : null,
+      publicKey: createPublicKey(row.public_key)
+    }));
+
+  const envKey = getEnvKey();
+  if (envKey && !data.some(row => row.kid === envKey.kid)) {
+    if (ring.some(key => key.status === 'active')) {
+      envKey.status = 'verify';
+    }
+    ring.push(envKey);
+  }
+
+  return ring;
+}
+
+/**
+ * Get the current key ring (cached per instance)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Reload from the database even if the cache is fresh
+ * @returns {Promise<object[]>} Key ring entries ({ kid, alg, status, privateKey, publicKey })
+ */
+export async function getKeyRing({ forceRefresh = false } = {}) {
+  const age = Date.now() - cachedAt;
+  if (cachedRing && age < KEY_RING_CACHE_SECONDS * 1000 && !(forceRefresh && age >= MIN_RELOAD_INTERVAL_MS)) {
+    return cachedRing;
+  }
+
+  if (!loadingRing) {
+    loadingRing = loadKeyRing()
+      .then(ring => {
+        cachedRing = ring;
+        cachedAt = Date.now();
+        return ring;
+      })
+      .catch(error => {
+        console.error('[KeyRing] Failed to load signing keys:', error.message);
+        // Keep serving the last known ring, or the env key on a cold start
+        if (!cachedRing) {
+          const envKey = getEnvKey();
+          cachedRing = envKey ? [envKey] : [];
+        }
+        cachedAt = Date.now();
+        return cachedRing;
+      })
+      .finally(() => {
+        loadingRing = null;
+      });
+  }
+
+  return loadingRing;
+}
+
+/**
+ * Get the key that signs new tokens
+ * @returns {Promise<object>} Active key ring entry
+ */
+export async function getSigningKey() {
+  const ring = await getKeyRing();
+  const activeKey = ring.find(key => key.status === 'active' && key.privateKey);
+
+  if (!activeKey) {
+    throw new Error('No active signing key configured');
+  }
+  return activeKey;
+}
+
+/**
+ * Get the key that verifies tokens with the given kid
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<object|null>} Key ring entry, or null if the kid is unknown or retired
+ */
+export async function getVerificationKey(kid) {
+  if (!kid) return null;
+
+  const isAccepted = key => key.kid === kid && (key.status === 'active' || key.status === 'verify');
+
+  let key = (await getKeyRing()).find(isAccepted);
+  if (!key) {
+    // The key may have been promoted after this instance cached the ring
+    key = (await getKeyRing({ forceRefresh: true })).find(isAccepted);
+  }
+  return key || null;
+}
+
+/**
+ * Get the public JWK set for /.well-known/jwks.json (pending, active and verify keys)
+ * @returns {Promise<{ keys: object[] }>} JWKS document
+ */
+export async function getPublicJwks() {
+  const ring = await getKeyRing();
+
+  const keys = await Promise.all(ring.map(async key => ({
+    ...(await exportJWK(key.publicKey)),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig'
+  })));
+
+  return { keys };
+}
+
+/**
+ * Generate a new signing key pair in PEM form
+ * @param {string} [alg] - EdDSA (default) or ES256
+ * @returns {{ alg: string, privateKey: string, publicKey: string }} PKCS#8 / SPKI PEM strings
+ */
+export function generateSigningKeyPair(alg = 'EdDSA') {
+  const { privateKey, publicKey } = alg === 'ES256'
+    ? generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+    : generateKeyPairSync('ed25519');
+
+  return {
+    alg: getKeyAlgorithm(privateKey),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Export the env-configured key's public half, so it can be recorded in signing_keys
+ * @returns {{ kid: string, alg: string, publicKey: string }|null}
+ */
+export function getEnvKeyInfo() {
+  const envKey = getEnvKey();
+  if (!envKey) return null;
+
+  return {
+    kid: envKey.kid,
+    alg: envKey.alg,
+    publicKey: envKey.publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Drop the cached ring so the next call reloads it (used after admin changes)
+ */
+export function clearKeyRingCache() {
+  cachedRing = null;
+  cachedAt = 0;
+}
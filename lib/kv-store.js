@@ -0,0 +1,66 @@
+/**
+ * Key/value stores with per-entry TTLs ({ get(key), set(key, record, ttlSeconds) })
+ * Backs the shared lookup cache (lib/lookup-cache.js).
+ *
+ *   createSupabaseStore - a table with key text primary key, data jsonb, expires_at; shared across
+ *                         serverless instances
+ *   createMemoryStore   - per-process Map, for tests and local development
+ */
+
+/**
+ * In-memory store (per process)
+ * @returns {{ get: Function, set: Function }}
+ */
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt < Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlSeconds) {
+      records.set(key, { record, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+  };
+}
+
+/**
+ * Supabase-backed store, shared across serverless instances
+ * @param {Object} supabase - Supabase client
+ * @param {string} table - Table name
+ * @returns {{ get: Function, set: Function }}
+ */
+export function createSupabaseStore(supabase, table) {
+  return {
+    async get(key) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('data, expires_at')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || new Date(data.expires_at) < new Date()) return null;
+      return data.data;
+    },
+
+    async set(key, record, ttlSeconds) {
+      const { error } = await supabase
+        .from(table)
+        .upsert({
+          key,
+          data: record,
+          expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+        }, { onConflict: 'key' });
+
+      if (error) throw error;
+    }
+  };
+}
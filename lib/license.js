@@ -0,0 +1,221 @@
+/**
+ * Shared license rules
+ * Used by validate, register, token refresh, transfer and subscription-status so they agree on
+ * when a key is usable and how many devices it may hold
+ *
+ * After expires_at a license enters a grace window (LICENSE_GRACE_PERIOD_HOURS, default 48h)
+ * during which tokens are still issued but marked read-only. After the window it is expired.
+ */
+
+import { randomBytes } from 'crypto';
+import { hashLicenseKey } from './tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const parsedGraceHours = parseInt(process.env.LICENSE_GRACE_PERIOD_HOURS, 10);
+export const GRACE_PERIOD_HOURS = Number.isNaN(parsedGraceHours) ? 48 : Math.max(parsedGraceHours, 0);
+
+// Licenses with this many days or fewer left are reported as expiring_soon
+export const EXPIRING_SOON_DAYS = 7;
+
+/**
+ * Work out the expiry state of a license
+ * @param {string|null} expiresAt - license_keys.expires_at (null for lifetime licenses)
+ * @param {Date} [now] - Reference time
+ * @returns {{ status: string, daysRemaining: number|null, graceEndsAt: Date|null, accessEndsAt: Date|null }}
+ *   status is one of lifetime, active, expiring_soon, grace_period, expired.
+ *   accessEndsAt is the latest time an access token for this license may be valid.
+ */
+export function getExpiryStatus(expiresAt, now = new Date()) {
+  if (!expiresAt) {
+    return { status: 'lifetime', daysRemaining: null, graceEndsAt: null, accessEndsAt: null };
+  }
+
+  const expiry = new Date(expiresAt);
+  const daysRemaining = Math.ceil((expiry - now) / DAY_MS);
+  const graceEndsAt = new Date(expiry.getTime() + GRACE_PERIOD_HOURS * HOUR_MS);
+
+  if (expiry >= now) {
+    return {
+      status: daysRemaining <= EXPIRING_SOON_DAYS ? 'expiring_soon' : 'active',
+      daysRemaining,
+      graceEndsAt,
+      accessEndsAt: expiry
+    };
+  }
+
+  if (graceEndsAt > now) {
+    return { status: 'grace_period', daysRemaining, graceEndsAt, accessEndsAt: graceEndsAt };
+  }
+
+  return { status: 'expired', daysRemaining, graceEndsAt, accessEndsAt: null };
+}
+
+/**
+ * Mask a device ID for display (show first 8 chars only)
+ * @param {string} deviceId - Full device ID
+ * @returns {string} Masked device ID
+ */
+export function maskDeviceId(deviceId) {
+  if (!deviceId) return null;
+  return deviceId.substring(0, 8) + '...';
+}
+
+/**
+ * Columns every license check needs
+ */
+export const LICENSE_COLUMNS = 'key, revoked, expires_at, max_devices, tier, entitlements, release_channel';
+
+/**
+ * Fetch a license_keys row
+ * @param {Object} supabase - Supabase client
+ * @param {string} key - License key
+ * @returns {Promise<Object|null>} License row, or null if the key does not exist
+ */
+export async function fetchLicense(supabase, key) {
+  const { data, error } = await supabase
+    .from('license_keys')
+    .select(LICENSE_COLUMNS)
+    .eq('key', key)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+  return data || null;
+}
+
+/**
+ * Check whether a license may be used at all (exists, not revoked, not past its grace window)
+ * @param {Object|null} license - license_keys row
+ * @returns {{ reason: string, message: string, expiresAt?: string }|null} Rejection, or null if usable
+ */
+export function getLicenseRejection(license) {
+  if (!license) {
+    return { reason: 'INVALID', message: 'Invalid license key.' };
+  }
+
+  if (license.revoked) {
+    return { reason: 'REVOKED', message: 'License key has been revoked.' };
+  }
+
+  if (getExpiryStatus(license.expires_at).status === 'expired') {
+    return {
+      reason: 'EXPIRED',
+      message: 'License has expired. Please renew your subscription.',
+      expiresAt: license.expires_at
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Fetch all device bindings of a license, oldest first
+ * @param {Object} supabase - Supabase client
+ * @param {string} key - License key
+ * @returns {Promise<Object[]>} device_bindings rows
+ */
+export async function fetchBindings(supabase, key) {
+  const { data, error } = await supabase
+    .from('device_bindings')
+    .select('device_id, license_key, bound_at, last_seen')
+    .eq('license_key', key)
+    .order('bound_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Find the binding a license access token was issued for
+ * A device may be bound to several keys, so the lookup is narrowed by the token's license key
+ * prefix and then matched on its licenseKeyHash claim.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @param {string} [columns] - device_bindings columns to return
+ * @returns {Promise<Object|null>} Binding row, or null if the device is no longer bound to the key
+ */
+export async function fetchTokenBinding(supabase, payload, columns = 'license_key') {
+  const prefix = String(payload.licenseKey || '').replace(/\.\.\.$/, '');
+
+  const { data, error } = await supabase
+    .from('device_bindings')
+    .select(columns.includes('license_key') ? columns : `license_key, ${columns}`)
+    .eq('device_id', payload.deviceId)
+    .like('license_key', `${prefix}%`);
+
+  if (error) {
+    throw error;
+  }
+
+  const bindings = data || [];
+  if (!payload.licenseKeyHash) {
+    // Tokens signed before the claim existed - only an unambiguous match is trusted
+    return bindings.length === 1 ? bindings[0] : null;
+  }
+  return bindings.find(binding => hashLicenseKey(binding.license_key) === payload.licenseKeyHash) || null;
+}
+
+/**
+ * Masked list of bound devices so the user can tell which seat to free
+ * @param {Object[]} bindings - device_bindings rows
+ * @param {string} deviceId - Device making the request
+ * @returns {Object[]}
+ */
+export function toDeviceList(bindings, deviceId) {
+  return bindings.map(binding => ({
+    deviceId: maskDeviceId(binding.device_id),
+    boundAt: binding.bound_at,
+    lastSeen: binding.last_seen,
+    current: binding.device_id === deviceId
+  }));
+}
+
+/**
+ * Message for a license that has no free device seat
+ * @param {number} boundCount - Devices currently bound
+ * @param {number} maxDevices - Seat limit
+ * @returns {string}
+ */
+export function getDeviceLimitMessage(boundCount, maxDevices) {
+  return maxDevices === 1
+    ? 'This license key is already bound to another device. Each key can only be used on one device.'
+    : `This license key is already bound to ${boundCount} of ${maxDevices} allowed devices.`;
+}
+
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to avoid typos
+
+// Random key segment from KEY_ALPHABET
+function randomSegment(length) {
+  const bytes = randomBytes(length);
+  let segment = '';
+  for (let i = 0; i < length; i++) {
+    segment += KEY_ALPHABET[bytes[i] % KEY_ALPHABET.length];
+  }
+  return segment;
+}
+
+/**
+ * Generate a new license key (PREFIX-XXXX-XXXX-XXXX)
+ * @param {string} [prefix] - Uppercase key prefix
+ * @returns {string}
+ */
+export function generateLicenseKey(prefix = 'HONED') {
+  return `${prefix}-${randomSegment(4)}-${randomSegment(4)}-${randomSegment(4)}`;
+}
+
+/**
+ * Add calendar months to a date
+ * @param {Date|string} date
+ * @param {number} months
+ * @returns {Date}
+ */
+export function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
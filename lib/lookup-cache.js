@@ -0,0 +1,143 @@
+/**
+ * Shared cache for twitterapi.io lookups (/api/twitter-optimized, /api/community-optimized, /api/tweet)
+ *
+ * Entries are keyed by type and normalized id (`user:elonmusk`, `community:1234`, `tweet:1234`). Within its fresh
+ * TTL an entry is served as a HIT. After that it is served as STALE for up to staleSeconds while one
+ * background refresh replaces it; past that it is a MISS and the caller waits for upstream.
+ * Concurrent misses for the same key in one instance share a single upstream call, but each caller
+ * reserves its own credits around it (get's reserve option), so one license's quota never decides
+ * another's request.
+ *
+ * Entries use the key/value store interface (lib/kv-store.js):
+ *   LOOKUP_CACHE_STORE=supabase (default) - lookup_cache table (key text primary key, data jsonb,
+ *                                           expires_at), shared across serverless instances.
+ *                                           Service key only: cached entries are served to every
+ *                                           license, so anon must not be able to write them.
+ *   LOOKUP_CACHE_STORE=memory             - per-process Map
+ * Store errors fail open: the lookup goes upstream as if the cache were empty.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createMemoryStore, createSupabaseStore } from './kv-store.js';
+
+export const LOOKUP_CACHE_TTLS = {
+  user: { freshSeconds: 10 * 60, staleSeconds: 60 * 60 },
+  community: { freshSeconds: 5 * 60, staleSeconds: 60 * 60 }, // member counts move faster
+  tweet: { freshSeconds: 60, staleSeconds: 5 * 60 }           // engagement counts move fastest
+};
+
+/**
+ * Normalize a lookup id so equivalent requests share an entry
+ * @param {string} type - 'user', 'community' or 'tweet'
+ * @param {string} id - userName (with or without @, any case), communityId or tweetId
+ * @returns {string} Cache key
+ */
+export function getLookupCacheKey(type, id) {
+  const normalized = String(id).trim();
+  return type === 'user'
+    ? `user:${normalized.replace(/^@/, '').toLowerCase()}`
+    : `${type}:${normalized}`;
+}
+
+/**
+ * Create a lookup cache
+ * @param {Object} store - Store from createMemoryStore / createSupabaseStore
+ * @param {Object} [ttls] - Overrides for LOOKUP_CACHE_TTLS
+ * @returns {{ get: Function }}
+ */
+export function createLookupCache(store, ttls = {}) {
+  const config = { ...LOOKUP_CACHE_TTLS, ...ttls };
+  const inflight = new Map();
+
+  // Fetch and store a value, sharing the call with concurrent requests for the same key.
+  // The shared promise only ever carries the upstream result, never a caller's own errors.
+  function load(key, type, fetcher) {
+    if (inflight.has(key)) {
+      return inflight.get(key);
+    }
+
+    const { freshSeconds, staleSeconds } = config[type];
+    const promise = (async () => {
+      const value = await fetcher();
+      try {
+        await store.set(key, { value, storedAt: Date.now() }, freshSeconds + staleSeconds);
+      } catch (error) {
+        console.error('[LookupCache] Store error:', error.message || error);
+      }
+      return value;
+    })().finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Get a cached lookup, fetching it on a miss
+   * @param {string} type - Key of LOOKUP_CACHE_TTLS
+   * @param {string} id - userName, communityId or tweetId
+   * @param {Function} fetcher - async () => value; the upstream call, shared by concurrent misses
+   *   and also used for a STALE entry's background refresh
+   * @param {Object} [options]
+   * @param {Function} [options.reserve] - async (load) => value; wraps this caller's wait on a miss,
+   *   whether it starts the fetch or joins one in flight (e.g. to reserve its own credits). Errors
+   *   it throws reach only this caller. Not used for background refreshes.
+   * @returns {Promise<{ value: any, cache: string, revalidating: Promise|null }>}
+   *   cache is HIT, STALE or MISS. A MISS went through reserve - this request either started the
+   *   upstream call or joined one in flight. revalidating settles when a STALE entry's background
+   *   refresh is done (it never rejects).
+   */
+  async function get(type, id, fetcher, { reserve = (load) => load() } = {}) {
+    if (!config[type]) {
+      throw new Error(`Unknown lookup cache type: ${type}`);
+    }
+
+    const key = getLookupCacheKey(type, id);
+
+    let entry = null;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      // Fail open - a cache outage must not break lookups
+      console.error('[LookupCache] Store error:', error.message || error);
+    }
+
+    if (entry) {
+      const ageSeconds = (Date.now() - entry.storedAt) / 1000;
+      if (ageSeconds < config[type].freshSeconds) {
+        return { value: entry.value, cache: 'HIT', revalidating: null };
+      }
+
+      const revalidating = load(key, type, fetcher).then(() => {}, error => {
+        console.warn(`[LookupCache] Refresh of ${key} failed, keeping stale entry:`, error.message || error);
+      });
+      return { value: entry.value, cache: 'STALE', revalidating };
+    }
+
+    const value = await reserve(() => load(key, type, fetcher));
+    return { value, cache: 'MISS', revalidating: null };
+  }
+
+  return { get };
+}
+
+let lookupCache = null;
+
+/**
+ * Process-wide lookup cache, using the store picked by LOOKUP_CACHE_STORE
+ * @returns {{ get: Function }}
+ */
+export function getLookupCache() {
+  if (!lookupCache) {
+    let store;
+    if (process.env.LOOKUP_CACHE_STORE === 'memory' || !process.env.SUPABASE_URL) {
+      store = createMemoryStore();
+    } else if (!process.env.SUPABASE_SERVICE_KEY) {
+      console.error('[LookupCache] SUPABASE_SERVICE_KEY is not set, falling back to a per-instance cache');
+      store = createMemoryStore();
+    } else {
+      store = createSupabaseStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY), 'lookup_cache');
+    }
+    lookupCache = createLookupCache(store);
+  }
+  return lookupCache;
+}
@@ -0,0 +1,104 @@
+/**
+ * Scheduled, scoped maintenance windows
+ *
+ * maintenance_windows rows (id, message, starts_at, ends_at, endpoints text[], versions text[],
+ * tiers text[], is_active, created_at, updated_at) are managed through /api/admin-maintenance.
+ * A window applies to a request while it is active and inside its schedule, and every scope that
+ * is set matches: endpoints by route name (e.g. 'twitter-optimized'), versions by exact extension
+ * version, tiers by license tier. An empty or null scope matches everything.
+ *
+ * Windows are cached per instance for MAINTENANCE_CACHE_SECONDS. If they cannot be loaded the
+ * check fails open, so a database outage does not take every endpoint down with it.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+export const MAINTENANCE_CACHE_SECONDS = 30;
+
+let supabase = null;
+let cachedWindows = null;
+let cachedAt = 0;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  }
+  return supabase;
+}
+
+async function loadWindows() {
+  if (cachedWindows && Date.now() - cachedAt < MAINTENANCE_CACHE_SECONDS * 1000) {
+    return cachedWindows;
+  }
+
+  try {
+    const { data, error } = await getSupabase()
+      .from('maintenance_windows')
+      .select('id, message, starts_at, ends_at, endpoints, versions, tiers')
+      .eq('is_active', true)
+      .or(`ends_at.is.null,ends_at.gt.${new Date().toISOString()}`);
+
+    if (error) throw error;
+    cachedWindows = data || [];
+  } catch (error) {
+    console.error('[Maintenance] Failed to load maintenance windows:', error.message || error);
+    cachedWindows = cachedWindows || [];
+  }
+
+  cachedAt = Date.now();
+  return cachedWindows;
+}
+
+function scopeMatches(scope, value) {
+  if (!scope || scope.length === 0) return true;
+  return value !== undefined && value !== null && scope.includes(value);
+}
+
+/**
+ * Find the maintenance window that applies to a request
+ * @param {Object} context
+ * @param {string} context.endpoint - Route name, e.g. 'validate' or 'twitter-optimized'
+ * @param {string} [context.version] - Extension version, if known
+ * @param {string} [context.tier] - License tier, if known
+ * @returns {Promise<Object|null>} Matching window, or null
+ */
+export async function getActiveMaintenance({ endpoint, version, tier }) {
+  const now = new Date();
+  const windows = await loadWindows();
+
+  return windows.find(window =>
+    new Date(window.starts_at) <= now &&
+    (!window.ends_at || new Date(window.ends_at) > now) &&
+    scopeMatches((window.endpoints || []).map(e => e.replace(/^\/?api\//, '')), endpoint) &&
+    scopeMatches(window.versions, version) &&
+    scopeMatches(window.tiers, tier)
+  ) || null;
+}
+
+/**
+ * Build the response fields for a maintenance window
+ * @param {Object} window - maintenance_windows row
+ * @returns {{ reason: string, message: string, maintenanceEndsAt: string|null }}
+ */
+export function getMaintenanceInfo(window) {
+  return {
+    reason: 'MAINTENANCE',
+    message: window.message || 'Extension is temporarily disabled for maintenance.',
+    maintenanceEndsAt: window.ends_at || null
+  };
+}
+
+/**
+ * Send a 503 for proxy/data endpoints, with Retry-After when the end is scheduled
+ * @param {Object} res - Response object
+ * @param {Object} window - maintenance_windows row
+ */
+export function sendMaintenance(res, window) {
+  if (window.ends_at) {
+    const retryAfter = Math.max(Math.ceil((new Date(window.ends_at) - Date.now()) / 1000), 1);
+    res.setHeader('Retry-After', String(retryAfter));
+  }
+
+  const info = getMaintenanceInfo(window);
+  return res.status(503).json({ error: info.reason, ...info });
+}
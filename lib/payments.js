@@ -0,0 +1,131 @@
+/**
+ * Payment-provider webhooks (Stripe-style events)
+ *
+ * /api/payment-webhook receives events signed with PAYMENT_WEBHOOK_SECRET in a Stripe-Signature
+ * header: t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>. Handled events:
+ *   checkout.session.completed    - provisions a new key, or extends the key in client_reference_id,
+ *                                   once the session is paid (isCheckoutPaid)
+ *   checkout.session.async_payment_succeeded - the same, for delayed payment methods (bank debits,
+ *                                   vouchers) whose checkout completed before the money arrived
+ *   invoice.paid                  - subscription renewal: extends the key linked to the subscription
+ *   customer.subscription.deleted - marks the subscription cancelled; the key runs until expires_at
+ *   charge.dispute.created        - chargeback: revokes the key the disputed payment paid for
+ *
+ * Checkout metadata picks the plan: tier, months (default 1) and max_devices. Renewals use the
+ * price's billing interval. Every event id is claimed in payment_events (id, type, object_id, action,
+ * license_key, payment_intent, charge, status 'processing'|'processed', created_at, processed_at)
+ * before it is applied, so a redelivered event changes nothing.
+ *
+ * scripts/send-payment-event.js signs fixture events from scripts/fixtures/payments/ for testing.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const PAYMENT_EVENTS = {
+  CHECKOUT_COMPLETED: 'checkout.session.completed',
+  CHECKOUT_ASYNC_PAYMENT_SUCCEEDED: 'checkout.session.async_payment_succeeded',
+  INVOICE_PAID: 'invoice.paid',
+  SUBSCRIPTION_DELETED: 'customer.subscription.deleted',
+  DISPUTE_CREATED: 'charge.dispute.created'
+};
+
+// Audit actor for changes made by payment events
+export const PAYMENT_SYSTEM_ACTOR = { type: 'system', id: 'payments' };
+
+const DEFAULT_RENEWAL_URL = 'https://discord.gg/honed';
+
+/**
+ * Build a Stripe-Signature header for a payload
+ * @param {string} rawBody - Exact request body
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} `t=<timestamp>,v1=<hex>`
+ */
+export function signPaymentPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a Stripe-Signature header against the raw body
+ * @param {string} rawBody - Exact request body
+ * @param {string} header - Stripe-Signature header (may carry several v1 entries during secret rotation)
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [toleranceSeconds] - Reject timestamps further than this from now (replay protection)
+ * @returns {boolean}
+ */
+export function verifyPaymentSignature(rawBody, header, secret, toleranceSeconds = 300) {
+  if (!header || !secret) return false;
+
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = parts.find(([name]) => name === 't')?.[1];
+  const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPaymentPayload(rawBody, secret, timestamp).split('v1=')[1]);
+  return signatures.some(signature => {
+    const actual = Buffer.from(signature || '');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  });
+}
+
+/**
+ * Months a recurring price covers (interval month|year times interval_count)
+ * @param {Object} invoice - Stripe invoice object
+ * @returns {number|null} Months, or null if the invoice has no recurring price
+ */
+export function getInvoiceMonths(invoice) {
+  const recurring = invoice?.lines?.data?.find(line => line.price?.recurring)?.price.recurring;
+  if (!recurring) return null;
+
+  const count = recurring.interval_count || 1;
+  if (recurring.interval === 'year') return 12 * count;
+  if (recurring.interval === 'month') return count;
+  return null;
+}
+
+/**
+ * Whether a checkout session's payment has been collected
+ * Delayed payment methods complete the checkout with payment_status 'unpaid'; the provider sends
+ * checkout.session.async_payment_succeeded (or _failed) once the payment settles.
+ * @param {Object} session - Stripe checkout session object
+ * @returns {boolean}
+ */
+export function isCheckoutPaid(session) {
+  return session?.payment_status === 'paid' || session?.payment_status === 'no_payment_required';
+}
+
+/**
+ * Plan purchased by a checkout session, from its metadata
+ * @param {Object} session - Stripe checkout session object
+ * @returns {{ tier: string|null, months: number, maxDevices: number }}
+ */
+export function getCheckoutPlan(session) {
+  const metadata = session?.metadata || {};
+  const months = parseInt(metadata.months, 10);
+  const maxDevices = parseInt(metadata.max_devices, 10);
+
+  return {
+    tier: metadata.tier || null,
+    months: months > 0 ? months : 1,
+    maxDevices: maxDevices > 0 ? maxDevices : 1
+  };
+}
+
+/**
+ * Renewal link shown by subscription-status
+ * PAYMENT_RENEWAL_URL is a hosted payment link; the key rides along as client_reference_id so
+ * the checkout extends it instead of provisioning a new one.
+ * @param {string} key - License key
+ * @returns {string}
+ */
+export function getRenewalUrl(key) {
+  const paymentUrl = process.env.PAYMENT_RENEWAL_URL;
+  if (!paymentUrl) return DEFAULT_RENEWAL_URL;
+
+  const url = new URL(paymentUrl);
+  url.searchParams.set('client_reference_id', key);
+  return url.toString();
+}
@@ -0,0 +1,220 @@
+/**
+ * Per-license credit quotas for the twitterapi.io proxies
+ *
+ * Each upstream lookup costs CREDITS_PER_LOOKUP; lookups served from the shared cache
+ * (lib/lookup-cache.js) are free, and so are the background refreshes of stale entries. A license has a daily budget (resets 00:00 UTC)
+ * and a monthly budget (resets on the 1st, UTC). Budgets default by tier (TIER_CREDIT_QUOTAS) and
+ * can be overridden per key with license_keys.daily_credit_limit / monthly_credit_limit.
+ *
+ * Spend is counted in credit_usage rows (license_key, period 'day'|'month', period_start,
+ * credits_used, updated_at), unique on (license_key, period, period_start), through the service
+ * key only. checkCreditQuota is a quick read to turn away licenses that are already out of
+ * credits; the authoritative check is withReservedCredits, which reserves a lookup's credits with
+ * the charge_credits RPC (an atomic conditional increment, see supabase/migrations) before going
+ * upstream and releases them if the lookup fails - so concurrent requests cannot overspend, and
+ * only successful lookups are charged.
+ *
+ * Checks fail open: if usage cannot be read or written the request is allowed and logged.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TIER } from './entitlements.js';
+import { fetchTokenBinding } from './license.js';
+
+export const CREDITS_PER_LOOKUP = 20;
+
+export const TIER_CREDIT_QUOTAS = {
+  basic: { daily: 1000, monthly: 10000 },
+  pro: { daily: 4000, monthly: 60000 }
+};
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+// Start of the current day / month and when it resets, as ISO strings
+function getPeriods(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  return {
+    day: {
+      start: dayStart.toISOString().slice(0, 10),
+      resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString()
+    },
+    month: {
+      start: monthStart.toISOString().slice(0, 10),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+    }
+  };
+}
+
+function toBudget(used, limit, resetsAt) {
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    resetsAt
+  };
+}
+
+/**
+ * Resolve the license for a token and read its credit usage
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @returns {Promise<Object|null>} { licenseKey, tier, daily, monthly, usage } or null if the
+ *   device is not bound or usage cannot be read
+ */
+export async function getCreditUsage(payload) {
+  const db = getSupabase();
+
+  const binding = await fetchTokenBinding(db, payload);
+  if (!binding) return null;
+
+  const licenseKey = binding.license_key;
+
+  const { data: license, error: licenseError } = await db
+    .from('license_keys')
+    .select('tier, daily_credit_limit, monthly_credit_limit')
+    .eq('key', licenseKey)
+    .maybeSingle();
+
+  if (licenseError) throw licenseError;
+
+  const tier = license?.tier && TIER_CREDIT_QUOTAS[license.tier] ? license.tier : DEFAULT_TIER;
+  const defaults = TIER_CREDIT_QUOTAS[tier];
+  const periods = getPeriods();
+
+  const { data: rows, error: usageError } = await db
+    .from('credit_usage')
+    .select('period, period_start, credits_used')
+    .eq('license_key', licenseKey)
+    .in('period_start', [periods.day.start, periods.month.start]);
+
+  if (usageError) throw usageError;
+
+  const usedIn = (period) => rows
+    ?.find(row => row.period === period && row.period_start === periods[period].start)
+    ?.credits_used || 0;
+
+  return {
+    licenseKey,
+    tier,
+    daily: toBudget(usedIn('day'), license?.daily_credit_limit ?? defaults.daily, periods.day.resetsAt),
+    monthly: toBudget(usedIn('month'), license?.monthly_credit_limit ?? defaults.monthly, periods.month.resetsAt),
+    periods
+  };
+}
+
+/**
+ * Check whether a lookup fits in the license's budgets
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @param {number} [credits] - Credits the request will spend
+ * @returns {Promise<Object>} { allowed, usage?, exceeded? } - exceeded is the budget that ran out
+ */
+export async function checkCreditQuota(payload, credits = CREDITS_PER_LOOKUP) {
+  try {
+    const usage = await getCreditUsage(payload);
+    if (!usage) {
+      return { allowed: true, usage: null };
+    }
+
+    for (const period of ['daily', 'monthly']) {
+      if (usage[period].used + credits > usage[period].limit) {
+        return { allowed: false, usage, exceeded: { period, ...usage[period] } };
+      }
+    }
+
+    return { allowed: true, usage };
+  } catch (error) {
+    console.error('[Quota] Usage check failed, allowing request:', error);
+    return { allowed: true, usage: null };
+  }
+}
+
+// Atomically add credits to both counters; positive amounts are refused if either budget would
+// be exceeded, negative amounts (releases) always apply
+async function applyCredits(usage, credits) {
+  const { data, error } = await getSupabase()
+    .rpc('charge_credits', {
+      p_license_key: usage.licenseKey,
+      p_day_start: usage.periods.day.start,
+      p_month_start: usage.periods.month.start,
+      p_credits: credits,
+      p_daily_limit: usage.daily.limit,
+      p_monthly_limit: usage.monthly.limit
+    })
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Reserve a lookup's credits, run it, and release them again if it fails
+ * @param {Object} quota - Result of checkCreditQuota
+ * @param {Function} lookup - async () => value; the upstream call
+ * @param {number} [credits] - Credits the lookup costs
+ * @returns {Promise<any>} The lookup's value
+ * @throws {Error} code 'QUOTA_EXCEEDED' with error.quota for sendQuotaExceeded when the budget
+ *   ran out since checkCreditQuota (e.g. spent by concurrent requests), or the lookup's own error
+ */
+export async function withReservedCredits(quota, lookup, credits = CREDITS_PER_LOOKUP) {
+  const usage = quota?.usage;
+  let reserved = false;
+
+  if (usage) {
+    try {
+      const result = await applyCredits(usage, credits);
+      if (!result.charged) {
+        const budget = result.exceeded_period === 'monthly' ? usage.monthly : usage.daily;
+        const used = result.exceeded_period === 'monthly' ? result.monthly_used : result.daily_used;
+        const error = new Error(`Your ${result.exceeded_period} lookup credits are used up`);
+        error.code = 'QUOTA_EXCEEDED';
+        error.quota = { allowed: false, usage, exceeded: { period: result.exceeded_period, ...toBudget(used, budget.limit, budget.resetsAt) } };
+        throw error;
+      }
+      reserved = true;
+    } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED') throw error;
+      console.error('[Quota] Failed to reserve credits, allowing lookup:', error);
+    }
+  }
+
+  try {
+    return await lookup();
+  } catch (error) {
+    if (reserved) {
+      try {
+        await applyCredits(usage, -credits);
+      } catch (releaseError) {
+        console.error('[Quota] Failed to release credits:', releaseError);
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send a 429 QUOTA_EXCEEDED response with the reset time
+ * @param {Object} res - Response object
+ * @param {Object} quota - Failed result of checkCreditQuota
+ */
+export function sendQuotaExceeded(res, quota) {
+  const { period, used, limit, resetsAt } = quota.exceeded;
+  const retryAfter = Math.max(Math.ceil((new Date(resetsAt) - Date.now()) / 1000), 1);
+
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'QUOTA_EXCEEDED',
+    message: `Your ${period} lookup credits are used up. They reset at ${resetsAt}.`,
+    period,
+    used,
+    limit,
+    resetsAt
+  });
+}
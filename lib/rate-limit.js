@@ -0,0 +1,245 @@
+/**
+ * Rate limiting for license key endpoints (/api/validate, /api/register, /api/transfer)
+ *
+ * Each key (e.g. `license:ip:1.2.3.4`, `license:device:abc`) gets a sliding window request counter
+ * plus a counter of recent INVALID results. Once failureThreshold failures land inside
+ * failureWindowSeconds the key is locked out, and every further failure doubles the lockout.
+ *
+ * Windows slide by weighting two fixed buckets: the count is the current bucket plus the previous
+ * bucket scaled by how much of it still overlaps the window, so a burst straddling a bucket
+ * boundary cannot reach twice the limit.
+ *
+ * Counters live in a pluggable store ({ increment(key, windowSeconds, lockout?), getLockedUntil(key) }):
+ *   createSupabaseCounterStore - rate_limit_counters table through the rate_limit_increment RPC
+ *                                (supabase/migrations), which counts atomically so parallel
+ *                                guesses are never undercounted. Service key only: anon can
+ *                                neither read nor reset a lockout.
+ *   createMemoryCounterStore   - per-process Map, for tests and local development
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+export const RATE_LIMIT_DEFAULTS = {
+  windowSeconds: 60,
+  maxRequests: 20,
+  failureWindowSeconds: 60 * 60,
+  failureThreshold: 5,
+  baseLockoutSeconds: 60,
+  maxLockoutSeconds: 24 * 60 * 60
+};
+
+// Start of the fixed bucket that `now` falls in; buckets line up across instances and the RPC
+function getBucketStart(now, windowMs) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * In-memory counter store (per process), for tests and local development
+ * Same sliding window as the rate_limit_increment RPC.
+ * @returns {{ increment: Function, getLockedUntil: Function }}
+ */
+export function createMemoryCounterStore() {
+  const counters = new Map();
+
+  return {
+    async increment(key, windowSeconds, lockout = null) {
+      const now = Date.now();
+      const windowMs = windowSeconds * 1000;
+      const bucketStart = getBucketStart(now, windowMs);
+      const counter = counters.get(key) || { current: 0, previous: 0, bucketStart, lockedUntil: 0 };
+
+      if (counter.bucketStart !== bucketStart) {
+        counter.previous = counter.bucketStart === bucketStart - windowMs ? counter.current : 0;
+        counter.current = 0;
+        counter.bucketStart = bucketStart;
+      }
+      counter.current++;
+      counters.set(key, counter);
+
+      // The previous bucket counts for the part of it still inside the window
+      const count = Math.floor(counter.previous * (1 - (now - bucketStart) / windowMs)) + counter.current;
+
+      if (lockout && count >= lockout.threshold) {
+        const lockoutSeconds = Math.min(lockout.baseSeconds * 2 ** (count - lockout.threshold), lockout.maxSeconds);
+        counter.lockedUntil = Math.max(counter.lockedUntil, now + lockoutSeconds * 1000);
+      }
+
+      return { count, resetAt: bucketStart + windowMs, lockedUntil: counter.lockedUntil };
+    },
+
+    async getLockedUntil(key) {
+      return counters.get(key)?.lockedUntil || 0;
+    }
+  };
+}
+
+/**
+ * Supabase-backed counter store, shared across serverless instances
+ * @param {Object} supabase - Supabase client with the service key
+ * @returns {{ increment: Function, getLockedUntil: Function }}
+ */
+export function createSupabaseCounterStore(supabase) {
+  return {
+    /**
+     * Count one event in the key's sliding window, atomically
+     * @param {string} key
+     * @param {number} windowSeconds - Window length (and bucket size)
+     * @param {Object} [lockout] - { threshold, baseSeconds, maxSeconds }: lock the key once count
+     *   reaches threshold, for baseSeconds doubled per count past it (capped at maxSeconds)
+     * @returns {Promise<{ count: number, resetAt: number, lockedUntil: number }>} count in the
+     *   sliding window; resetAt is when the current bucket ends; times in ms
+     */
+    async increment(key, windowSeconds, lockout = null) {
+      const { data, error } = await supabase
+        .rpc('rate_limit_increment', {
+          p_key: key,
+          p_window_seconds: windowSeconds,
+          p_lock_threshold: lockout?.threshold ?? null,
+          p_base_lockout_seconds: lockout?.baseSeconds ?? 0,
+          p_max_lockout_seconds: lockout?.maxSeconds ?? 0
+        })
+        .single();
+
+      if (error) throw error;
+      return {
+        count: data.count,
+        resetAt: new Date(data.reset_at).getTime(),
+        lockedUntil: data.locked_until ? new Date(data.locked_until).getTime() : 0
+      };
+    },
+
+    async getLockedUntil(key) {
+      const { data, error } = await supabase
+        .from('rate_limit_counters')
+        .select('locked_until')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data?.locked_until ? new Date(data.locked_until).getTime() : 0;
+    }
+  };
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} store - Counter store from createMemoryCounterStore / createSupabaseCounterStore
+ * @param {Object} [options] - Overrides for RATE_LIMIT_DEFAULTS
+ * @returns {{ check: Function, recordFailure: Function }}
+ */
+export function createRateLimiter(store, options = {}) {
+  const config = { ...RATE_LIMIT_DEFAULTS, ...options };
+  const lockout = {
+    threshold: config.failureThreshold,
+    baseSeconds: config.baseLockoutSeconds,
+    maxSeconds: config.maxLockoutSeconds
+  };
+
+  /**
+   * Count a request against every key and report whether it may proceed
+   * @param {string[]} keys - Rate limit keys (falsy entries are skipped)
+   * @returns {Promise<{ allowed: boolean, retryAfter: number }>} retryAfter in seconds
+   */
+  async function check(keys) {
+    const now = Date.now();
+    let retryAfterMs = 0;
+
+    try {
+      for (const key of keys.filter(Boolean)) {
+        const lockedUntil = await store.getLockedUntil(`failures:${key}`);
+        if (lockedUntil > now) {
+          retryAfterMs = Math.max(retryAfterMs, lockedUntil - now);
+          continue;
+        }
+
+        const hits = await store.increment(`hits:${key}`, config.windowSeconds);
+        if (hits.count > config.maxRequests) {
+          retryAfterMs = Math.max(retryAfterMs, hits.resetAt - now);
+        }
+      }
+    } catch (error) {
+      // Fail open - a storage outage must not lock every user out
+      console.error('[RateLimit] Store error:', error.message || error);
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    return {
+      allowed: retryAfterMs === 0,
+      retryAfter: Math.ceil(retryAfterMs / 1000)
+    };
+  }
+
+  /**
+   * Record an INVALID result and lock keys out once they cross the failure threshold
+   * @param {string[]} keys - Rate limit keys (falsy entries are skipped)
+   */
+  async function recordFailure(keys) {
+    const now = Date.now();
+
+    try {
+      for (const key of keys.filter(Boolean)) {
+        const failures = await store.increment(`failures:${key}`, config.failureWindowSeconds, lockout);
+
+        if (failures.count >= config.failureThreshold) {
+          const lockoutSeconds = Math.ceil((failures.lockedUntil - now) / 1000);
+          console.log(`[RateLimit] Locked out ${key} for ${lockoutSeconds}s after ${failures.count} failures`);
+        }
+      }
+    } catch (error) {
+      console.error('[RateLimit] Store error:', error.message || error);
+    }
+  }
+
+  return { check, recordFailure };
+}
+
+let licenseRateLimiter = null;
+
+/**
+ * Limiter for license key guesses, shared by every endpoint that takes a raw license key so
+ * guesses count against all of them
+ * @returns {{ check: Function, recordFailure: Function }}
+ */
+export function getLicenseRateLimiter() {
+  if (!licenseRateLimiter) {
+    let store;
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
+      store = createSupabaseCounterStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY));
+    } else {
+      // Keep validating licenses; guesses are then only counted per instance
+      console.error('[RateLimit] SUPABASE_SERVICE_KEY is not set, falling back to per-instance counters');
+      store = createMemoryCounterStore();
+    }
+    licenseRateLimiter = createRateLimiter(store);
+  }
+  return licenseRateLimiter;
+}
+
+/**
+ * Rate limit keys for a license request - one per IP and one per device
+ * @param {string|null} ip - Client IP
+ * @param {string|null} deviceId - Device ID from the request
+ * @returns {string[]}
+ */
+export function getLicenseRateLimitKeys(ip, deviceId) {
+  return [
+    ip ? `license:ip:${ip}` : null,
+    deviceId ? `license:device:${deviceId}` : null
+  ];
+}
+
+/**
+ * Send a 429 with Retry-After
+ * @param {Object} res - Response object
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {Object} [body] - Extra response fields (e.g. { valid: false })
+ */
+export function sendRateLimited(res, retryAfter, body = {}) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    ...body,
+    reason: 'RATE_LIMITED',
+    message: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+}
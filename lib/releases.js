@@ -0,0 +1,127 @@
+/**
+ * Extension release channels and staged rollouts
+ *
+ * extension_versions rows carry a channel (stable/beta) and a rollout_percentage (0-100).
+ * license_keys.release_channel assigns a license to a channel. A device is inside a rollout when
+ * its deterministic bucket (hash of deviceId and version, 0-99) is below the percentage, so raising
+ * the percentage only ever adds devices.
+ */
+
+import { createHash } from 'crypto';
+
+export const RELEASE_CHANNELS = ['stable', 'beta'];
+export const DEFAULT_CHANNEL = 'stable';
+
+// Beta testers also receive stable releases that are newer than the latest beta
+const CHANNEL_INCLUDES = {
+  stable: ['stable'],
+  beta: ['beta', 'stable']
+};
+
+// Compare two semantic versions (e.g., "1.2.3" vs "1.3.0")
+// Returns: -1 if v1 < v2, 0 if equal, 1 if v1 > v2
+export function compareVersions(v1, v2) {
+  if (!v1 || !v2) return 0;
+
+  const parts1 = v1.split('.').map(Number);
+  const parts2 = v2.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+    const part1 = parts1[i] || 0;
+    const part2 = parts2[i] || 0;
+
+    if (part1 < part2) return -1;
+    if (part1 > part2) return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Deterministic rollout bucket for a device and release
+ * @param {string} deviceId - Device ID
+ * @param {string} version - Release version (salts the bucket per release)
+ * @returns {number} Bucket from 0 to 99
+ */
+export function getRolloutBucket(deviceId, version) {
+  const digest = createHash('sha256').update(`${version}:${deviceId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+/**
+ * Check whether a device is inside a release's rollout
+ * @param {Object} release - extension_versions row
+ * @param {string} deviceId - Device ID
+ * @returns {boolean}
+ */
+export function isInRollout(release, deviceId) {
+  const percentage = release.rollout_percentage ?? 100;
+  return getRolloutBucket(deviceId, release.version) < percentage;
+}
+
+/**
+ * Pick the release that applies to a device
+ * @param {Object[]} releases - Active extension_versions rows, newest first
+ * @param {string} deviceId - Device ID
+ * @param {string} [channel] - License release channel
+ * @returns {Object|null} Newest release on the channel whose rollout includes the device
+ */
+export function selectRelease(releases, deviceId, channel = DEFAULT_CHANNEL) {
+  const channels = CHANNEL_INCLUDES[channel] || CHANNEL_INCLUDES[DEFAULT_CHANNEL];
+
+  return (releases || []).find(release =>
+    channels.includes(release.channel || DEFAULT_CHANNEL) && isInRollout(release, deviceId)
+  ) || null;
+}
+
+/**
+ * Check whether a device must update before it gets a token
+ * Used by /api/validate and /api/token, so raising minimum_version also reaches devices that
+ * only refresh.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string|null} options.version - Extension version the device reports
+ * @param {string} options.deviceId - Device ID
+ * @param {string} [options.channel] - License release channel
+ * @returns {Promise<Object|null>} updateNotification for the response, or null when the version is
+ *   fine (or the check could not run - it never blocks on its own errors)
+ */
+export async function getRequiredUpdate(supabase, { version, deviceId, channel = DEFAULT_CHANNEL }) {
+  try {
+    const { data: releases, error } = await supabase
+      .from('extension_versions')
+      .select('minimum_version, version, download_url, channel, rollout_percentage')
+      .eq('is_active', true)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    // Newest release on this channel whose staged rollout includes this device
+    const release = selectRelease(releases, deviceId, channel);
+    if (!release) {
+      console.log(`[Releases] No active release for channel ${channel} covers this device`);
+      return null;
+    }
+
+    const currentVersion = version || '1.0';
+    const minimumVersion = release.minimum_version || '1.0';
+    if (compareVersions(currentVersion, minimumVersion) >= 0) {
+      return null;
+    }
+
+    console.log(`[Releases] Version update required: ${currentVersion} < ${minimumVersion} (channel ${channel})`);
+    return {
+      active: true,
+      message: `Update required. Your version (${currentVersion}) is outdated. Please update to version ${release.version} or later.`,
+      downloadUrl: release.download_url,
+      currentVersion: currentVersion,
+      minimumVersion: minimumVersion,
+      latestVersion: release.version,
+      channel: release.channel || DEFAULT_CHANNEL
+    };
+  } catch (error) {
+    // Continue with validation even if the version check fails
+    console.error('[Releases] Version check error:', error);
+    return null;
+  }
+}
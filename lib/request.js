@@ -0,0 +1,40 @@
+/**
+ * Shared request helpers
+ */
+
+/**
+ * Get the client IP from Vercel headers
+ * @param {Object} req - Request object
+ * @returns {string|null} Client IP, or null if unknown
+ */
+export function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  return forwardedFor ? forwardedFor.split(',')[0].trim() :
+         req.headers['x-vercel-forwarded-for'] ||
+         req.headers['x-real-ip'] ||
+         req.socket?.remoteAddress ||
+         null;
+}
+
+/**
+ * Get the client country from Vercel's geolocation header
+ * @param {Object} req - Request object
+ * @returns {string|null} ISO 3166-1 alpha-2 country code, or null if unknown
+ */
+export function getClientCountry(req) {
+  return req.headers['x-vercel-ip-country'] || null;
+}
+
+/**
+ * Read the unparsed request body (for signature checks over the exact bytes sent)
+ * Vercel parses req.body lazily, so the stream is still unread as long as req.body is never touched.
+ * @param {Object} req - Request object
+ * @returns {Promise<string>} Body as UTF-8
+ */
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
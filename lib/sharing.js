@@ -0,0 +1,203 @@
+/**
+ * Account-sharing detection
+ *
+ * Scores each license over a short window of api_requests history (ip_address, user_agent,
+ * country per request, written by lib/tracking.js with the service key; counted per license by
+ * the api_request_sharing_activity RPC, see supabase/migrations): a key used from more
+ * distinct IPs, countries or user agents at the same time than its seats explain is likely shared
+ * through a proxy or a cloned deviceId.
+ *
+ * Thresholds are per seat (license_keys.max_devices) and configurable:
+ *   SHARING_WINDOW_MINUTES (60), SHARING_MAX_IPS_PER_SEAT (3), SHARING_MAX_COUNTRIES_PER_SEAT (1),
+ *   SHARING_MAX_USER_AGENTS_PER_SEAT (2)
+ *
+ * Flagged licenses get one open sharing_flags row (id, license_key, score, distinct_ips,
+ * distinct_countries, distinct_user_agents, devices, window_start, window_end, status
+ * 'open'|'dismissed'|'suspended', auto_suspended, created_at, updated_at), refreshed on each scan.
+ * With SHARING_AUTO_SUSPEND=true, licenses scoring at least SHARING_SUSPEND_SCORE (10) are revoked.
+ *
+ * Runs from the /api/cron-sharing job and on demand from /api/admin-sharing.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { recordAuditEvent } from './audit.js';
+
+export const SHARING_SYSTEM_ACTOR = { type: 'system', id: 'sharing-detector' };
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Current detection settings
+ * @returns {Object}
+ */
+export function getSharingConfig() {
+  return {
+    windowMinutes: envNumber('SHARING_WINDOW_MINUTES', 60),
+    maxIpsPerSeat: envNumber('SHARING_MAX_IPS_PER_SEAT', 3),
+    maxCountriesPerSeat: envNumber('SHARING_MAX_COUNTRIES_PER_SEAT', 1),
+    maxUserAgentsPerSeat: envNumber('SHARING_MAX_USER_AGENTS_PER_SEAT', 2),
+    autoSuspend: process.env.SHARING_AUTO_SUSPEND === 'true',
+    suspendScore: envNumber('SHARING_SUSPEND_SCORE', 10)
+  };
+}
+
+/**
+ * Score one license's activity. Each distinct IP, country or user agent beyond what its seats
+ * allow adds to the score; countries weigh most since one person rarely spans several at once.
+ * @param {Object} activity - Distinct counts: { ips, countries, userAgents, devices }
+ * @param {number} seats - license_keys.max_devices
+ * @param {Object} config - getSharingConfig()
+ * @returns {number} 0 when nothing exceeds its threshold
+ */
+export function scoreActivity(activity, seats, config) {
+  const excessIps = Math.max(activity.ips - config.maxIpsPerSeat * seats, 0);
+  const excessCountries = Math.max(activity.countries - config.maxCountriesPerSeat * seats, 0);
+  const excessUserAgents = Math.max(activity.userAgents - config.maxUserAgentsPerSeat * seats, 0);
+  const excessDevices = Math.max(activity.devices - seats, 0);
+
+  return excessIps * 2 + excessCountries * 5 + excessUserAgents * 2 + excessDevices * 5;
+}
+
+// Distinct IPs, countries, user agents and devices per license since `since`
+async function fetchActivity(since) {
+  const { data, error } = await getSupabase().rpc('api_request_sharing_activity', {
+    p_since: since.toISOString()
+  });
+
+  if (error) throw error;
+
+  const byKey = {};
+  for (const row of data || []) {
+    byKey[row.license_key] = {
+      ips: row.ips,
+      countries: row.countries,
+      userAgents: row.user_agents,
+      devices: row.devices
+    };
+  }
+  return byKey;
+}
+
+/**
+ * Suspend (revoke) a license for sharing and mark its flag
+ * @param {Object} req - Request object (for the audit IP)
+ * @param {Object} flag - sharing_flags row
+ * @param {Object} actor - Audit actor
+ * @param {boolean} [auto] - Suspended by the scan rather than an admin
+ */
+export async function suspendForSharing(req, flag, actor, auto = false) {
+  const db = getSupabase();
+
+  const { error: revokeError } = await db
+    .from('license_keys')
+    .update({ revoked: true })
+    .eq('key', flag.license_key);
+
+  if (revokeError) throw revokeError;
+
+  const { error: flagError } = await db
+    .from('sharing_flags')
+    .update({ status: 'suspended', auto_suspended: auto, updated_at: new Date().toISOString() })
+    .eq('id', flag.id);
+
+  if (flagError) throw flagError;
+
+  console.log(`[Sharing] Suspended ${flag.license_key.substring(0, 8)}... (score ${flag.score}${auto ? ', automatic' : ''})`);
+
+  await recordAuditEvent(req, {
+    actor,
+    action: 'license.suspend_sharing',
+    target: { type: 'license', id: flag.license_key },
+    before: { revoked: false },
+    after: { revoked: true, score: flag.score, flagId: flag.id, auto }
+  });
+}
+
+/**
+ * Score every license active in the window and upsert its open flag
+ * @param {Object} req - Request object (for audit events on auto-suspend)
+ * @returns {Promise<Object>} { scanned, flagged: [...], suspended: [...] }
+ */
+export async function scanForSharing(req) {
+  const db = getSupabase();
+  const config = getSharingConfig();
+  const windowEnd = new Date();
+  const windowStart = new Date(windowEnd.getTime() - config.windowMinutes * 60 * 1000);
+
+  const activityByKey = await fetchActivity(windowStart);
+  const keys = Object.keys(activityByKey);
+  if (keys.length === 0) {
+    return { scanned: 0, flagged: [], suspended: [] };
+  }
+
+  const { data: licenses, error: licensesError } = await db
+    .from('license_keys')
+    .select('key, max_devices, revoked')
+    .in('key', keys);
+
+  if (licensesError) throw licensesError;
+
+  const { data: openFlags, error: flagsError } = await db
+    .from('sharing_flags')
+    .select('id, license_key')
+    .eq('status', 'open')
+    .in('license_key', keys);
+
+  if (flagsError) throw flagsError;
+
+  const flagged = [];
+  const suspended = [];
+  const now = windowEnd.toISOString();
+
+  for (const license of licenses || []) {
+    if (license.revoked) continue;
+
+    const activity = activityByKey[license.key];
+    const score = scoreActivity(activity, license.max_devices || 1, config);
+    if (score === 0) continue;
+
+    const fields = {
+      score,
+      distinct_ips: activity.ips,
+      distinct_countries: activity.countries,
+      distinct_user_agents: activity.userAgents,
+      devices: activity.devices,
+      window_start: windowStart.toISOString(),
+      window_end: now,
+      updated_at: now
+    };
+
+    const existing = (openFlags || []).find(flag => flag.license_key === license.key);
+    const { data: flag, error } = existing
+      ? await db.from('sharing_flags').update(fields).eq('id', existing.id).select().single()
+      : await db.from('sharing_flags').insert({ license_key: license.key, status: 'open', auto_suspended: false, created_at: now, ...fields }).select().single();
+
+    if (error) {
+      console.error(`[Sharing] Failed to save flag for ${license.key.substring(0, 8)}...:`, error);
+      continue;
+    }
+
+    flagged.push(flag);
+
+    if (config.autoSuspend && score >= config.suspendScore) {
+      await suspendForSharing(req, flag, SHARING_SYSTEM_ACTOR, true);
+      suspended.push(license.key);
+    }
+  }
+
+  console.log(`[Sharing] Scanned ${keys.length} licenses - ${flagged.length} flagged, ${suspended.length} suspended`);
+
+  return { scanned: keys.length, flagged, suspended };
+}
@@ -0,0 +1,149 @@
+/**
+ * Shared license token helpers
+ * Issues the short-lived access JWT and the long-lived refresh token returned by /api/validate,
+ * and verifies access tokens for every licensed endpoint
+ *
+ * Access tokens are signed with an asymmetric key (Ed25519 -> EdDSA, or P-256 -> ES256) from the
+ * key ring (lib/keyring.js) and carry its `kid`. Verification selects the key by `kid`, so tokens
+ * signed before a rotation stay valid until they expire. Public keys are published at
+ * /.well-known/jwks.json, so verifiers never need a private key.
+ *
+ * Access tokens only carry a masked license key prefix plus licenseKeyHash (SHA-256 of the key), which
+ * is enough to pick the token's binding when a device is bound to several keys.
+ *
+ * Refresh tokens are opaque random strings. Only their SHA-256 hash is stored on the
+ * device_bindings row (refresh_token_hash, refresh_token_expires_at), so a leaked
+ * database row cannot be replayed against /api/token.
+ */
+
+import { SignJWT, jwtVerify, decodeProtectedHeader } from 'jose';
+import { createHash, randomBytes } from 'crypto';
+import { getSigningKey, getVerificationKey } from './keyring.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 5 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Get the expiry of a new access token, capped at the end of the license's access window
+ * @param {Date|null} [notAfter] - Latest allowed expiry (license expiry or grace end)
+ * @returns {number} Expiry as a Unix timestamp in seconds
+ */
+export function getAccessTokenExpiry(notAfter = null) {
+  const defaultExp = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+  if (!notAfter) return defaultExp;
+  return Math.min(defaultExp, Math.floor(new Date(notAfter).getTime() / 1000));
+}
+
+/**
+ * Get the lifetime in seconds of a new access token, for the client's refresh scheduling
+ * @param {Date|null} [notAfter] - Latest allowed expiry (license expiry or grace end)
+ * @returns {number} Seconds until the token expires
+ */
+export function getAccessTokenTtl(notAfter = null) {
+  return getAccessTokenExpiry(notAfter) - Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Sign a short-lived access token for a validated license/device pair
+ * @param {string} licenseKey - Full license key (only a masked prefix is embedded)
+ * @param {string} deviceId - Device the license is bound to
+ * @param {Object} [options]
+ * @param {Date|null} [options.notAfter] - Cap the token expiry at this time
+ * @param {boolean} [options.readOnly] - Mark the token as read-only (grace period)
+ * @param {string} [options.tier] - License tier claim
+ * @param {string[]} [options.entitlements] - Entitlements claim checked by each endpoint
+ * @param {string} [options.version] - Extension version, for version-scoped maintenance windows
+ * @returns {Promise<string>} Signed JWT
+ */
+export async function generateToken(licenseKey, deviceId, { notAfter = null, readOnly = false, tier, entitlements, version } = {}) {
+  const claims = {
+    licenseKey: licenseKey.substring(0, 8) + '...',
+    licenseKeyHash: hashLicenseKey(licenseKey),
+    deviceId: deviceId,
+    purpose: 'honed-license'
+  };
+
+  if (tier) {
+    claims.tier = tier;
+  }
+
+  if (entitlements) {
+    claims.entitlements = entitlements;
+  }
+
+  if (version) {
+    claims.version = version;
+  }
+
+  if (readOnly) {
+    claims.readOnly = true;
+  }
+
+  const { kid, alg, privateKey } = await getSigningKey();
+
+  const token = await new SignJWT(claims)
+    .setProtectedHeader({ alg, kid })
+    .setIssuedAt()
+    .setExpirationTime(getAccessTokenExpiry(notAfter))
+    .sign(privateKey);
+
+  return token;
+}
+
+/**
+ * Verify a license access token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<object|null>} Decoded payload if valid, null if invalid
+ */
+export async function verifyToken(token) {
+  try {
+    // SECURITY: Unknown or retired kids fail closed
+    const { kid } = decodeProtectedHeader(token);
+    const key = await getVerificationKey(kid);
+    if (!key) return null;
+
+    const { payload } = await jwtVerify(token, key.publicKey, { algorithms: [key.alg] });
+    if (payload.purpose !== 'honed-license') return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash a license key for the licenseKeyHash claim
+ * @param {string} licenseKey - Full license key
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashLicenseKey(licenseKey) {
+  return createHash('sha256').update(licenseKey).digest('hex');
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Create a new refresh token
+ * @param {Date|null} [notAfter] - Cap the refresh token expiry at this time
+ * @returns {{ token: string, hash: string, expiresAt: string }} Raw token for the client,
+ *   hash and ISO expiry for the device_bindings row
+ */
+export function generateRefreshToken(notAfter = null) {
+  const token = randomBytes(32).toString('base64url');
+  let expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  if (notAfter && new Date(notAfter) < expiresAt) {
+    expiresAt = new Date(notAfter);
+  }
+
+  return {
+    token,
+    hash: hashRefreshToken(token),
+    expiresAt: expiresAt.toISOString()
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Per-request usage tracking for the lookup proxies
+ *
+ * Every proxied request updates the token's device_bindings row (last_seen, last_ip,
+ * last_user_agent, last_endpoint) and is recorded as one api_requests row (license_key, device_id,
+ * endpoint, ip_address, user_agent, country, credits_used, created_at). api_requests feeds the
+ * admin analytics, binding churn and sharing detection - which can suspend a license - so rows are
+ * written with the service key only (supabase/migrations).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchTokenBinding } from './license.js';
+import { getClientIp, getClientCountry } from './request.js';
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+/**
+ * Record a proxied request against the token's license (never throws)
+ * @param {Object} req - Request object
+ * @param {Object} payload - Verified honed-license JWT payload
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint name stored in last_endpoint and api_requests.endpoint
+ * @param {number} [options.creditsUsed=0] - Credits actually charged for the request
+ * @returns {Promise<void>}
+ */
+export async function trackUsage(req, payload, { endpoint, creditsUsed = 0 }) {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || null;
+
+  try {
+    const db = getSupabase();
+
+    const binding = await fetchTokenBinding(db, payload);
+    if (!binding) return;
+
+    await db
+      .from('device_bindings')
+      .update({ last_seen: new Date().toISOString(), last_ip: ip, last_user_agent: userAgent, last_endpoint: endpoint })
+      .eq('license_key', binding.license_key)
+      .eq('device_id', payload.deviceId);
+
+    await db.from('api_requests').insert({
+      license_key: binding.license_key,
+      device_id: payload.deviceId,
+      endpoint,
+      ip_address: ip,
+      user_agent: userAgent,
+      country: getClientCountry(req),
+      credits_used: creditsUsed
+    });
+  } catch (error) {
+    console.error('[Tracking] Failed to record usage:', error.message);
+  }
+}
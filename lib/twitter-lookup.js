@@ -0,0 +1,163 @@
+/**
+ * Twitter lookups shared by the Twitter user, community and tweet proxies
+ * Data comes from the configured provider (lib/twitter-providers.js) and fails with UpstreamError.
+ * The optimized responses are rendered from the canonical records, trimmed to the fields the
+ * extension uses and in the shape the original API returned (both camelCase and snake_case names),
+ * so they can be cached as-is (see lib/lookup-cache.js).
+ */
+
+import { getTwitterProvider } from './twitter-providers.js';
+
+// Canonical user in the extension's response shape
+function toResponseUser(user) {
+  return {
+    // Identity
+    id: user.id,
+    userName: user.userName,
+    screen_name: user.userName,
+    name: user.name,
+    display_name: user.name,
+
+    // Profile media
+    profilePicture: user.profilePicture,
+    profile_image_url_https: user.profilePicture,
+    coverPicture: user.coverPicture,
+    profile_banner_url: user.coverPicture,
+
+    // Bio/stats
+    description: user.description,
+    bio: user.description,
+    followers: user.followers,
+    followers_count: user.followers,
+    following: user.following,
+    friends_count: user.following,
+
+    // Verification
+    verified: user.verified || user.isBlueVerified,
+    is_blue_verified: user.isBlueVerified || user.verified,
+    created_at: user.createdAt
+  };
+}
+
+// Canonical tweet, trimmed to what tracked tweets render
+function toResponseTweet(tweet) {
+  const author = tweet.author;
+
+  return {
+    id: tweet.id,
+    text: tweet.text,
+    created_at: tweet.createdAt,
+    author: author ? {
+      id: author.id,
+      userName: author.userName,
+      name: author.name,
+      profilePicture: author.profilePicture,
+      followers: author.followers,
+      verified: author.verified || author.isBlueVerified
+    } : null,
+    engagement: {
+      likes: tweet.likes,
+      retweets: tweet.retweets,
+      replies: tweet.replies,
+      quotes: tweet.quotes,
+      views: tweet.views,
+      bookmarks: tweet.bookmarks
+    },
+    media: tweet.media,
+    quoted_tweet_id: tweet.quotedTweetId,
+    in_reply_to_id: tweet.inReplyToId,
+    in_reply_to_user_name: tweet.inReplyToUserName,
+    conversation_id: tweet.conversationId
+  };
+}
+
+/**
+ * Fetch a user in the serving provider's own response shape (for /api/twitter)
+ * @param {string} userName - Twitter handle
+ * @returns {Promise<Object>} e.g. { data: {...}, status: 'success' } from twitterapi.io
+ * @throws {UpstreamError} NOT_FOUND (reason 'suspended' for suspended accounts) and upstream failures
+ */
+export async function fetchUserInfo(userName) {
+  const { raw } = await getTwitterProvider().getUser(userName);
+  return raw;
+}
+
+/**
+ * Fetch a community in the serving provider's own response shape (for /api/community)
+ * @param {string} communityId - Community ID
+ * @returns {Promise<Object>} e.g. { community_info: {...}, status: 'success' } from twitterapi.io
+ * @throws {UpstreamError} NOT_FOUND and upstream failures
+ */
+export async function fetchCommunityInfo(communityId) {
+  const { raw } = await getTwitterProvider().getCommunity(communityId);
+  return raw;
+}
+
+/**
+ * Fetch a user profile, trimmed to the fields the extension uses
+ * @param {string} userName - Twitter handle
+ * @returns {Promise<Object>} { status: 'success', data: {...} }
+ */
+export async function fetchOptimizedUser(userName) {
+  const { user } = await getTwitterProvider().getUser(userName);
+
+  return {
+    status: 'success',
+    data: toResponseUser(user)
+  };
+}
+
+/**
+ * Fetch a community, trimmed to the fields the extension uses
+ * @param {string} communityId - Community ID
+ * @returns {Promise<Object>} { status: 'success', msg: 'success', community_info: {...} }
+ */
+export async function fetchOptimizedCommunity(communityId) {
+  const { community } = await getTwitterProvider().getCommunity(communityId);
+
+  // Return in same format as original Twitter API
+  return {
+    status: 'success',
+    msg: 'success',
+    community_info: {
+      id: community.id,
+      name: community.name,
+      description: community.description,
+      avatar_url: community.avatarUrl,
+      banner_url: community.bannerUrl,
+      member_count: community.memberCount,
+      created_at: community.createdAt,
+      // Admin info - the API returns both admin and creator
+      creator: community.creator ? toResponseUser(community.creator) : null,
+      admin: community.admin ? toResponseUser(community.admin) : null
+    }
+  };
+}
+
+/**
+ * Fetch a tweet, trimmed to the fields tracked tweets use
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object>} Tweet (see toResponseTweet)
+ * @throws {UpstreamError} NOT_FOUND for deleted, protected or unknown tweets, and upstream failures
+ */
+export async function fetchOptimizedTweet(tweetId) {
+  const { tweet } = await getTwitterProvider().getTweet(tweetId);
+  return toResponseTweet(tweet);
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight (for batch lookups)
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item) => void
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
@@ -0,0 +1,348 @@
+/**
+ * Twitter data providers
+ *
+ * A provider is { name, getUser(userName), getCommunity(communityId), getTweet(tweetId) }. Each method
+ * resolves to { provider, user | community | tweet, raw } - the canonical record below plus the
+ * provider's own response - and fails with UpstreamError (lib/upstream.js). NOT_FOUND is
+ * authoritative; other failures let the failover provider move on to the next one.
+ *
+ * Canonical user:      { id, userName, name, description, profilePicture, coverPicture, followers,
+ *                        following, verified, isBlueVerified, createdAt }
+ * Canonical community: { id, name, description, avatarUrl, bannerUrl, memberCount, createdAt,
+ *                        admin, creator } (admin / creator are canonical users or null)
+ * Canonical tweet:     { id, text, createdAt, author, likes, retweets, replies, quotes, views,
+ *                        bookmarks, media, quotedTweetId, inReplyToId, inReplyToUserName,
+ *                        conversationId } (author is a canonical user or null; media is
+ *                        [{ type, url, previewUrl }])
+ *
+ * TWITTER_PROVIDERS picks providers in failover order (default: twitterapi, plus secondary when
+ * TWITTER_SECONDARY_API_URL and TWITTER_SECONDARY_API_KEY are set):
+ *   twitterapi - api.twitterapi.io with TWITTER_API_KEY
+ *   secondary  - a twitterapi.io-compatible API at TWITTER_SECONDARY_API_URL with TWITTER_SECONDARY_API_KEY
+ *   fixture    - JSON files in TWITTER_FIXTURES_DIR (default scripts/fixtures/twitter), for local
+ *                development and tests; no network and no credits
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { fetchUpstreamJson, UpstreamError, UPSTREAM_ERRORS, UPSTREAM_DEFAULTS } from './upstream.js';
+
+const TWITTER_API_URL = 'https://api.twitterapi.io/twitter';
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../scripts/fixtures/twitter/', import.meta.url));
+
+/**
+ * Map a provider's user object onto the canonical user
+ * Accepts twitterapi.io (camelCase), legacy v1.1 (snake_case) and v2 (public_metrics) field names.
+ * @param {Object} raw - Provider user object
+ * @returns {Object} Canonical user
+ */
+export function normalizeUser(raw) {
+  const metrics = raw.public_metrics || {};
+
+  return {
+    id: raw.id != null ? String(raw.id) : (raw.id_str || raw.rest_id || null),
+    userName: raw.userName || raw.screen_name || raw.username || null,
+    name: raw.name || raw.display_name || null,
+    description: raw.description || raw.bio || '',
+    profilePicture: raw.profilePicture || raw.profile_image_url_https || raw.profile_image_url || null,
+    coverPicture: raw.coverPicture || raw.profile_banner_url || null,
+    followers: raw.followers ?? raw.followers_count ?? metrics.followers_count ?? 0,
+    following: raw.following ?? raw.friends_count ?? metrics.following_count ?? 0,
+    verified: Boolean(raw.verified),
+    isBlueVerified: Boolean(raw.isBlueVerified || raw.is_blue_verified),
+    createdAt: raw.createdAt || raw.created_at || null
+  };
+}
+
+/**
+ * Map a provider's community object onto the canonical community
+ * @param {Object} raw - Provider community object
+ * @param {string} communityId - Requested ID (used when the provider omits it)
+ * @returns {Object} Canonical community
+ */
+export function normalizeCommunity(raw, communityId) {
+  const admin = raw.admin || raw.creator || null;
+  const creator = raw.creator || raw.admin || null;
+
+  return {
+    id: String(raw.id || raw.rest_id || communityId),
+    name: raw.name || null,
+    description: raw.description || '',
+    avatarUrl: raw.avatar_url || raw.avatarUrl || null,
+    bannerUrl: raw.banner_url || raw.bannerUrl || null,
+    memberCount: raw.member_count ?? raw.memberCount ?? null,
+    createdAt: raw.created_at || raw.createdAt || null,
+    admin: admin ? normalizeUser(admin) : null,
+    creator: creator ? normalizeUser(creator) : null
+  };
+}
+
+/**
+ * Map a provider's media entities onto [{ type, url, previewUrl }]
+ * Videos and GIFs point at their highest-bitrate MP4 variant.
+ * @param {Object[]} media
+ * @returns {Object[]}
+ */
+function normalizeMedia(media) {
+  return (media || []).map(item => {
+    const variants = (item.video_info?.variants || item.variants || [])
+      .filter(variant => variant.content_type === 'video/mp4')
+      .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+    const previewUrl = item.media_url_https || item.preview_image_url || item.url || null;
+
+    return {
+      type: item.type || 'photo',
+      url: variants[0]?.url || previewUrl,
+      previewUrl
+    };
+  });
+}
+
+/**
+ * Map a provider's tweet object onto the canonical tweet
+ * Accepts twitterapi.io (camelCase), legacy v1.1 (snake_case) and v2 (public_metrics) field names.
+ * @param {Object} raw - Provider tweet object
+ * @returns {Object} Canonical tweet
+ */
+export function normalizeTweet(raw) {
+  const metrics = raw.public_metrics || {};
+  const author = raw.author || raw.user || null;
+  const quoted = raw.quoted_tweet || raw.quotedTweet || null;
+
+  return {
+    id: raw.id != null ? String(raw.id) : (raw.id_str || raw.rest_id || null),
+    text: raw.text ?? raw.full_text ?? '',
+    createdAt: raw.createdAt || raw.created_at || null,
+    author: author ? normalizeUser(author) : null,
+    likes: raw.likeCount ?? raw.favorite_count ?? metrics.like_count ?? 0,
+    retweets: raw.retweetCount ?? raw.retweet_count ?? metrics.retweet_count ?? 0,
+    replies: raw.replyCount ?? raw.reply_count ?? metrics.reply_count ?? 0,
+    quotes: raw.quoteCount ?? raw.quote_count ?? metrics.quote_count ?? 0,
+    views: raw.viewCount ?? metrics.impression_count ?? null,
+    bookmarks: raw.bookmarkCount ?? raw.bookmark_count ?? metrics.bookmark_count ?? null,
+    media: normalizeMedia(raw.extendedEntities?.media || raw.extended_entities?.media || raw.entities?.media || raw.media),
+    quotedTweetId: quoted?.id != null ? String(quoted.id) : (raw.quoted_status_id_str || null),
+    inReplyToId: raw.inReplyToId || raw.in_reply_to_status_id_str || null,
+    inReplyToUserName: raw.inReplyToUsername || raw.in_reply_to_screen_name || null,
+    conversationId: raw.conversationId || raw.conversation_id_str || null
+  };
+}
+
+function toNotFound(message) {
+  return new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, message, {
+    reason: /suspend/i.test(message) ? 'suspended' : 'not_found'
+  });
+}
+
+/**
+ * Transport for a twitterapi.io-compatible HTTP API
+ * @returns {Function} (path, params) => Promise<Object>
+ */
+function createHttpTransport({ name, baseUrl, apiKey, deadlineMs }) {
+  return async (path, params) => {
+    const apiUrl = new URL(`${baseUrl.replace(/\/$/, '')}/${path}`);
+    for (const [param, value] of Object.entries(params)) {
+      apiUrl.searchParams.set(param, value);
+    }
+
+    return fetchUpstreamJson(apiUrl.toString(), {
+      name,
+      headers: { 'X-API-Key': apiKey },
+      ...(deadlineMs ? { deadlineMs } : {})
+    });
+  };
+}
+
+// Fixture file for each API path: [subdirectory, request param, lowercase the id?]
+const FIXTURE_PATHS = {
+  'user/info': ['user', 'userName', true],
+  'community/info': ['community', 'community_id', false],
+  'tweets': ['tweet', 'tweet_ids', false]
+};
+
+/**
+ * Transport that answers from twitterapi.io-shaped JSON files:
+ *   <dir>/user/<username, lowercase>.json, <dir>/community/<id>.json and <dir>/tweet/<id>.json
+ * A missing file is a 404. A file containing { "$status": 429 | 503, "$retryAfter"? } simulates
+ * that upstream failure.
+ * @returns {Function} (path, params) => Promise<Object>
+ */
+function createFixtureTransport(dir) {
+  return async (path, params) => {
+    const [subdirectory, param, lowercase] = FIXTURE_PATHS[path];
+    const id = String(params[param]);
+    if (!/^[A-Za-z0-9_]+$/.test(id)) {
+      throw new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, 'Not found', { status: 404, reason: 'not_found' });
+    }
+
+    const file = join(dir, subdirectory, `${lowercase ? id.toLowerCase() : id}.json`);
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, 'Not found', { status: 404, reason: 'not_found' });
+      }
+      throw new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, `Bad fixture ${file}: ${error.message}`);
+    }
+
+    if (data.$status === 429) {
+      throw new UpstreamError(UPSTREAM_ERRORS.RATE_LIMITED, 'Upstream rate limit reached', { status: 429, retryAfter: data.$retryAfter || 5 });
+    }
+    if (data.$status) {
+      throw new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, `HTTP ${data.$status}`, { status: data.$status });
+    }
+
+    return data;
+  };
+}
+
+/**
+ * Provider for the twitterapi.io response shape
+ * @param {Object} options
+ * @param {string} options.name - Provider name (also its circuit breaker name)
+ * @param {Function} options.request - Transport: (path, params) => Promise<Object>
+ * @returns {Object} Provider
+ */
+export function createTwitterApiProvider({ name, request }) {
+  // Some failures come back as 200 { status: 'error', msg }
+  async function call(path, params) {
+    const data = await request(path, params);
+
+    if (data?.status === 'error') {
+      const message = data.msg || data.message || 'Twitter API error';
+      if (/not found|not exist|suspend/i.test(message)) throw toNotFound(message);
+      throw new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, message);
+    }
+
+    return data;
+  }
+
+  return {
+    name,
+
+    async getUser(userName) {
+      const raw = await call('user/info', { userName });
+
+      const user = raw.data === undefined ? raw : raw.data;
+      if (!user) throw toNotFound('User not found');
+      if (user.unavailable) throw toNotFound(user.unavailableReason || user.message || 'User unavailable');
+
+      return { provider: name, user: normalizeUser(user), raw };
+    },
+
+    async getCommunity(communityId) {
+      const raw = await call('community/info', { community_id: communityId });
+
+      const community = raw.community_info || raw.data?.community_info || (raw.id ? raw : null);
+      if (!community) throw toNotFound('Community not found');
+
+      return { provider: name, community: normalizeCommunity(community, communityId), raw };
+    },
+
+    async getTweet(tweetId) {
+      const raw = await call('tweets', { tweet_ids: tweetId });
+
+      // Deleted and protected tweets are simply left out of the list
+      const tweet = (raw.tweets || raw.data?.tweets || []).find(item => String(item.id ?? item.id_str) === String(tweetId));
+      if (!tweet) throw toNotFound('Tweet not found');
+
+      return { provider: name, tweet: normalizeTweet(tweet), raw };
+    }
+  };
+}
+
+/**
+ * Fixture-backed provider (see createFixtureTransport)
+ * @param {string} [dir] - Fixture directory
+ * @returns {Object} Provider
+ */
+export function createFixtureProvider(dir = DEFAULT_FIXTURES_DIR) {
+  return createTwitterApiProvider({ name: 'fixture', request: createFixtureTransport(dir) });
+}
+
+/**
+ * Try providers in order until one answers
+ * NOT_FOUND is returned as-is (the account is gone, not the provider); rate limits and outages
+ * fall through to the next provider, and the last failure is thrown when all of them fail.
+ * @param {Object[]} providers
+ * @returns {Object} Provider
+ */
+export function createFailoverProvider(providers) {
+  async function tryEach(method, id) {
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        return await provider[method](id);
+      } catch (error) {
+        if (error instanceof UpstreamError && error.code === UPSTREAM_ERRORS.NOT_FOUND) throw error;
+        lastError = error;
+        if (provider !== providers[providers.length - 1]) {
+          console.warn(`[Providers] ${provider.name} failed (${error.message}), failing over`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  return {
+    name: providers.map(provider => provider.name).join(','),
+    getUser: (userName) => tryEach('getUser', userName),
+    getCommunity: (communityId) => tryEach('getCommunity', communityId),
+    getTweet: (tweetId) => tryEach('getTweet', tweetId)
+  };
+}
+
+/**
+ * Build the providers named in TWITTER_PROVIDERS
+ * @returns {Object[]}
+ */
+function createConfiguredProviders() {
+  const configured = process.env.TWITTER_PROVIDERS
+    ? process.env.TWITTER_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : ['twitterapi', ...(process.env.TWITTER_SECONDARY_API_URL && process.env.TWITTER_SECONDARY_API_KEY ? ['secondary'] : [])];
+
+  // Network providers share the function's time budget
+  const networkCount = configured.filter(name => name !== 'fixture').length;
+  const deadlineMs = networkCount > 1 ? Math.floor(UPSTREAM_DEFAULTS.deadlineMs / networkCount) : null;
+
+  return configured.map(name => {
+    switch (name) {
+      case 'twitterapi':
+        return createTwitterApiProvider({
+          name: 'twitterapi.io',
+          request: createHttpTransport({ name: 'twitterapi.io', baseUrl: TWITTER_API_URL, apiKey: process.env.TWITTER_API_KEY, deadlineMs })
+        });
+      case 'secondary':
+        if (!process.env.TWITTER_SECONDARY_API_URL) {
+          throw new Error('TWITTER_SECONDARY_API_URL is required for the secondary provider');
+        }
+        return createTwitterApiProvider({
+          name: 'secondary',
+          request: createHttpTransport({ name: 'secondary', baseUrl: process.env.TWITTER_SECONDARY_API_URL, apiKey: process.env.TWITTER_SECONDARY_API_KEY, deadlineMs })
+        });
+      case 'fixture':
+        return createFixtureProvider(process.env.TWITTER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+      default:
+        throw new Error(`Unknown Twitter provider: ${name}`);
+    }
+  });
+}
+
+let twitterProvider = null;
+
+/**
+ * Process-wide provider, with failover when TWITTER_PROVIDERS names more than one
+ * @returns {Object} Provider
+ */
+export function getTwitterProvider() {
+  if (!twitterProvider) {
+    const providers = createConfiguredProviders();
+    twitterProvider = providers.length === 1 ? providers[0] : createFailoverProvider(providers);
+  }
+  return twitterProvider;
+}
@@ -0,0 +1,283 @@
+/**
+ * Resilient upstream calls for the twitterapi.io proxies
+ *
+ * Every attempt has a timeout, and the whole call has a deadline that fits inside the function's
+ * execution limit. Timeouts, network errors, 5xx and 429 are retried with full-jitter exponential
+ * backoff (a 429's Retry-After is honoured when it is short, otherwise the call gives up at once).
+ *
+ * A circuit breaker per upstream opens after BREAKER_DEFAULTS.failureThreshold consecutive
+ * outage-type failures and fails fast for openSeconds. Then a single probe is let through: success
+ * closes it, failure opens it again. Breaker state is per serverless instance.
+ *
+ * Failures are thrown as UpstreamError and map to responses through getUpstreamErrorResponse:
+ *   NOT_FOUND    -> 404 USER_NOT_FOUND / COMMUNITY_NOT_FOUND / TWEET_NOT_FOUND (reason 'not_found' or 'suspended')
+ *   RATE_LIMITED -> 429 UPSTREAM_RATE_LIMITED with Retry-After
+ *   UNAVAILABLE  -> 503 UPSTREAM_UNAVAILABLE (with Retry-After while the breaker is open)
+ */
+
+export const UPSTREAM_ERRORS = {
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNAVAILABLE: 'UNAVAILABLE'
+};
+
+export const UPSTREAM_DEFAULTS = {
+  timeoutMs: 4000,        // Per attempt
+  deadlineMs: 8000,       // Whole call, retries included
+  retries: 2,
+  baseDelayMs: 250,
+  maxDelayMs: 2000,
+  maxRetryAfterMs: 2000   // Longer Retry-After values are passed on to the client instead
+};
+
+export const BREAKER_DEFAULTS = {
+  failureThreshold: 5,
+  openSeconds: 30
+};
+
+// Retry-After sent to clients when upstream did not give one
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+const NOT_FOUND_MESSAGES = {
+  TWEET_NOT_FOUND: 'This tweet does not exist or is unavailable.'
+};
+
+export class UpstreamError extends Error {
+  /**
+   * @param {string} code - One of UPSTREAM_ERRORS
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status] - Upstream HTTP status
+   * @param {number} [details.retryAfter] - Seconds until a retry may succeed
+   * @param {string} [details.reason] - For NOT_FOUND: 'not_found' or 'suspended'
+   */
+  constructor(code, message, { status = null, retryAfter = null, reason = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+  }
+}
+
+const breakers = new Map();
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { failures: 0, openUntil: 0, probing: false });
+  }
+  return breakers.get(name);
+}
+
+// Throw while the breaker is open; let one probe through once it is half-open
+function enterBreaker(breaker, name) {
+  const now = Date.now();
+
+  if (breaker.openUntil > now || (breaker.openUntil && breaker.probing)) {
+    const retryAfter = Math.max(Math.ceil((breaker.openUntil - now) / 1000), 1);
+    throw new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, `${name} is unavailable (circuit open)`, { retryAfter });
+  }
+
+  if (breaker.openUntil) {
+    breaker.probing = true;
+  }
+}
+
+function recordBreakerSuccess(breaker, name) {
+  if (breaker.openUntil) {
+    console.log(`[Upstream] ${name} recovered, closing circuit`);
+  }
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+  breaker.probing = false;
+}
+
+function recordBreakerFailure(breaker, name) {
+  breaker.failures++;
+
+  if (breaker.probing || breaker.failures >= BREAKER_DEFAULTS.failureThreshold) {
+    breaker.openUntil = Date.now() + BREAKER_DEFAULTS.openSeconds * 1000;
+    breaker.probing = false;
+    console.warn(`[Upstream] ${name} failed ${breaker.failures} times in a row, opening circuit for ${BREAKER_DEFAULTS.openSeconds}s`);
+  }
+}
+
+// Retry-After header (seconds or HTTP date) in milliseconds, or null
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * One request, classified
+ * @returns {Promise<{ data?: any, error?: UpstreamError, retryable?: boolean, outage?: boolean, retryAfterMs?: number|null }>}
+ *   outage marks failures that count against the circuit breaker
+ */
+async function attemptRequest(url, headers, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+    return { error: new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, message), retryable: true, outage: true };
+  }
+
+  if (response.status === 404) {
+    return { error: new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, 'Not found', { status: 404, reason: 'not_found' }), retryable: false, outage: false };
+  }
+
+  if (response.status === 429) {
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    const retryAfter = retryAfterMs !== null ? Math.max(Math.ceil(retryAfterMs / 1000), 1) : DEFAULT_RETRY_AFTER_SECONDS;
+    return { error: new UpstreamError(UPSTREAM_ERRORS.RATE_LIMITED, 'Upstream rate limit reached', { status: 429, retryAfter }), retryable: true, outage: false, retryAfterMs };
+  }
+
+  if (response.status >= 500) {
+    return { error: new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, `HTTP ${response.status}`, { status: response.status }), retryable: true, outage: true };
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    return { error: new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, 'Invalid JSON from upstream', { status: response.status }), retryable: false, outage: true };
+  }
+
+  if (!response.ok) {
+    // 401/403 mean our API key is not accepted - an outage for every user
+    const outage = response.status === 401 || response.status === 403;
+    const message = data?.error || data?.msg || data?.message || `HTTP ${response.status}`;
+    return { error: new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, message, { status: response.status }), retryable: false, outage };
+  }
+
+  return { data };
+}
+
+/**
+ * GET a JSON resource with timeouts, retries and the upstream's circuit breaker
+ * @param {string} url
+ * @param {Object} [options] - Overrides for UPSTREAM_DEFAULTS, plus:
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.name] - Breaker name (defaults to the URL's host)
+ * @returns {Promise<any>} Parsed body of a 2xx response
+ * @throws {UpstreamError}
+ */
+export async function fetchUpstreamJson(url, { headers = {}, name = new URL(url).host, ...options } = {}) {
+  const config = { ...UPSTREAM_DEFAULTS, ...options };
+  const breaker = getBreaker(name);
+  const deadline = Date.now() + config.deadlineMs;
+
+  enterBreaker(breaker, name);
+
+  for (let attempt = 0; ; attempt++) {
+    const result = await attemptRequest(url, headers, Math.max(Math.min(config.timeoutMs, deadline - Date.now()), 1));
+
+    if (!result.error) {
+      recordBreakerSuccess(breaker, name);
+      return result.data;
+    }
+
+    if (result.outage) {
+      recordBreakerFailure(breaker, name);
+    } else {
+      // Upstream answered (404, 429, 4xx) - it is up
+      recordBreakerSuccess(breaker, name);
+    }
+
+    if (breaker.openUntil > Date.now()) {
+      // This failure opened the circuit
+      result.error.retryAfter = result.error.retryAfter || BREAKER_DEFAULTS.openSeconds;
+      throw result.error;
+    }
+
+    if (!result.retryable || attempt >= config.retries) {
+      throw result.error;
+    }
+
+    if (result.retryAfterMs !== undefined && result.retryAfterMs !== null && result.retryAfterMs > config.maxRetryAfterMs) {
+      throw result.error;
+    }
+
+    // Full jitter: anywhere between 0 and the exponential cap, but never before Retry-After
+    const backoffMs = Math.random() * Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+    const waitMs = Math.max(backoffMs, result.retryAfterMs || 0);
+
+    // Not enough time left for a useful attempt
+    if (Date.now() + waitMs + config.baseDelayMs >= deadline) {
+      throw result.error;
+    }
+
+    console.warn(`[Upstream] ${name} attempt ${attempt + 1} failed (${result.error.message}), retrying in ${Math.round(waitMs)}ms`);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+
+    enterBreaker(breaker, name);
+  }
+}
+
+/**
+ * Response status and body for a failed lookup
+ * @param {Error} error - Usually an UpstreamError
+ * @param {string} [notFoundCode] - Error code for NOT_FOUND, e.g. 'USER_NOT_FOUND'
+ * @returns {{ status: number, body: Object, retryAfter: number|null }}
+ */
+export function getUpstreamErrorResponse(error, notFoundCode = 'USER_NOT_FOUND') {
+  if (!(error instanceof UpstreamError)) {
+    return { status: 500, body: { error: error.message }, retryAfter: null };
+  }
+
+  switch (error.code) {
+    case UPSTREAM_ERRORS.NOT_FOUND:
+      return {
+        status: 404,
+        body: {
+          error: notFoundCode,
+          reason: error.reason || 'not_found',
+          message: error.reason === 'suspended'
+            ? 'This account is suspended.'
+            : NOT_FOUND_MESSAGES[notFoundCode] || 'This account does not exist or is unavailable.'
+        },
+        retryAfter: null
+      };
+
+    case UPSTREAM_ERRORS.RATE_LIMITED:
+      return {
+        status: 429,
+        body: {
+          error: 'UPSTREAM_RATE_LIMITED',
+          message: `Twitter data is rate limited. Please try again in ${error.retryAfter} seconds.`,
+          retryAfter: error.retryAfter
+        },
+        retryAfter: error.retryAfter
+      };
+
+    default:
+      return {
+        status: 503,
+        body: {
+          error: 'UPSTREAM_UNAVAILABLE',
+          message: 'Twitter data is temporarily unavailable. Please try again shortly.',
+          retryAfter: error.retryAfter
+        },
+        retryAfter: error.retryAfter
+      };
+  }
+}
+
+/**
+ * Send the response for a failed lookup (with Retry-After when known)
+ * @param {Object} res - Response object
+ * @param {Error} error - Usually an UpstreamError
+ * @param {string} [notFoundCode] - Error code for NOT_FOUND
+ */
+export function sendUpstreamError(res, error, notFoundCode) {
+  const { status, body, retryAfter } = getUpstreamErrorResponse(error, notFoundCode);
+
+  if (retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter));
+  }
+  return res.status(status).json(body);
+}
@@ -0,0 +1,349 @@
+/**
+ * Outbound webhooks
+ *
+ * webhook_subscriptions rows (id, name, url, events text[], format 'json'|'discord'|'slack', secret,
+ * is_active, created_at, updated_at) are managed through /api/admin-webhooks. An empty events
+ * array subscribes to every event.
+ *
+ * Every delivery is logged in webhook_deliveries (id, subscription_id, event, payload jsonb,
+ * status 'pending'|'delivered'|'failed', attempts, last_status_code, last_error, next_attempt_at,
+ * delivered_at, created_at). The first attempt is made inline with a short timeout; failures are
+ * retried by /api/cron-webhooks after RETRY_DELAYS_SECONDS, then marked failed. The cron claims due
+ * rows by pushing next_attempt_at past DELIVERY_LEASE_SECONDS before sending, so overlapping runs
+ * never send the same delivery twice.
+ *
+ * Events in EVENT_THROTTLE_SECONDS are sent at most once per window for the same throttleKey
+ * (counted with the rate_limit_increment RPC, see lib/rate-limit.js), so a device retrying a full
+ * license does not flood subscribers.
+ *
+ * Each request carries:
+ *   X-Honed-Event, X-Honed-Delivery, X-Honed-Timestamp (unix seconds)
+ *   X-Honed-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${body}` with the subscription secret>
+ * Discord and Slack ignore the headers; use verifyWebhookSignature on custom receivers
+ * (scripts/webhook-receiver.js is a local receiver for testing).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { createSupabaseCounterStore } from './rate-limit.js';
+
+export const WEBHOOK_EVENTS = {
+  DEVICE_REGISTERED: 'device.registered',       // validate / register bound a new device
+  DEVICE_MISMATCH: 'license.device_mismatch',   // a key was used on a device with no free seat
+  CONFIG_PUBLISHED: 'config.published',         // config-share made a config public
+  VERSION_ACTIVATED: 'version.activated',       // admin-versions activated a version
+  LICENSE_PAYMENT: 'license.payment',           // payment-webhook provisioned, extended or revoked a key
+  PING: 'ping'                                  // /api/admin-webhooks test delivery
+};
+
+export const WEBHOOK_FORMATS = ['json', 'discord', 'slack'];
+
+// Delay before retry N (after attempt N failed); the delivery fails after the last one
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 43200];
+const DELIVERY_TIMEOUT_MS = 3000;
+// A claimed retry becomes due again after this if the cron run dies mid-send
+const DELIVERY_LEASE_SECONDS = 60;
+
+const EVENT_THROTTLE_SECONDS = {
+  [WEBHOOK_EVENTS.DEVICE_MISMATCH]: 60 * 60
+};
+
+let supabase = null;
+
+function getSupabase() {
+  if (!supabase) {
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return supabase;
+}
+
+/**
+ * Create a signing secret for a new subscription
+ * @returns {string}
+ */
+export function generateWebhookSecret() {
+  return 'whsec_' + randomBytes(24).toString('base64url');
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number|string} timestamp - Unix seconds, sent as X-Honed-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} `sha256=<hex>`
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Verify a webhook signature (for receivers)
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Honed-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Honed-Signature header
+ * @param {number} [toleranceSeconds] - Reject timestamps further than this from now
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookBody(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Title and fields shown by chat formats
+function describeEvent(event, data) {
+  switch (event) {
+    case WEBHOOK_EVENTS.DEVICE_REGISTERED:
+      return { title: 'New device registered', fields: { License: data.licenseKey, Device: data.deviceId, Via: data.endpoint, Seats: `${data.boundDevices}/${data.maxDevices}` } };
+    case WEBHOOK_EVENTS.DEVICE_MISMATCH:
+      return { title: 'Device limit reached', fields: { License: data.licenseKey, Device: data.deviceId, Via: data.endpoint, Seats: `${data.boundDevices}/${data.maxDevices}` } };
+    case WEBHOOK_EVENTS.CONFIG_PUBLISHED:
+      return { title: 'Config published', fields: { Config: data.displayName || data.configId, Owner: data.deviceId } };
+    case WEBHOOK_EVENTS.VERSION_ACTIVATED:
+      return { title: `Version ${data.version} activated`, fields: { Channel: data.channel, Rollout: `${data.rolloutPercentage}%`, Minimum: data.minimumVersion } };
+    case WEBHOOK_EVENTS.LICENSE_PAYMENT:
+      return { title: `License ${data.action} by payment`, fields: { License: data.licenseKey, Tier: data.tier, Months: data.months, Expires: data.expiresAt, Event: data.paymentEvent } };
+    default:
+      return { title: `Webhook ${event}`, fields: data || {} };
+  }
+}
+
+/**
+ * Build the request body for a subscription's format
+ * @param {string} format - One of WEBHOOK_FORMATS
+ * @param {Object} payload - { id, event, createdAt, data }
+ * @returns {Object}
+ */
+export function formatWebhookBody(format, payload) {
+  if (format === 'json') {
+    return payload;
+  }
+
+  const { title, fields } = describeEvent(payload.event, payload.data);
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+
+  if (format === 'discord') {
+    return {
+      content: null,
+      embeds: [{
+        title,
+        fields: entries.map(([name, value]) => ({ name, value: String(value), inline: true })),
+        footer: { text: payload.event },
+        timestamp: payload.createdAt
+      }]
+    };
+  }
+
+  // slack
+  return {
+    text: title,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${title}*` } },
+      { type: 'section', fields: entries.map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}*\n${value}` })) },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: payload.event }] }
+    ]
+  };
+}
+
+async function send(subscription, delivery) {
+  const body = JSON.stringify(formatWebhookBody(subscription.format || 'json', delivery.payload));
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Honed-Webhooks/1.0',
+        'X-Honed-Event': delivery.event,
+        'X-Honed-Delivery': String(delivery.id),
+        'X-Honed-Timestamp': String(timestamp),
+        'X-Honed-Signature': signWebhookBody(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    return { ok: response.ok, statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+  }
+}
+
+/**
+ * Attempt a logged delivery and record the outcome (delivered, retry scheduled, or failed)
+ * @param {Object} subscription - webhook_subscriptions row
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {Promise<Object>} Updated delivery fields
+ */
+export async function attemptDelivery(subscription, delivery) {
+  const result = await send(subscription, delivery);
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+
+  let update;
+  if (result.ok) {
+    update = { status: 'delivered', delivered_at: now.toISOString(), next_attempt_at: null };
+  } else if (attempts > RETRY_DELAYS_SECONDS.length) {
+    update = { status: 'failed', next_attempt_at: null };
+  } else {
+    update = { status: 'pending', next_attempt_at: new Date(now.getTime() + RETRY_DELAYS_SECONDS[attempts - 1] * 1000).toISOString() };
+  }
+
+  update = { ...update, attempts, last_status_code: result.statusCode, last_error: result.error };
+
+  const { error } = await getSupabase()
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id);
+
+  if (error) {
+    console.error('[Webhooks] Failed to update delivery log:', error);
+  }
+
+  if (!result.ok) {
+    console.warn(`[Webhooks] Delivery ${delivery.id} (${delivery.event}) to subscription ${subscription.id} failed: ${result.error}`);
+  }
+
+  return { id: delivery.id, ...update };
+}
+
+// True if the event was already sent for this key in its throttle window (fails open)
+async function isThrottled(event, throttleKey) {
+  const windowSeconds = EVENT_THROTTLE_SECONDS[event];
+  if (!windowSeconds || !throttleKey) return false;
+
+  try {
+    const digest = createHash('sha256').update(String(throttleKey)).digest('hex');
+    const { count } = await createSupabaseCounterStore(getSupabase()).increment(`webhook:${event}:${digest}`, windowSeconds);
+    return count > 1;
+  } catch (error) {
+    console.error(`[Webhooks] Throttle check failed for ${event}, sending anyway:`, error);
+    return false;
+  }
+}
+
+/**
+ * Queue an event for its subscriptions without sending it yet
+ * Never throws - webhooks must not break the request that triggered them. Once this resolves, the
+ * deliveries are logged as pending: the returned send() makes the first attempt, and if it never
+ * runs or is cut short (e.g. the function is frozen after responding), /api/cron-webhooks sends
+ * them. Request handlers queue before responding and call send() after, since the first attempt
+ * can take up to DELIVERY_TIMEOUT_MS.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.subscriptions] - Deliver to these instead of the matching ones
+ * @param {string} [options.throttleKey] - Key for EVENT_THROTTLE_SECONDS (e.g. the full license key)
+ * @returns {Promise<Function>} send: async () => delivery results (never throws)
+ */
+export async function queueWebhookEvent(event, data, { subscriptions, throttleKey } = {}) {
+  try {
+    const db = getSupabase();
+
+    if (await isThrottled(event, throttleKey)) return async () => [];
+
+    let targets = subscriptions;
+    if (!targets) {
+      const { data: rows, error } = await db
+        .from('webhook_subscriptions')
+        .select('id, url, events, format, secret')
+        .eq('is_active', true);
+
+      if (error) throw error;
+      targets = (rows || []).filter(row => !row.events?.length || row.events.includes(event));
+    }
+
+    if (targets.length === 0) return async () => [];
+
+    const createdAt = new Date().toISOString();
+    // If the first attempt never finishes, the cron picks the delivery up from here
+    const firstRetryAt = new Date(Date.now() + RETRY_DELAYS_SECONDS[0] * 1000).toISOString();
+    const { data: deliveries, error: insertError } = await db
+      .from('webhook_deliveries')
+      .insert(targets.map(subscription => ({
+        subscription_id: subscription.id,
+        event,
+        payload: { event, createdAt, data },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: firstRetryAt,
+        created_at: createdAt
+      })))
+      .select();
+
+    if (insertError) throw insertError;
+
+    // Fill in the delivery id so receivers can deduplicate retries
+    return () => Promise.all(deliveries.map(delivery => {
+      const subscription = targets.find(target => target.id === delivery.subscription_id);
+      return attemptDelivery(subscription, { ...delivery, payload: { id: delivery.id, ...delivery.payload } });
+    })).catch(error => {
+      console.error(`[Webhooks] Failed to send ${event}, leaving it to the retry cron:`, error);
+      return [];
+    });
+  } catch (error) {
+    console.error(`[Webhooks] Failed to emit ${event}:`, error);
+    return async () => [];
+  }
+}
+
+/**
+ * Queue an event and make the first delivery attempt (see queueWebhookEvent)
+ * Never throws. For work that is not racing a response, e.g. admin actions and provider webhooks.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [options] - As for queueWebhookEvent
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+export async function emitWebhookEvent(event, data, options) {
+  const send = await queueWebhookEvent(event, data, options);
+  return send();
+}
+
+/**
+ * Retry pending deliveries that are due (called by /api/cron-webhooks)
+ * Due rows are claimed first, then sent in parallel - a run takes about DELIVERY_TIMEOUT_MS.
+ * @param {number} [limit] - Max deliveries per run
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+export async function retryDueDeliveries(limit = 20) {
+  const db = getSupabase();
+  const now = new Date().toISOString();
+
+  const { data: due, error } = await db
+    .from('webhook_deliveries')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  if (!due?.length) return [];
+
+  // The update re-checks each row, so a delivery another run already claimed is skipped
+  const { data: deliveries, error: claimError } = await db
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(Date.now() + DELIVERY_LEASE_SECONDS * 1000).toISOString() })
+    .in('id', due.map(row => row.id))
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now)
+    .select('*, subscription:webhook_subscriptions(id, url, format, secret, is_active)');
+
+  if (claimError) throw claimError;
+
+  const results = await Promise.all((deliveries || []).map(async ({ subscription, ...delivery }) => {
+    if (!subscription?.is_active) {
+      await db.from('webhook_deliveries').update({ status: 'failed', last_error: 'Subscription inactive', next_attempt_at: null }).eq('id', delivery.id);
+      return null;
+    }
+    return attemptDelivery(subscription, { ...delivery, payload: { id: delivery.id, ...delivery.payload } });
+  }));
+
+  return results.filter(Boolean);
+}
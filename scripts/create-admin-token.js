@@ -0,0 +1,59 @@
+// Create an admin API token directly in Supabase (bootstrap for /api/admin-tokens)
+//
+// Usage: SUPABASE_URL=... SUPABASE_SERVICE_KEY=... \
+//        node scripts/create-admin-token.js <name> <scope,scope,...|all> [days]
+//
+// Prints the raw token once; only its hash is stored. Use a token with tokens:write to create
+// and revoke the rest through /api/admin-tokens.
+
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_SCOPES, generateAdminToken } from '../lib/admin-auth.js';
+
+const [name, scopeArg, daysArg] = process.argv.slice(2);
+const knownScopes = Object.values(ADMIN_SCOPES);
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+if (!name || !scopeArg) {
+  console.error(`Usage: node scripts/create-admin-token.js <name> <scope,scope,...|all> [days]\nScopes: ${knownScopes.join(', ')}`);
+  process.exit(1);
+}
+
+const scopes = scopeArg === 'all' ? knownScopes : scopeArg.split(',').map(scope => scope.trim());
+const unknownScope = scopes.find(scope => !knownScopes.includes(scope));
+if (unknownScope) {
+  console.error(`Unknown scope: ${unknownScope}. Use one of: ${knownScopes.join(', ')}`);
+  process.exit(1);
+}
+
+const days = daysArg ? parseInt(daysArg, 10) : null;
+if (daysArg && (!Number.isInteger(days) || days < 1)) {
+  console.error('days must be a positive integer');
+  process.exit(1);
+}
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+const { token, hash } = generateAdminToken();
+
+const { data, error } = await supabase
+  .from('admin_tokens')
+  .insert({
+    name,
+    token_hash: hash,
+    scopes,
+    expires_at: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+    created_at: new Date().toISOString()
+  })
+  .select('id, name, scopes, expires_at')
+  .single();
+
+if (error) {
+  console.error('[CreateAdminToken] Error:', error);
+  process.exit(1);
+}
+
+console.log(`Created admin token ${data.id} (${data.name}) with scopes: ${data.scopes.join(', ')}${data.expires_at ? `, expires ${data.expires_at}` : ''}`);
+console.log(`Token (shown once): ${token}`);
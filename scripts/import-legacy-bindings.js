@@ -0,0 +1,119 @@
+// One-off import of the legacy env-var device registry into Supabase
+//
+// DEVICE_BINDINGS="KEY1:device1,KEY2:device2" -> device_bindings rows
+// REVOKED_KEYS="KEY1,KEY2"                     -> license_keys.revoked = true
+//
+// Usage: SUPABASE_URL=... SUPABASE_SERVICE_KEY=... DEVICE_BINDINGS=... REVOKED_KEYS=... \
+//        node scripts/import-legacy-bindings.js [--dry-run]
+//
+// Safe to re-run: pairs that are already bound are skipped, as are keys missing from license_keys.
+// Once it has run, DEVICE_BINDINGS and REVOKED_KEYS can be removed from the Vercel environment.
+
+import { createClient } from '@supabase/supabase-js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+function parseBindings(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([key, deviceId]) => key && deviceId)
+    .map(([key, deviceId]) => ({ key: key.trim(), deviceId: deviceId.trim() }));
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+async function fetchExistingKeys(keys) {
+  if (keys.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .select('key')
+    .in('key', keys);
+
+  if (error) throw error;
+  return new Set(data.map(row => row.key));
+}
+
+async function importBindings(pairs) {
+  const existingKeys = await fetchExistingKeys([...new Set(pairs.map(pair => pair.key))]);
+  const counts = { imported: 0, alreadyBound: 0, unknownKey: 0 };
+
+  for (const { key, deviceId } of pairs) {
+    if (!existingKeys.has(key)) {
+      console.warn(`[Import] Skipping ${key.substring(0, 8)}... - not in license_keys`);
+      counts.unknownKey++;
+      continue;
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('device_bindings')
+      .select('device_id')
+      .eq('license_key', key)
+      .eq('device_id', deviceId)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+
+    if (existing) {
+      counts.alreadyBound++;
+      continue;
+    }
+
+    if (!dryRun) {
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('device_bindings')
+        .insert({
+          license_key: key,
+          device_id: deviceId,
+          bound_at: now,
+          last_seen: null,
+          last_endpoint: 'legacy-import'
+        });
+
+      if (error) throw error;
+    }
+
+    console.log(`[Import] ${key.substring(0, 8)}... -> ${deviceId}`);
+    counts.imported++;
+  }
+
+  return counts;
+}
+
+async function importRevocations(keys) {
+  if (keys.length === 0) return 0;
+  if (dryRun) return (await fetchExistingKeys(keys)).size;
+
+  const { data, error } = await supabase
+    .from('license_keys')
+    .update({ revoked: true })
+    .in('key', keys)
+    .select('key');
+
+  if (error) throw error;
+  return data.length;
+}
+
+try {
+  const pairs = parseBindings(process.env.DEVICE_BINDINGS);
+  const revokedKeys = parseList(process.env.REVOKED_KEYS);
+
+  const counts = await importBindings(pairs);
+  const revoked = await importRevocations(revokedKeys);
+
+  console.log(`[Import] ${dryRun ? 'Dry run - ' : ''}${counts.imported} binding(s) imported, ${counts.alreadyBound} already bound, ${counts.unknownKey} unknown key(s), ${revoked} key(s) revoked`);
+} catch (error) {
+  console.error('[Import] Error:', error);
+  process.exit(1);
+}
@@ -0,0 +1,71 @@
+// Sign a payment-provider fixture event and check or send it
+//
+// Usage:
+//   node scripts/send-payment-event.js <fixture.json>                  # check signature verification offline
+//   node scripts/send-payment-event.js <fixture.json> <url> [--fresh]  # POST it to /api/payment-webhook
+//
+// Fixtures live in scripts/fixtures/payments/. The secret comes from PAYMENT_WEBHOOK_SECRET
+// (a throwaway value is used for the offline check). Fixture event ids are fixed, so sending the
+// same fixture twice exercises idempotency; --fresh gives the event a new id.
+
+import { readFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { signPaymentPayload, verifyPaymentSignature } from '../lib/payments.js';
+
+const args = process.argv.slice(2);
+const fresh = args.includes('--fresh');
+const [fixturePath, url] = args.filter(arg => !arg.startsWith('--'));
+
+if (!fixturePath) {
+  console.error('Usage: node scripts/send-payment-event.js <fixture.json> [url] [--fresh]');
+  process.exit(1);
+}
+
+const event = JSON.parse(readFileSync(fixturePath, 'utf8'));
+if (fresh) {
+  event.id = `evt_${randomBytes(12).toString('hex')}`;
+}
+
+const body = JSON.stringify(event);
+
+if (!url) {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_fixture';
+  const now = Math.floor(Date.now() / 1000);
+  const header = signPaymentPayload(body, secret);
+
+  const checks = [
+    ['valid signature accepted', verifyPaymentSignature(body, header, secret) === true],
+    ['rotated secret list accepted', verifyPaymentSignature(body, `${header},v1=${'0'.repeat(64)}`, secret) === true],
+    ['tampered body rejected', verifyPaymentSignature(body.replace(event.type, 'invoice.voided'), header, secret) === false],
+    ['wrong secret rejected', verifyPaymentSignature(body, header, secret + 'x') === false],
+    ['stale timestamp rejected', verifyPaymentSignature(body, signPaymentPayload(body, secret, now - 600), secret) === false],
+    ['missing header rejected', verifyPaymentSignature(body, undefined, secret) === false]
+  ];
+
+  console.log(`${event.type} (${event.id})`);
+  console.log(`Stripe-Signature: ${header}`);
+  for (const [name, passed] of checks) {
+    console.log(`  ${passed ? 'ok  ' : 'FAIL'} ${name}`);
+  }
+
+  process.exit(checks.every(([, passed]) => passed) ? 0 : 1);
+}
+
+const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+if (!secret) {
+  console.error('PAYMENT_WEBHOOK_SECRET is required to send events');
+  process.exit(1);
+}
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Stripe-Signature': signPaymentPayload(body, secret)
+  },
+  body
+});
+
+console.log(`${event.type} (${event.id}) -> ${response.status}`);
+console.log(await response.text());
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,42 @@
+// Local webhook receiver for testing subscriptions
+//
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+//
+// Point a subscription at http://localhost:<port>/ (through a tunnel if the API runs on Vercel)
+// and send a ping with POST /api/admin-webhooks { action: 'test', id }. Each request is printed
+// with its signature check. Set FAIL_STATUS=500 to answer with an error and exercise retries.
+
+import { createServer } from 'http';
+import { verifyWebhookSignature } from '../lib/webhooks.js';
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const secret = process.env.WEBHOOK_SECRET;
+const failStatus = parseInt(process.env.FAIL_STATUS, 10) || null;
+
+if (!secret) {
+  console.warn('[Receiver] WEBHOOK_SECRET is not set - signatures will not be checked');
+}
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-honed-timestamp'];
+    const signature = req.headers['x-honed-signature'];
+    const verified = secret ? verifyWebhookSignature(secret, timestamp, body, signature) : null;
+
+    console.log(`[Receiver] ${req.method} ${req.url} event=${req.headers['x-honed-event']} delivery=${req.headers['x-honed-delivery']} signature=${verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID'}`);
+    console.log(body);
+
+    if (secret && !verified) {
+      res.writeHead(401).end('invalid signature');
+      return;
+    }
+
+    res.writeHead(failStatus || 200).end(failStatus ? 'failing on purpose' : 'ok');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`[Receiver] Listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,13 @@
+-- Refresh tokens on device bindings (api/validate.js, api/token.js)
+--
+-- /api/validate stores the SHA-256 of the refresh token it issues on the device's binding, and
+-- /api/token finds the binding by that hash. Clearing the columns (binding reset, transfer,
+-- minimum-version failure) logs the device out on its next refresh.
+
+alter table device_bindings
+  add column if not exists refresh_token_hash text,
+  add column if not exists refresh_token_expires_at timestamptz;
+
+create unique index if not exists device_bindings_refresh_token_hash_idx
+  on device_bindings (refresh_token_hash)
+  where refresh_token_hash is not null;
@@ -0,0 +1,6 @@
+-- Multi-seat licenses (lib/license.js)
+--
+-- max_devices is how many devices may be bound to a key at the same time. Existing keys keep
+-- their single seat.
+
+alter table license_keys add column if not exists max_devices integer not null default 1;
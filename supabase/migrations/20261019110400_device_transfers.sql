@@ -0,0 +1,21 @@
+-- Device transfer history (api/transfer.js)
+--
+-- One row per self-service transfer. The rows in the last 30 days count against TRANSFER_LIMIT,
+-- so they are only written by the transfer_device_binding RPC and are service-key only
+-- (20261019120800_device_transfer_atomic.sql).
+
+create table if not exists device_transfers (
+  id bigint generated always as identity primary key,
+  license_key text not null,
+  from_device_id text not null,
+  to_device_id text not null,
+  from_bound_at timestamptz,
+  from_last_seen timestamptz,
+  from_last_ip text,
+  ip text,
+  user_agent text,
+  transferred_at timestamptz not null default now()
+);
+
+create index if not exists device_transfers_license_key_transferred_at_idx
+  on device_transfers (license_key, transferred_at);
@@ -0,0 +1,21 @@
+-- Signing key ring (lib/keyring.js, api/admin-keys.js)
+--
+-- private_key holds the PEM of every pending or active key in plain text, so the table is only
+-- reachable with the service key: anyone able to read it could mint license tokens. Retiring a
+-- key clears its private_key.
+
+create table if not exists signing_keys (
+  kid text primary key,
+  alg text not null,
+  status text not null default 'pending' check (status in ('pending', 'active', 'verify', 'retired')),
+  private_key text,
+  public_key text not null,
+  created_at timestamptz not null default now(),
+  promoted_at timestamptz,
+  demoted_at timestamptz,
+  retired_at timestamptz
+);
+
+alter table signing_keys enable row level security;
+revoke all on signing_keys from anon, authenticated;
+grant select, insert, update on signing_keys to service_role;
@@ -0,0 +1,8 @@
+-- License tiers and entitlements (lib/entitlements.js)
+--
+-- tier picks the default entitlement set (null is the default tier); entitlements, when set,
+-- replaces it for that key.
+
+alter table license_keys
+  add column if not exists tier text,
+  add column if not exists entitlements text[];
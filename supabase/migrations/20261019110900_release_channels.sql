@@ -0,0 +1,11 @@
+-- Release channels and staged rollouts (lib/releases.js)
+--
+-- Existing versions stay on the stable channel and fully rolled out; licenses without a
+-- release_channel follow stable.
+
+alter table extension_versions
+  add column if not exists channel text not null default 'stable' check (channel in ('stable', 'beta')),
+  add column if not exists rollout_percentage integer not null default 100 check (rollout_percentage between 0 and 100);
+
+alter table license_keys
+  add column if not exists release_channel text check (release_channel in ('stable', 'beta'));
@@ -0,0 +1,28 @@
+-- Scheduled maintenance windows (lib/maintenance.js, api/admin-maintenance.js)
+--
+-- Every endpoint reads the active windows with the anon key, and their messages are shown to
+-- users, so anyone may read them. Only the service key (/api/admin-maintenance) may change them:
+-- otherwise any client could take the whole service down by inserting a window.
+
+create table if not exists maintenance_windows (
+  id uuid primary key default gen_random_uuid(),
+  message text,
+  starts_at timestamptz not null default now(),
+  ends_at timestamptz,
+  endpoints text[],
+  versions text[],
+  tiers text[],
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table maintenance_windows enable row level security;
+revoke all on maintenance_windows from anon, authenticated;
+grant select on maintenance_windows to anon, authenticated;
+grant select, insert, update, delete on maintenance_windows to service_role;
+
+drop policy if exists maintenance_windows_read on maintenance_windows;
+create policy maintenance_windows_read on maintenance_windows
+  for select to anon, authenticated
+  using (true);
@@ -0,0 +1,15 @@
+-- One binding per device and key (api/register.js, api/validate.js)
+--
+-- Activation binds a device with a plain insert once it has checked the existing bindings, so two
+-- concurrent activations of the same device could both insert and use up two seats. The unique
+-- index turns the second insert into an error instead. Duplicates left by earlier races are
+-- removed first, keeping the oldest binding.
+
+delete from device_bindings a
+using device_bindings b
+where a.license_key = b.license_key
+  and a.device_id = b.device_id
+  and a.ctid > b.ctid;
+
+create unique index if not exists device_bindings_license_key_device_id_idx
+  on device_bindings (license_key, device_id);
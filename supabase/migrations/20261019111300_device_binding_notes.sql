@@ -0,0 +1,20 @@
+-- Operator notes on device bindings (api/admin-bindings.js)
+--
+-- Notes are keyed by license (and optionally device) rather than by binding row, so they survive
+-- a binding reset. Support-only: service key access.
+
+create table if not exists device_binding_notes (
+  id uuid primary key default gen_random_uuid(),
+  license_key text not null,
+  device_id text,
+  note text not null,
+  author text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists device_binding_notes_license_key_idx
+  on device_binding_notes (license_key, created_at);
+
+alter table device_binding_notes enable row level security;
+revoke all on device_binding_notes from anon, authenticated;
+grant select, insert on device_binding_notes to service_role;
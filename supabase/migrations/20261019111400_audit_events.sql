@@ -0,0 +1,21 @@
+-- Audit log (lib/audit.js, api/admin-audit.js)
+--
+-- Access is locked down to insert-only in 20261019120200_audit_events_insert_only.sql.
+-- The indexes back the /api/admin-audit filters.
+
+create table if not exists audit_events (
+  id bigint generated always as identity primary key,
+  actor_type text not null,
+  actor_id text,
+  action text not null,
+  target_type text not null,
+  target_id text,
+  before jsonb,
+  after jsonb,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_events_created_at_idx on audit_events (created_at);
+create index if not exists audit_events_target_idx on audit_events (target_type, target_id);
+create index if not exists audit_events_actor_idx on audit_events (actor_type, actor_id);
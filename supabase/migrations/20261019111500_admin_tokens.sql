@@ -0,0 +1,19 @@
+-- Scoped admin API tokens (lib/admin-auth.js, api/admin-tokens.js)
+--
+-- Only token hashes are stored, but a row is still an admin credential: anyone able to insert
+-- one, or to clear revoked_at, could grant themselves any scope. Service key only.
+
+create table if not exists admin_tokens (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  token_hash text not null unique,
+  scopes text[] not null default '{}',
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table admin_tokens enable row level security;
+revoke all on admin_tokens from anon, authenticated;
+grant select, insert, update on admin_tokens to service_role;
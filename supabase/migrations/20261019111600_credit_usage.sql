@@ -0,0 +1,18 @@
+-- Per-license credit quotas (lib/quota.js)
+--
+-- daily_credit_limit / monthly_credit_limit override the tier's budget for one key (null keeps
+-- the tier default). credit_usage holds one counter per key, period and period start; access is
+-- restricted to the charge_credits RPC in 20261019120300_credit_usage_atomic_charge.sql.
+
+alter table license_keys
+  add column if not exists daily_credit_limit integer,
+  add column if not exists monthly_credit_limit integer;
+
+create table if not exists credit_usage (
+  license_key text not null,
+  period text not null check (period in ('day', 'month')),
+  period_start date not null,
+  credits_used integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (license_key, period, period_start)
+);
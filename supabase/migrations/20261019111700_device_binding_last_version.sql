@@ -0,0 +1,6 @@
+-- Last reported extension version per binding (api/validate.js, api/token.js)
+--
+-- /api/token falls back to it for the minimum-version check when the refresh request carries no
+-- version, and the usage report groups devices by it.
+
+alter table device_bindings add column if not exists last_version text;
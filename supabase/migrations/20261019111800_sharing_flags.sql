@@ -0,0 +1,30 @@
+-- Account-sharing flags (lib/sharing.js, api/admin-sharing.js)
+--
+-- A license has at most one open flag, refreshed by each scan. Flags can lead to a suspension,
+-- so they are service key only.
+
+create table if not exists sharing_flags (
+  id uuid primary key default gen_random_uuid(),
+  license_key text not null,
+  score integer not null,
+  distinct_ips integer not null default 0,
+  distinct_countries integer not null default 0,
+  distinct_user_agents integer not null default 0,
+  devices integer not null default 0,
+  window_start timestamptz,
+  window_end timestamptz,
+  status text not null default 'open' check (status in ('open', 'dismissed', 'suspended')),
+  auto_suspended boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists sharing_flags_open_license_key_idx
+  on sharing_flags (license_key)
+  where status = 'open';
+
+create index if not exists sharing_flags_status_score_idx on sharing_flags (status, score);
+
+alter table sharing_flags enable row level security;
+revoke all on sharing_flags from anon, authenticated;
+grant select, insert, update on sharing_flags to service_role;
@@ -0,0 +1,46 @@
+-- Outbound webhooks (lib/webhooks.js, api/admin-webhooks.js)
+--
+-- Subscriptions hold the HMAC secret that receivers trust, and deliveries are claimed by the
+-- retry cron through next_attempt_at, so both tables are service key only. Deliveries outlive
+-- their subscription for the log.
+
+create table if not exists webhook_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  name text,
+  url text not null,
+  events text[] not null default '{}',
+  format text not null default 'json' check (format in ('json', 'discord', 'slack')),
+  secret text not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid references webhook_subscriptions (id) on delete set null,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  last_status_code integer,
+  last_error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+create index if not exists webhook_deliveries_subscription_id_idx
+  on webhook_deliveries (subscription_id, created_at);
+
+alter table webhook_subscriptions enable row level security;
+revoke all on webhook_subscriptions from anon, authenticated;
+grant select, insert, update, delete on webhook_subscriptions to service_role;
+
+alter table webhook_deliveries enable row level security;
+revoke all on webhook_deliveries from anon, authenticated;
+grant select, insert, update on webhook_deliveries to service_role;
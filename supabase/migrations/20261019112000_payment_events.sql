@@ -0,0 +1,39 @@
+-- Payment webhook (api/payment-webhook.js, api/checkout-license.js)
+--
+-- payment_events has one row per provider event id: inserting it claims the event, so a
+-- redelivered event is applied once. Rows link checkout sessions, payment intents and charges to
+-- the key they provisioned or renewed, which is how refunds and disputes find it. Service key
+-- only - the checkout page reads it through /api/checkout-license.
+
+alter table license_keys
+  add column if not exists payment_customer_id text,
+  add column if not exists payment_subscription_id text,
+  add column if not exists payment_status text check (payment_status in ('active', 'cancelled', 'disputed')),
+  add column if not exists customer_email text;
+
+create index if not exists license_keys_payment_subscription_id_idx
+  on license_keys (payment_subscription_id)
+  where payment_subscription_id is not null;
+
+alter table license_extensions add column if not exists payment_event_id text;
+
+create table if not exists payment_events (
+  id text primary key,
+  type text not null,
+  object_id text,
+  status text not null default 'processing' check (status in ('processing', 'processed')),
+  action text,
+  license_key text,
+  payment_intent text,
+  charge text,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists payment_events_object_id_idx on payment_events (object_id);
+create index if not exists payment_events_payment_intent_idx on payment_events (payment_intent) where payment_intent is not null;
+create index if not exists payment_events_charge_idx on payment_events (charge) where charge is not null;
+
+alter table payment_events enable row level security;
+revoke all on payment_events from anon, authenticated;
+grant select, insert, update, delete on payment_events to service_role;
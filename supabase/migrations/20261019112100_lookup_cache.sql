@@ -0,0 +1,13 @@
+-- Shared lookup cache (lib/lookup-cache.js, lib/kv-store.js)
+--
+-- Access is restricted to the service key in 20261019120600_lookup_cache_service_only.sql.
+-- Expired rows are ignored on read and overwritten on the next miss; the expires_at index lets
+-- them be purged in bulk.
+
+create table if not exists lookup_cache (
+  key text primary key,
+  data jsonb not null,
+  expires_at timestamptz not null
+);
+
+create index if not exists lookup_cache_expires_at_idx on lookup_cache (expires_at);
@@ -0,0 +1,69 @@
+-- Atomic counters for the license key rate limiter (lib/rate-limit.js)
+--
+-- Replaces the rate_limits jsonb records, which were read, modified and written back through the
+-- anon key: parallel guesses were undercounted and any client could reset its own lockout.
+-- The counters are only reachable with the service key.
+
+drop table if exists rate_limits;
+
+create table if not exists rate_limit_counters (
+  key text primary key,
+  count integer not null default 0,
+  window_start timestamptz not null default now(),
+  locked_until timestamptz,
+  expires_at timestamptz not null
+);
+
+create index if not exists rate_limit_counters_expires_at_idx on rate_limit_counters (expires_at);
+
+alter table rate_limit_counters enable row level security;
+revoke all on rate_limit_counters from anon, authenticated;
+grant select, insert, update, delete on rate_limit_counters to service_role;
+
+-- Count one event in the key's fixed window. With p_lock_threshold set, the key is locked once
+-- the count reaches it, for p_base_lockout_seconds doubled per count past the threshold (capped
+-- at p_max_lockout_seconds). An existing longer lockout is never shortened.
+create or replace function rate_limit_increment(
+  p_key text,
+  p_window_seconds integer,
+  p_lock_threshold integer default null,
+  p_base_lockout_seconds integer default 0,
+  p_max_lockout_seconds integer default 0
+)
+returns table (count integer, reset_at timestamptz, locked_until timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_window interval := make_interval(secs => p_window_seconds);
+  v_count integer;
+  v_window_start timestamptz;
+  v_locked_until timestamptz;
+begin
+  insert into rate_limit_counters as c (key, count, window_start, expires_at)
+  values (p_key, 1, now(), now() + v_window)
+  on conflict (key) do update set
+    count = case when c.window_start > now() - v_window then c.count + 1 else 1 end,
+    window_start = case when c.window_start > now() - v_window then c.window_start else now() end,
+    expires_at = greatest(c.expires_at, now() + v_window)
+  returning c.count, c.window_start, c.locked_until
+  into v_count, v_window_start, v_locked_until;
+
+  if p_lock_threshold is not null and v_count >= p_lock_threshold then
+    v_locked_until := greatest(
+      coalesce(v_locked_until, now()),
+      now() + make_interval(secs => least(p_base_lockout_seconds * power(2, v_count - p_lock_threshold), p_max_lockout_seconds))
+    );
+
+    update rate_limit_counters
+    set locked_until = v_locked_until,
+        expires_at = greatest(expires_at, v_locked_until)
+    where rate_limit_counters.key = p_key;
+  end if;
+
+  return query select v_count, v_window_start + v_window, v_locked_until;
+end;
+$$;
+
+revoke execute on function rate_limit_increment(text, integer, integer, integer, integer) from public, anon, authenticated;
+grant execute on function rate_limit_increment(text, integer, integer, integer, integer) to service_role;
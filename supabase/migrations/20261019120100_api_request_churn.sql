@@ -0,0 +1,32 @@
+-- Churn report for /api/admin-bindings?churn=true
+--
+-- Counts distinct IPs and user agents per license key in the database. Reading the raw
+-- api_requests rows through PostgREST was capped at 1000 rows, so the report only ever saw an
+-- arbitrary subset.
+
+create index if not exists api_requests_created_at_idx on api_requests (created_at);
+
+create or replace function api_request_churn(
+  p_since timestamptz,
+  p_min_ips integer,
+  p_min_user_agents integer
+)
+returns table (license_key text, distinct_ips integer, distinct_user_agents integer, requests integer)
+language sql
+stable
+as $$
+  select
+    r.license_key,
+    count(distinct r.ip_address)::integer,
+    count(distinct r.user_agent)::integer,
+    count(*)::integer
+  from api_requests r
+  where r.created_at >= p_since
+    and r.license_key is not null
+  group by r.license_key
+  having count(distinct r.ip_address) >= p_min_ips
+      or count(distinct r.user_agent) >= p_min_user_agents;
+$$;
+
+revoke execute on function api_request_churn(timestamptz, integer, integer) from public, anon, authenticated;
+grant execute on function api_request_churn(timestamptz, integer, integer) to service_role;
@@ -0,0 +1,29 @@
+-- Make audit_events append-only (lib/audit.js)
+--
+-- Events used to be inserted with the anon key, which /api/config hands to every licensed user,
+-- so anyone could forge entries with any created_at. Now only service_role can write, only by
+-- INSERT, and the timestamp always comes from the database.
+
+alter table audit_events alter column created_at set default now();
+alter table audit_events alter column created_at set not null;
+
+-- A default can still be overridden by an explicit value, so stamp every row on insert
+create or replace function audit_events_stamp_created_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists audit_events_stamp_created_at on audit_events;
+create trigger audit_events_stamp_created_at
+  before insert on audit_events
+  for each row execute function audit_events_stamp_created_at();
+
+alter table audit_events enable row level security;
+revoke all on audit_events from anon, authenticated;
+revoke all on audit_events from service_role;
+grant select, insert on audit_events to service_role;
@@ -0,0 +1,67 @@
+-- Atomic credit charging for the lookup proxies (lib/quota.js)
+--
+-- credit_usage used to be read and upserted with the anon key: a user could reset their own
+-- counters, and concurrent requests could all pass the budget check before any of them wrote.
+-- Counters are now only reachable with the service key and only change through charge_credits.
+
+alter table credit_usage enable row level security;
+revoke all on credit_usage from anon, authenticated;
+grant select, insert, update on credit_usage to service_role;
+
+-- Add p_credits to the license's day and month counters, or refuse if that would exceed either
+-- limit. Negative amounts release an earlier reservation and always apply (floored at 0).
+create or replace function charge_credits(
+  p_license_key text,
+  p_day_start date,
+  p_month_start date,
+  p_credits integer,
+  p_daily_limit integer,
+  p_monthly_limit integer
+)
+returns table (charged boolean, exceeded_period text, daily_used integer, monthly_used integer)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_day integer;
+  v_month integer;
+begin
+  insert into credit_usage (license_key, period, period_start, credits_used, updated_at)
+  values
+    (p_license_key, 'day', p_day_start, 0, now()),
+    (p_license_key, 'month', p_month_start, 0, now())
+  on conflict (license_key, period, period_start) do nothing;
+
+  -- Lock both counters, always day first, so concurrent charges queue instead of racing
+  select credits_used into v_day
+  from credit_usage
+  where license_key = p_license_key and period = 'day' and period_start = p_day_start
+  for update;
+
+  select credits_used into v_month
+  from credit_usage
+  where license_key = p_license_key and period = 'month' and period_start = p_month_start
+  for update;
+
+  if p_credits > 0 and v_day + p_credits > p_daily_limit then
+    return query select false, 'daily'::text, v_day, v_month;
+    return;
+  end if;
+
+  if p_credits > 0 and v_month + p_credits > p_monthly_limit then
+    return query select false, 'monthly'::text, v_day, v_month;
+    return;
+  end if;
+
+  update credit_usage
+  set credits_used = greatest(credits_used + p_credits, 0),
+      updated_at = now()
+  where license_key = p_license_key
+    and ((period = 'day' and period_start = p_day_start) or (period = 'month' and period_start = p_month_start));
+
+  return query select true, null::text, greatest(v_day + p_credits, 0), greatest(v_month + p_credits, 0);
+end;
+$$;
+
+revoke execute on function charge_credits(text, date, date, integer, integer, integer) from public, anon, authenticated;
+grant execute on function charge_credits(text, date, date, integer, integer, integer) to service_role;
@@ -0,0 +1,10 @@
+-- Restrict api_requests to the service key (lib/tracking.js)
+--
+-- Request rows were inserted with the anon key, which /api/config hands to every licensed user,
+-- so anyone could add rows for any license_key. Sharing detection (lib/sharing.js) can revoke a
+-- license from those rows, so forged traffic could get someone else's license suspended. Only
+-- service_role can read or write them now.
+
+alter table api_requests enable row level security;
+revoke all on api_requests from anon, authenticated;
+grant select, insert on api_requests to service_role;
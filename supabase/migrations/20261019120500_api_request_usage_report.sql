@@ -0,0 +1,71 @@
+-- Usage report for /api/admin-analytics
+--
+-- Groups api_requests (and the devices seen in the range) in the database. The endpoint used to
+-- page raw rows through PostgREST and stopped at 100k, so busy ranges were silently undercounted.
+-- Returns one jsonb document, which PostgREST's row limit does not apply to:
+--   { totals: { requests, credits, devices_seen },
+--     endpoints: [{ endpoint, requests, credits }],
+--     licenses: [{ license_key, requests, credits, devices }],
+--     days: [{ day, requests, credits, active_devices }],
+--     versions: [{ version, devices }] }
+
+create or replace function api_request_usage_report(p_from timestamptz, p_to timestamptz)
+returns jsonb
+language sql
+stable
+as $$
+  with requests as (
+    select
+      coalesce(r.endpoint, 'unknown') as endpoint,
+      coalesce(r.license_key, 'unknown') as license_key,
+      to_char(r.created_at at time zone 'UTC', 'YYYY-MM-DD') as day,
+      r.device_id,
+      coalesce(r.credits_used, 0) as credits
+    from api_requests r
+    where r.created_at >= p_from
+      and r.created_at < p_to
+  ),
+  devices as (
+    select coalesce(b.last_version, 'unknown') as version
+    from device_bindings b
+    where b.last_seen >= p_from
+      and b.last_seen < p_to
+  )
+  select jsonb_build_object(
+    'totals', jsonb_build_object(
+      'requests', (select count(*) from requests),
+      'credits', (select coalesce(sum(credits), 0) from requests),
+      'devices_seen', (select count(*) from devices)
+    ),
+    'endpoints', coalesce((
+      select jsonb_agg(jsonb_build_object('endpoint', endpoint, 'requests', requests, 'credits', credits)
+                       order by credits desc, endpoint)
+      from (select endpoint, count(*) as requests, sum(credits) as credits from requests group by endpoint) e
+    ), '[]'::jsonb),
+    'licenses', coalesce((
+      select jsonb_agg(jsonb_build_object('license_key', license_key, 'requests', requests, 'credits', credits, 'devices', devices)
+                       order by credits desc, license_key)
+      from (
+        select license_key, count(*) as requests, sum(credits) as credits, count(distinct device_id) as devices
+        from requests
+        group by license_key
+      ) l
+    ), '[]'::jsonb),
+    'days', coalesce((
+      select jsonb_agg(jsonb_build_object('day', day, 'requests', requests, 'credits', credits, 'active_devices', active_devices)
+                       order by day)
+      from (
+        select day, count(*) as requests, sum(credits) as credits, count(distinct device_id) as active_devices
+        from requests
+        group by day
+      ) d
+    ), '[]'::jsonb),
+    'versions', coalesce((
+      select jsonb_agg(jsonb_build_object('version', version, 'devices', devices) order by devices desc, version)
+      from (select version, count(*) as devices from devices group by version) v
+    ), '[]'::jsonb)
+  );
+$$;
+
+revoke execute on function api_request_usage_report(timestamptz, timestamptz) from public, anon, authenticated;
+grant execute on function api_request_usage_report(timestamptz, timestamptz) to service_role;
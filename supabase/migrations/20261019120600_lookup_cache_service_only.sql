@@ -0,0 +1,9 @@
+-- Restrict lookup_cache to the service key (lib/lookup-cache.js)
+--
+-- Entries were written with the anon key, which /api/config hands to every licensed user, so
+-- anyone could plant a fake profile, community or tweet that every other license is then served
+-- from the cache. Only service_role can read or write entries now.
+
+alter table lookup_cache enable row level security;
+revoke all on lookup_cache from anon, authenticated;
+grant select, insert, update, delete on lookup_cache to service_role;
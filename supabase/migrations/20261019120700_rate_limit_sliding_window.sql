@@ -0,0 +1,67 @@
+-- Sliding windows for rate_limit_increment (lib/rate-limit.js)
+--
+-- The counters reset at the end of each fixed window, so a burst straddling the boundary could
+-- reach twice the limit. Each key now keeps the previous bucket's count as well: the reported
+-- count is the current bucket plus the previous one scaled by how much of it still overlaps the
+-- window. Buckets are aligned to multiples of the window length, like createMemoryCounterStore.
+
+alter table rate_limit_counters add column if not exists previous_count integer not null default 0;
+
+-- Count one event in the key's sliding window. With p_lock_threshold set, the key is locked once
+-- the count reaches it, for p_base_lockout_seconds doubled per count past the threshold (capped
+-- at p_max_lockout_seconds). An existing longer lockout is never shortened.
+create or replace function rate_limit_increment(
+  p_key text,
+  p_window_seconds integer,
+  p_lock_threshold integer default null,
+  p_base_lockout_seconds integer default 0,
+  p_max_lockout_seconds integer default 0
+)
+returns table (count integer, reset_at timestamptz, locked_until timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_now timestamptz := now();
+  v_window interval := make_interval(secs => p_window_seconds);
+  v_bucket_start timestamptz := to_timestamp(floor(extract(epoch from v_now) / p_window_seconds) * p_window_seconds);
+  v_current integer;
+  v_previous integer;
+  v_count integer;
+  v_locked_until timestamptz;
+begin
+  insert into rate_limit_counters as c (key, count, previous_count, window_start, expires_at)
+  values (p_key, 1, 0, v_bucket_start, v_bucket_start + 2 * v_window)
+  on conflict (key) do update set
+    previous_count = case
+      when c.window_start = v_bucket_start then c.previous_count
+      when c.window_start = v_bucket_start - v_window then c.count
+      else 0
+    end,
+    count = case when c.window_start = v_bucket_start then c.count + 1 else 1 end,
+    window_start = v_bucket_start,
+    expires_at = greatest(c.expires_at, v_bucket_start + 2 * v_window)
+  returning c.count, c.previous_count, c.locked_until
+  into v_current, v_previous, v_locked_until;
+
+  -- The previous bucket counts for the part of it still inside the window
+  v_count := floor(v_previous * (1 - extract(epoch from v_now - v_bucket_start) / p_window_seconds))::integer + v_current;
+
+  if p_lock_threshold is not null and v_count >= p_lock_threshold then
+    v_locked_until := greatest(
+      coalesce(v_locked_until, v_now),
+      v_now + make_interval(secs => least(p_base_lockout_seconds * power(2, v_count - p_lock_threshold), p_max_lockout_seconds))
+    );
+
+    update rate_limit_counters
+    set locked_until = v_locked_until,
+        expires_at = greatest(expires_at, v_locked_until)
+    where rate_limit_counters.key = p_key;
+  end if;
+
+  return query select v_count, v_bucket_start + v_window, v_locked_until;
+end;
+$$;
+
+revoke execute on function rate_limit_increment(text, integer, integer, integer, integer) from public, anon, authenticated;
+grant execute on function rate_limit_increment(text, integer, integer, integer, integer) to service_role;
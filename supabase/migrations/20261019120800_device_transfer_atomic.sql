@@ -0,0 +1,93 @@
+-- Atomic self-service device transfers (api/transfer.js)
+--
+-- The transfer cooldown was read, the binding moved and the history row written as three
+-- separate anon-key calls: concurrent transfers could all pass the count check, and a failed
+-- history insert left a move that never counted against TRANSFER_LIMIT. Any client holding the
+-- anon key could also delete its own history to reset the cooldown. device_transfers is now only
+-- reachable with the service key, and a transfer only happens through transfer_device_binding.
+
+alter table device_transfers enable row level security;
+revoke all on device_transfers from anon, authenticated;
+grant select, insert on device_transfers to service_role;
+
+-- Move p_from_device_id's binding to p_to_device_id and record it in device_transfers, unless
+-- p_transfer_limit transfers already happened within p_window_seconds. Transfers of the same key
+-- queue on its license_keys row, so the count and the move can never interleave. Clearing the
+-- refresh token logs the old device out on its next refresh.
+--
+-- status is one of:
+--   transferred     - moved; transfers_used includes this one
+--   limit_reached   - nothing moved; next_transfer_at is when the oldest counted transfer expires
+--   binding_changed - p_from_device_id is no longer bound to the key
+--   already_bound   - p_to_device_id got bound to the key in the meantime
+create or replace function transfer_device_binding(
+  p_license_key text,
+  p_from_device_id text,
+  p_to_device_id text,
+  p_ip text,
+  p_user_agent text,
+  p_transfer_limit integer,
+  p_window_seconds integer
+)
+returns table (status text, transfers_used integer, next_transfer_at timestamptz, transferred_at timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_window interval := make_interval(secs => p_window_seconds);
+  v_used integer;
+  v_oldest timestamptz;
+  v_from device_bindings%rowtype;
+begin
+  perform 1 from license_keys where key = p_license_key for update;
+
+  select count(*), min(transferred_at) into v_used, v_oldest
+  from device_transfers
+  where license_key = p_license_key and transferred_at >= now() - v_window;
+
+  if v_used >= p_transfer_limit then
+    return query select 'limit_reached'::text, v_used, v_oldest + v_window, null::timestamptz;
+    return;
+  end if;
+
+  select * into v_from
+  from device_bindings
+  where license_key = p_license_key and device_id = p_from_device_id
+  for update;
+
+  if not found then
+    return query select 'binding_changed'::text, v_used, null::timestamptz, null::timestamptz;
+    return;
+  end if;
+
+  begin
+    update device_bindings
+    set device_id = p_to_device_id,
+        bound_at = now(),
+        last_seen = now(),
+        last_ip = p_ip,
+        last_user_agent = p_user_agent,
+        last_endpoint = 'transfer',
+        refresh_token_hash = null,
+        refresh_token_expires_at = null
+    where license_key = p_license_key and device_id = p_from_device_id;
+  exception when unique_violation then
+    return query select 'already_bound'::text, v_used, null::timestamptz, null::timestamptz;
+    return;
+  end;
+
+  insert into device_transfers (
+    license_key, from_device_id, to_device_id, from_bound_at, from_last_seen, from_last_ip,
+    ip, user_agent, transferred_at
+  )
+  values (
+    p_license_key, p_from_device_id, p_to_device_id, v_from.bound_at, v_from.last_seen, v_from.last_ip,
+    p_ip, p_user_agent, now()
+  );
+
+  return query select 'transferred'::text, v_used + 1, null::timestamptz, now();
+end;
+$$;
+
+revoke execute on function transfer_device_binding(text, text, text, text, text, integer, integer) from public, anon, authenticated;
+grant execute on function transfer_device_binding(text, text, text, text, text, integer, integer) to service_role;
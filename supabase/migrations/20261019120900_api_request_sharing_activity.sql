@@ -0,0 +1,35 @@
+-- Activity counts for the account-sharing scan (lib/sharing.js)
+--
+-- Counts distinct IPs, countries, user agents and devices per license key in the database. The
+-- scan used to page raw api_requests rows and stopped at 50k, so on a busy hour the licenses seen
+-- last were never scored. Returns one jsonb array, which PostgREST's row limit does not apply to:
+--   [{ license_key, ips, countries, user_agents, devices }]
+
+create or replace function api_request_sharing_activity(p_since timestamptz)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'license_key', license_key,
+    'ips', ips,
+    'countries', countries,
+    'user_agents', user_agents,
+    'devices', devices
+  ) order by license_key), '[]'::jsonb)
+  from (
+    select
+      r.license_key,
+      count(distinct r.ip_address) as ips,
+      count(distinct r.country) as countries,
+      count(distinct r.user_agent) as user_agents,
+      count(distinct r.device_id) as devices
+    from api_requests r
+    where r.created_at >= p_since
+      and r.license_key is not null
+    group by r.license_key
+  ) a;
+$$;
+
+revoke execute on function api_request_sharing_activity(timestamptz) from public, anon, authenticated;
+grant execute on function api_request_sharing_activity(timestamptz) to service_role;
@@ -0,0 +1,63 @@
+-- Apply each payment extension once (api/payment-webhook.js)
+--
+-- Renewals read expires_at, added the months in the function and wrote it back, then recorded
+-- the extension separately. If the event could not be marked processed afterwards, the
+-- provider's redelivery (once the claim lease ran out) extended the key a second time. The new
+-- expiry and its license_extensions row are now written together, at most once per payment event.
+
+create unique index if not exists license_extensions_payment_event_id_idx
+  on license_extensions (payment_event_id)
+  where payment_event_id is not null;
+
+-- Add p_months to the key's expiry (or to now, if it has lapsed) and record the extension for
+-- p_payment_event_id. status is one of:
+--   extended        - applied; previous_expires_at / expires_at are the old and new expiry
+--   already_applied - this event already extended the key; nothing changed
+--   lifetime        - the key has no expiry; nothing changed
+--   not_found       - no such key
+create or replace function extend_license_for_payment(
+  p_license_key text,
+  p_months integer,
+  p_payment_event_id text
+)
+returns table (status text, previous_expires_at timestamptz, expires_at timestamptz)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_previous timestamptz;
+  v_expires timestamptz;
+begin
+  select k.expires_at into v_previous
+  from license_keys k
+  where k.key = p_license_key
+  for update;
+
+  if not found then
+    return query select 'not_found'::text, null::timestamptz, null::timestamptz;
+    return;
+  end if;
+
+  if exists (select 1 from license_extensions e where e.payment_event_id = p_payment_event_id) then
+    return query select 'already_applied'::text, v_previous, v_previous;
+    return;
+  end if;
+
+  if v_previous is null then
+    return query select 'lifetime'::text, null::timestamptz, null::timestamptz;
+    return;
+  end if;
+
+  v_expires := greatest(v_previous, now()) + make_interval(months => p_months);
+
+  update license_keys set expires_at = v_expires where key = p_license_key;
+
+  insert into license_extensions (license_key, months_added, reason, payment_event_id, created_at)
+  values (p_license_key, p_months, 'payment', p_payment_event_id, now());
+
+  return query select 'extended'::text, v_previous, v_expires;
+end;
+$$;
+
+revoke execute on function extend_license_for_payment(text, integer, text) from public, anon, authenticated;
+grant execute on function extend_license_for_payment(text, integer, text) to service_role;
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpiryStatus, GRACE_PERIOD_HOURS, EXPIRING_SOON_DAYS } from '../lib/license.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = new Date('2026-10-19T12:00:00Z');
+const at = (offsetMs) => new Date(now.getTime() + offsetMs).toISOString();
+
+test('getExpiryStatus: lifetime licenses never expire', () => {
+  assert.deepEqual(getExpiryStatus(null, now), { status: 'lifetime', daysRemaining: null, graceEndsAt: null, accessEndsAt: null });
+});
+
+test('getExpiryStatus: active until the expiring-soon window', () => {
+  const expiry = getExpiryStatus(at(30 * DAY_MS), now);
+  assert.equal(expiry.status, 'active');
+  assert.equal(expiry.daysRemaining, 30);
+  assert.equal(expiry.accessEndsAt.toISOString(), at(30 * DAY_MS));
+
+  assert.equal(getExpiryStatus(at((EXPIRING_SOON_DAYS + 1) * DAY_MS), now).status, 'active');
+  assert.equal(getExpiryStatus(at(EXPIRING_SOON_DAYS * DAY_MS), now).status, 'expiring_soon');
+});
+
+test('getExpiryStatus: partial days round up', () => {
+  assert.equal(getExpiryStatus(at(HOUR_MS), now).daysRemaining, 1);
+  assert.equal(getExpiryStatus(at(DAY_MS + HOUR_MS), now).daysRemaining, 2);
+});
+
+test('getExpiryStatus: still active at the exact expiry time', () => {
+  const expiry = getExpiryStatus(now.toISOString(), now);
+  assert.equal(expiry.status, 'expiring_soon');
+  assert.equal(expiry.accessEndsAt.getTime(), now.getTime());
+});
+
+test('getExpiryStatus: grace period runs GRACE_PERIOD_HOURS past expiry', { skip: GRACE_PERIOD_HOURS === 0 }, () => {
+  assert.equal(getExpiryStatus(at(-HOUR_MS), now).status, 'grace_period');
+
+  const expiry = getExpiryStatus(at(-25 * HOUR_MS), now);
+  assert.equal(expiry.status, GRACE_PERIOD_HOURS > 25 ? 'grace_period' : 'expired');
+  assert.equal(expiry.daysRemaining, -1);
+  assert.equal(expiry.graceEndsAt.toISOString(), at((GRACE_PERIOD_HOURS - 25) * HOUR_MS));
+});
+
+test('getExpiryStatus: access during grace ends with the grace window', { skip: GRACE_PERIOD_HOURS === 0 }, () => {
+  const expiry = getExpiryStatus(at(-HOUR_MS), now);
+  assert.equal(expiry.accessEndsAt.toISOString(), expiry.graceEndsAt.toISOString());
+});
+
+test('getExpiryStatus: expired once the grace window has passed', () => {
+  const expiry = getExpiryStatus(at(-GRACE_PERIOD_HOURS * HOUR_MS), now);
+  assert.equal(expiry.status, 'expired');
+  assert.equal(expiry.accessEndsAt, null);
+  assert.equal(expiry.graceEndsAt.getTime(), now.getTime());
+});
@@ -0,0 +1,185 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLookupCache, getLookupCacheKey } from '../lib/lookup-cache.js';
+import { createMemoryStore } from '../lib/kv-store.js';
+
+const realNow = Date.now;
+const { warn, error } = console;
+
+let now;
+const advance = (seconds) => { now += seconds * 1000; };
+
+const TTLS = { user: { freshSeconds: 60, staleSeconds: 300 } };
+
+// Upstream stub: counts calls and resolves to the next value (or rejects with it, if an Error)
+function stubFetcher(...values) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    const next = values.length > 1 ? values.shift() : values[0];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+// A promise the test settles by hand, to hold an upstream call open
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+beforeEach(() => {
+  now = realNow();
+  Date.now = () => now;
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+afterEach(() => {
+  Date.now = realNow;
+  Object.assign(console, { warn, error });
+});
+
+test('getLookupCacheKey: user names ignore @ and case, other ids are kept', () => {
+  assert.equal(getLookupCacheKey('user', ' @ElonMusk '), 'user:elonmusk');
+  assert.equal(getLookupCacheKey('community', 1234), 'community:1234');
+  assert.equal(getLookupCacheKey('tweet', 'AbC'), 'tweet:AbC');
+});
+
+test('lookup cache: a miss goes upstream, then the entry is a HIT while fresh', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const fetcher = stubFetcher({ id: 1 });
+
+  assert.deepEqual(await cache.get('user', 'alice', fetcher), { value: { id: 1 }, cache: 'MISS', revalidating: null });
+
+  advance(59);
+  assert.deepEqual(await cache.get('user', '@Alice', fetcher), { value: { id: 1 }, cache: 'HIT', revalidating: null });
+  assert.equal(fetcher.calls, 1);
+});
+
+test('lookup cache: a stale entry is served while one background refresh replaces it', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  await cache.get('user', 'alice', stubFetcher({ v: 1 }));
+  advance(61);
+
+  const refresh = deferred();
+  let calls = 0;
+  const fetcher = () => { calls++; return refresh.promise; };
+
+  const stale = await cache.get('user', 'alice', fetcher);
+  const again = await cache.get('user', 'alice', fetcher);
+  assert.equal(stale.cache, 'STALE');
+  assert.equal(again.cache, 'STALE');
+  assert.deepEqual(again.value, { v: 1 });
+
+  refresh.resolve({ v: 2 });
+  await stale.revalidating;
+  await again.revalidating;
+  assert.equal(calls, 1);
+
+  assert.deepEqual(await cache.get('user', 'alice', fetcher), { value: { v: 2 }, cache: 'HIT', revalidating: null });
+});
+
+test('lookup cache: a failed refresh keeps the stale entry and never rejects', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const fetcher = stubFetcher({ v: 1 }, new Error('upstream down'));
+
+  await cache.get('user', 'alice', fetcher);
+  advance(61);
+
+  const stale = await cache.get('user', 'alice', fetcher);
+  assert.equal(await stale.revalidating, undefined);
+  assert.deepEqual((await cache.get('user', 'alice', fetcher)).value, { v: 1 });
+});
+
+test('lookup cache: past the stale window the entry is a MISS again', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const fetcher = stubFetcher({ v: 1 }, { v: 2 });
+
+  await cache.get('user', 'alice', fetcher);
+  advance(361);
+
+  assert.deepEqual(await cache.get('user', 'alice', fetcher), { value: { v: 2 }, cache: 'MISS', revalidating: null });
+});
+
+test('lookup cache: concurrent misses share one upstream call, each through its own reserve', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const upstream = deferred();
+  let calls = 0;
+  const fetcher = () => { calls++; return upstream.promise; };
+
+  const reserved = [];
+  const reserveAs = (caller) => async (load) => { reserved.push(caller); return load(); };
+
+  const first = cache.get('user', 'alice', fetcher, { reserve: reserveAs('a') });
+  const second = cache.get('user', 'ALICE', fetcher, { reserve: reserveAs('b') });
+  upstream.resolve({ id: 1 });
+
+  assert.deepEqual(await first, { value: { id: 1 }, cache: 'MISS', revalidating: null });
+  assert.deepEqual(await second, { value: { id: 1 }, cache: 'MISS', revalidating: null });
+  assert.equal(calls, 1);
+  assert.deepEqual(reserved, ['a', 'b']);
+});
+
+test('lookup cache: one caller running out of quota does not fail the others sharing its fetch', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const upstream = deferred();
+  let calls = 0;
+  const fetcher = () => { calls++; return upstream.promise; };
+
+  const quotaExceeded = async () => {
+    const error = new Error('Your daily lookup credits are used up');
+    error.code = 'QUOTA_EXCEEDED';
+    throw error;
+  };
+
+  // The broke caller starts the fetch; callers that join it are still served
+  const broke = cache.get('user', 'alice', fetcher, { reserve: async (load) => { load(); return quotaExceeded(); } });
+  const paying = cache.get('user', 'alice', fetcher, { reserve: (load) => load() });
+  upstream.resolve({ id: 1 });
+
+  await assert.rejects(broke, { code: 'QUOTA_EXCEEDED' });
+  assert.deepEqual((await paying).value, { id: 1 });
+  assert.equal(calls, 1);
+
+  // And a broke caller joining a fetch does not fail the one that started it
+  advance(361);
+  const next = deferred();
+  const starter = cache.get('user', 'alice', () => next.promise);
+  const joiner = cache.get('user', 'alice', () => next.promise, { reserve: quotaExceeded });
+  next.resolve({ id: 2 });
+
+  await assert.rejects(joiner, { code: 'QUOTA_EXCEEDED' });
+  assert.deepEqual((await starter).value, { id: 2 });
+});
+
+test('lookup cache: an upstream error reaches every waiting caller and is not cached', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  const fetcher = stubFetcher(new Error('upstream down'), { id: 1 });
+
+  const results = await Promise.allSettled([cache.get('user', 'alice', fetcher), cache.get('user', 'alice', fetcher)]);
+  assert.deepEqual(results.map(r => r.status), ['rejected', 'rejected']);
+  assert.equal(fetcher.calls, 1);
+
+  assert.equal((await cache.get('user', 'alice', fetcher)).cache, 'MISS');
+});
+
+test('lookup cache: fails open when the store throws', async () => {
+  const broken = {
+    get: async () => { throw new Error('store down'); },
+    set: async () => { throw new Error('store down'); }
+  };
+  const cache = createLookupCache(broken, TTLS);
+  const fetcher = stubFetcher({ id: 1 });
+
+  assert.deepEqual(await cache.get('user', 'alice', fetcher), { value: { id: 1 }, cache: 'MISS', revalidating: null });
+  assert.equal((await cache.get('user', 'alice', fetcher)).cache, 'MISS');
+  assert.equal(fetcher.calls, 2);
+});
+
+test('lookup cache: rejects unknown lookup types', async () => {
+  const cache = createLookupCache(createMemoryStore(), TTLS);
+  await assert.rejects(cache.get('list', '1', stubFetcher({})), /Unknown lookup cache type: list/);
+});
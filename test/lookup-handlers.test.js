@@ -0,0 +1,278 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtemp, mkdir, cp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ENTITLEMENTS } from '../lib/entitlements.js';
+
+// /api/twitter-batch and /api/tweet against the fixture provider and a stub PostgREST for the
+// token's binding, the credit budget (charge_credits) and api_requests
+
+const FIXTURES_DIR = fileURLToPath(new URL('../scripts/fixtures/twitter/', import.meta.url));
+const LICENSE_KEY = 'HONED-TEST-AAAA-BBBB';
+const DAILY_LIMIT = 4000;
+
+const { warn, error } = console;
+
+// supabase-js will not create a client without a WebSocket global (Node < 22); nothing here
+// opens a realtime channel
+globalThis.WebSocket ??= class WebSocket {};
+
+let dir;
+let token;
+let twitterBatch;
+let tweet;
+
+// Credit usage and recorded requests, reset before each test
+let db;
+
+function resetDb() {
+  db = { dayUsed: 0, monthUsed: 0, charges: [], requests: [] };
+}
+
+function periodStart(period) {
+  const today = new Date().toISOString().slice(0, 10);
+  return period === 'day' ? today : `${today.slice(0, 8)}01`;
+}
+
+// Same conditional increment as the charge_credits RPC (daily budget only)
+function chargeCredits({ p_credits: credits, p_daily_limit: dailyLimit }) {
+  if (credits > 0 && db.dayUsed + credits > dailyLimit) {
+    return { charged: false, exceeded_period: 'daily', daily_used: db.dayUsed, monthly_used: db.monthUsed };
+  }
+
+  db.dayUsed += credits;
+  db.monthUsed += credits;
+  db.charges.push(credits);
+  return { charged: true, exceeded_period: null, daily_used: db.dayUsed, monthly_used: db.monthUsed };
+}
+
+function respond(req, res, rows) {
+  const object = (req.headers.accept || '').includes('vnd.pgrst.object');
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(object ? rows[0] : rows));
+}
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    switch (new URL(req.url, 'http://stub').pathname) {
+      case '/rest/v1/device_bindings':
+        return respond(req, res, req.method === 'GET' ? [{ license_key: LICENSE_KEY }] : []);
+      case '/rest/v1/license_keys':
+        return respond(req, res, [{ tier: 'pro', daily_credit_limit: DAILY_LIMIT, monthly_credit_limit: null }]);
+      case '/rest/v1/credit_usage':
+        return respond(req, res, [
+          { period: 'day', period_start: periodStart('day'), credits_used: db.dayUsed },
+          { period: 'month', period_start: periodStart('month'), credits_used: db.monthUsed }
+        ]);
+      case '/rest/v1/rpc/charge_credits':
+        return respond(req, res, [chargeCredits(JSON.parse(body))]);
+      case '/rest/v1/api_requests':
+        db.requests.push(JSON.parse(body));
+        return respond(req, res, []);
+      default:
+        // signing_keys and maintenance_windows: none
+        return respond(req, res, []);
+    }
+  });
+});
+
+async function writeFixture(subdirectory, id, data) {
+  await mkdir(join(dir, subdirectory), { recursive: true });
+  await writeFile(join(dir, subdirectory, `${id}.json`), JSON.stringify(data));
+}
+
+async function call(handler, req) {
+  const response = { headers: {} };
+  const res = {
+    setHeader(name, value) { response.headers[name.toLowerCase()] = value; },
+    status(code) { response.status = code; return this; },
+    json(body) { response.body = body; return this; },
+    end() { return this; }
+  };
+
+  await handler({ headers: { authorization: `Bearer ${token}` }, query: {}, ...req }, res);
+  return response;
+}
+
+const batch = (userNames) => call(twitterBatch, { method: 'POST', body: { userNames } });
+const lookupTweet = (query) => call(tweet, { method: 'GET', query });
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'honed-handlers-'));
+  await cp(FIXTURES_DIR, dir, { recursive: true });
+
+  for (const handle of ['budget_1', 'budget_2', 'budget_3', 'budget_4']) {
+    await writeFixture('user', handle, { status: 'success', data: { id: handle, userName: handle, name: handle } });
+  }
+
+  const fixtureTweet = JSON.parse(await readFile(join(FIXTURES_DIR, 'tweet', '1850000000000000001.json'), 'utf8'));
+  for (const tweetId of ['1900000000000000001', '1900000000000000002']) {
+    await writeFixture('tweet', tweetId, { ...fixtureTweet, tweets: [{ ...fixtureTweet.tweets[0], id: tweetId }] });
+  }
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  Object.assign(process.env, {
+    SUPABASE_URL: `http://127.0.0.1:${server.address().port}`,
+    SUPABASE_SERVICE_KEY: 'service-key',
+    SUPABASE_ANON_KEY: 'anon-key',
+    JWT_PRIVATE_KEY: generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    TWITTER_PROVIDERS: 'fixture',
+    TWITTER_FIXTURES_DIR: dir,
+    LOOKUP_CACHE_STORE: 'memory'
+  });
+
+  // Imported once the environment is set, since modules read it on load
+  ({ default: twitterBatch } = await import('../api/twitter-batch.js'));
+  ({ default: tweet } = await import('../api/tweet.js'));
+  const { generateToken } = await import('../lib/tokens.js');
+  token = await generateToken(LICENSE_KEY, 'device-1', { tier: 'pro', entitlements: [ENTITLEMENTS.TWITTER_LOOKUP] });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  resetDb();
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+afterEach(() => {
+  console.warn = warn;
+  console.error = error;
+});
+
+test('twitter-batch: duplicate handles are looked up once and failures are reported per item', async () => {
+  const { status, body } = await batch(['HonedDev', '@honeddev', ' HONEDDEV ', 'nobody', 'outage', 'RateLimited', 'not a handle', 42]);
+
+  assert.equal(status, 200);
+  assert.equal(body.users.honeddev.status, 'success');
+  assert.equal(body.users.honeddev.cache, 'MISS');
+  assert.equal(body.users.honeddev.data.userName, 'HonedDev');
+  assert.equal(body.users.nobody.error, 'USER_NOT_FOUND');
+  assert.equal(body.users.outage.error, 'UPSTREAM_UNAVAILABLE');
+  assert.equal(body.users.ratelimited.error, 'UPSTREAM_RATE_LIMITED');
+  assert.equal(body.users.ratelimited.retryAfter, 30);
+  assert.equal(body.users['not a handle'].error, 'INVALID_HANDLE');
+  assert.equal(body.users['42'].error, 'INVALID_HANDLE');
+  assert.deepEqual(body.summary, { requested: 8, unique: 4, hits: 0, misses: 1, errors: 5, creditsUsed: 20 });
+
+  // One reservation per unique handle; the failed lookups gave theirs back
+  assert.equal(db.charges.filter(credits => credits > 0).length, 4);
+  assert.equal(db.dayUsed, 20);
+  assert.equal(db.requests.length, 1);
+  assert.equal(db.requests[0].endpoint, 'twitter-batch');
+  assert.equal(db.requests[0].credits_used, 20);
+});
+
+test('twitter-batch: cached handles are free', async () => {
+  await batch(['LegacyShape']);
+  resetDb();
+
+  const { body } = await batch(['legacyshape']);
+
+  assert.equal(body.users.legacyshape.cache, 'HIT');
+  assert.equal(body.summary.creditsUsed, 0);
+  assert.deepEqual(db.charges, []);
+  assert.equal(db.requests[0].credits_used, 0);
+});
+
+test('twitter-batch: misses past the remaining budget fail with QUOTA_EXCEEDED', async () => {
+  await batch(['HonedDev']);
+  resetDb();
+  db.dayUsed = DAILY_LIMIT - 40;
+
+  const { status, body } = await batch(['budget_1', 'budget_2', 'budget_3', 'budget_4', 'HonedDev']);
+  const items = ['budget_1', 'budget_2', 'budget_3', 'budget_4'].map(handle => body.users[handle]);
+
+  assert.equal(status, 200);
+  assert.equal(items.filter(item => item.cache === 'MISS').length, 2);
+  assert.equal(items.filter(item => item.error === 'QUOTA_EXCEEDED').length, 2);
+  assert.equal(body.users.honeddev.cache, 'HIT');
+  assert.deepEqual(body.summary, { requested: 5, unique: 5, hits: 1, misses: 2, errors: 2, creditsUsed: 40 });
+  assert.equal(db.dayUsed, DAILY_LIMIT);
+  assert.equal(db.requests[0].credits_used, 40);
+});
+
+test('twitter-batch: a spent budget is turned away before any lookup', async () => {
+  db.dayUsed = DAILY_LIMIT - 10;
+
+  const { status, headers, body } = await batch(['HonedDev']);
+
+  assert.equal(status, 429);
+  assert.equal(body.error, 'QUOTA_EXCEEDED');
+  assert.equal(body.period, 'daily');
+  assert.ok(Number(headers['retry-after']) >= 1);
+  assert.deepEqual(db.charges, []);
+});
+
+test('twitter-batch: rejects bad requests', async () => {
+  assert.equal((await batch([])).status, 400);
+  assert.equal((await batch(Array.from({ length: 51 }, (_, i) => `user${i}`))).status, 400);
+  assert.equal((await call(twitterBatch, { method: 'POST', headers: {}, body: { userNames: ['HonedDev'] } })).status, 401);
+  assert.equal((await call(twitterBatch, { method: 'GET' })).status, 405);
+});
+
+test('tweet: a lookup is charged once, then served from the cache', async () => {
+  const miss = await lookupTweet({ id: '1850000000000000001' });
+
+  assert.equal(miss.status, 200);
+  assert.equal(miss.headers['x-cache'], 'MISS');
+  assert.equal(miss.body.data.id, '1850000000000000001');
+  assert.equal(miss.body.data.engagement.likes, 230);
+  assert.equal(miss.body.data.author.userName, 'HonedDev');
+
+  const hit = await lookupTweet({ id: '1850000000000000001' });
+
+  assert.equal(hit.headers['x-cache'], 'HIT');
+  assert.deepEqual(hit.body.data, miss.body.data);
+  assert.deepEqual(db.charges, [20]);
+  assert.deepEqual(db.requests.map(row => [row.endpoint, row.credits_used]), [['tweet', 20], ['tweet', 0]]);
+});
+
+test('tweet: unknown tweets are TWEET_NOT_FOUND and their credits are released', async () => {
+  const { status, body } = await lookupTweet({ id: '1850000000000000002' });
+
+  assert.equal(status, 404);
+  assert.equal(body.error, 'TWEET_NOT_FOUND');
+  assert.deepEqual(db.charges, [20, -20]);
+  assert.equal(db.dayUsed, 0);
+  assert.equal(db.requests[0].credits_used, 0);
+});
+
+test('tweet: invalid ids and a spent budget are rejected before any lookup', async () => {
+  assert.equal((await lookupTweet({})).status, 400);
+  assert.equal((await lookupTweet({ id: '18500000abc' })).status, 400);
+
+  db.dayUsed = DAILY_LIMIT - 10;
+  const { status, headers, body } = await lookupTweet({ id: '1900000000000000001' });
+
+  assert.equal(status, 429);
+  assert.equal(body.error, 'QUOTA_EXCEEDED');
+  assert.ok(Number(headers['retry-after']) >= 1);
+  assert.deepEqual(db.charges, []);
+});
+
+test('tweet: ?ids= looks each id up once and caps misses at the remaining budget', async () => {
+  db.dayUsed = DAILY_LIMIT - 20;
+
+  const { status, body } = await lookupTweet({ ids: '1900000000000000001, 1900000000000000001,1900000000000000002,nope' });
+  const items = ['1900000000000000001', '1900000000000000002'].map(tweetId => body.tweets[tweetId]);
+
+  assert.equal(status, 200);
+  assert.equal(items.filter(item => item.cache === 'MISS').length, 1);
+  assert.equal(items.filter(item => item.error === 'QUOTA_EXCEEDED').length, 1);
+  assert.equal(body.tweets.nope.error, 'INVALID_TWEET_ID');
+  assert.deepEqual(body.summary, { requested: 4, unique: 2, hits: 0, misses: 1, errors: 2, creditsUsed: 20 });
+  assert.equal(db.dayUsed, DAILY_LIMIT);
+  assert.equal(db.requests[0].credits_used, 20);
+});
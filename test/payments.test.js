@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signPaymentPayload, verifyPaymentSignature, isCheckoutPaid, getCheckoutPlan, getInvoiceMonths } from '../lib/payments.js';
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', type: 'invoice.paid' });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifyPaymentSignature: accepts a fresh signature over the exact body', () => {
+  assert.equal(verifyPaymentSignature(body, signPaymentPayload(body, secret), secret), true);
+});
+
+test('verifyPaymentSignature: accepts any v1 entry during secret rotation', () => {
+  const header = signPaymentPayload(body, secret);
+  assert.equal(verifyPaymentSignature(body, `${header.split(',')[0]},v1=${'0'.repeat(64)},${header.split(',')[1]}`, secret), true);
+});
+
+test('verifyPaymentSignature: rejects tampered bodies and wrong secrets', () => {
+  const header = signPaymentPayload(body, secret);
+  assert.equal(verifyPaymentSignature(body.replace('invoice.paid', 'invoice.voided'), header, secret), false);
+  assert.equal(verifyPaymentSignature(body, header, secret + 'x'), false);
+});
+
+test('verifyPaymentSignature: rejects timestamps outside the tolerance', () => {
+  assert.equal(verifyPaymentSignature(body, signPaymentPayload(body, secret, now() - 301), secret), false);
+  assert.equal(verifyPaymentSignature(body, signPaymentPayload(body, secret, now() + 301), secret), false);
+  assert.equal(verifyPaymentSignature(body, signPaymentPayload(body, secret, now() - 60), secret, 30), false);
+});
+
+test('verifyPaymentSignature: rejects missing or malformed headers', () => {
+  assert.equal(verifyPaymentSignature(body, undefined, secret), false);
+  assert.equal(verifyPaymentSignature(body, signPaymentPayload(body, secret), ''), false);
+  assert.equal(verifyPaymentSignature(body, `t=${now()}`, secret), false);
+  assert.equal(verifyPaymentSignature(body, 'v1=abc', secret), false);
+  assert.equal(verifyPaymentSignature(body, `t=${now()},v1=abc`, secret), false);
+});
+
+test('isCheckoutPaid: only paid or free sessions are applied', () => {
+  assert.equal(isCheckoutPaid({ payment_status: 'paid' }), true);
+  assert.equal(isCheckoutPaid({ payment_status: 'no_payment_required' }), true);
+  assert.equal(isCheckoutPaid({ payment_status: 'unpaid' }), false);
+  assert.equal(isCheckoutPaid({}), false);
+  assert.equal(isCheckoutPaid(null), false);
+});
+
+test('getCheckoutPlan: reads metadata with safe defaults', () => {
+  assert.deepEqual(getCheckoutPlan({ metadata: { tier: 'pro', months: '3', max_devices: '2' } }), { tier: 'pro', months: 3, maxDevices: 2 });
+  assert.deepEqual(getCheckoutPlan({ metadata: { months: '0', max_devices: 'x' } }), { tier: null, months: 1, maxDevices: 1 });
+  assert.deepEqual(getCheckoutPlan(null), { tier: null, months: 1, maxDevices: 1 });
+});
+
+test('getInvoiceMonths: months covered by the recurring price', () => {
+  const invoice = (recurring) => ({ lines: { data: [{ price: {} }, { price: { recurring } }] } });
+  assert.equal(getInvoiceMonths(invoice({ interval: 'month' })), 1);
+  assert.equal(getInvoiceMonths(invoice({ interval: 'month', interval_count: 3 })), 3);
+  assert.equal(getInvoiceMonths(invoice({ interval: 'year' })), 12);
+  assert.equal(getInvoiceMonths(invoice({ interval: 'week' })), null);
+  assert.equal(getInvoiceMonths({ lines: { data: [] } }), null);
+});
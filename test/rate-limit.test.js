@@ -0,0 +1,117 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryCounterStore, createRateLimiter, getLicenseRateLimitKeys } from '../lib/rate-limit.js';
+
+const realNow = Date.now;
+const { log, error } = console;
+
+// Start on a bucket boundary so tests can step through the window deterministically
+let now;
+const advance = (seconds) => { now += seconds * 1000; };
+
+beforeEach(() => {
+  now = Math.ceil(realNow() / 3600000) * 3600000;
+  Date.now = () => now;
+  console.log = () => {};
+  console.error = () => {};
+});
+
+afterEach(() => {
+  Date.now = realNow;
+  Object.assign(console, { log, error });
+});
+
+test('memory counter store: counts within the current bucket', async () => {
+  const store = createMemoryCounterStore();
+
+  assert.equal((await store.increment('k', 60)).count, 1);
+  assert.equal((await store.increment('k', 60)).count, 2);
+  assert.equal((await store.increment('other', 60)).count, 1);
+  assert.equal((await store.increment('k', 60)).resetAt, now + 60 * 1000);
+});
+
+test('memory counter store: the previous bucket is weighted by its overlap with the window', async () => {
+  const store = createMemoryCounterStore();
+  for (let i = 0; i < 10; i++) await store.increment('k', 60);
+
+  advance(60 + 15); // a quarter into the next bucket: 3/4 of the previous one still counts
+  assert.equal((await store.increment('k', 60)).count, Math.floor(10 * 0.75) + 1);
+
+  advance(30); // three quarters in
+  assert.equal((await store.increment('k', 60)).count, Math.floor(10 * 0.25) + 2);
+});
+
+test('memory counter store: buckets older than one window are dropped', async () => {
+  const store = createMemoryCounterStore();
+  for (let i = 0; i < 10; i++) await store.increment('k', 60);
+
+  advance(120);
+  assert.equal((await store.increment('k', 60)).count, 1);
+});
+
+test('memory counter store: locks out past the threshold, doubling per failure', async () => {
+  const store = createMemoryCounterStore();
+  const lockout = { threshold: 2, baseSeconds: 60, maxSeconds: 150 };
+
+  assert.equal((await store.increment('k', 3600, lockout)).lockedUntil, 0);
+  assert.equal((await store.increment('k', 3600, lockout)).lockedUntil, now + 60 * 1000);
+  assert.equal((await store.increment('k', 3600, lockout)).lockedUntil, now + 120 * 1000);
+  assert.equal((await store.increment('k', 3600, lockout)).lockedUntil, now + 150 * 1000);
+  assert.equal(await store.getLockedUntil('k'), now + 150 * 1000);
+  assert.equal(await store.getLockedUntil('missing'), 0);
+});
+
+test('rate limiter: allows maxRequests per window, then reports Retry-After', async () => {
+  const limiter = createRateLimiter(createMemoryCounterStore(), { windowSeconds: 60, maxRequests: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(await limiter.check(['ip']), { allowed: true, retryAfter: 0 });
+  }
+
+  advance(20);
+  assert.deepEqual(await limiter.check(['ip']), { allowed: false, retryAfter: 40 });
+});
+
+test('rate limiter: a burst across a bucket boundary cannot reach twice the limit', async () => {
+  const limiter = createRateLimiter(createMemoryCounterStore(), { windowSeconds: 60, maxRequests: 10 });
+
+  advance(59);
+  for (let i = 0; i < 10; i++) assert.equal((await limiter.check(['ip'])).allowed, true);
+
+  advance(2);
+  let allowed = 0;
+  for (let i = 0; i < 10; i++) if ((await limiter.check(['ip'])).allowed) allowed++;
+  assert.ok(allowed <= 1, `${allowed} requests allowed right after the boundary`);
+});
+
+test('rate limiter: every key is counted and the strictest one decides', async () => {
+  const limiter = createRateLimiter(createMemoryCounterStore(), { windowSeconds: 60, maxRequests: 1 });
+
+  assert.equal((await limiter.check(getLicenseRateLimitKeys('1.2.3.4', 'device-a'))).allowed, true);
+  assert.equal((await limiter.check(getLicenseRateLimitKeys('5.6.7.8', 'device-a'))).allowed, false);
+  assert.equal((await limiter.check(getLicenseRateLimitKeys('9.9.9.9', null))).allowed, true);
+});
+
+test('rate limiter: failures lock the key out until the lockout ends', async () => {
+  const limiter = createRateLimiter(createMemoryCounterStore(), { failureThreshold: 2, baseLockoutSeconds: 60 });
+
+  await limiter.recordFailure(['ip']);
+  assert.equal((await limiter.check(['ip'])).allowed, true);
+
+  await limiter.recordFailure(['ip']);
+  assert.deepEqual(await limiter.check(['ip']), { allowed: false, retryAfter: 60 });
+
+  advance(61);
+  assert.equal((await limiter.check(['ip'])).allowed, true);
+});
+
+test('rate limiter: fails open when the store is down', async () => {
+  const broken = {
+    increment: async () => { throw new Error('down'); },
+    getLockedUntil: async () => { throw new Error('down'); }
+  };
+  const limiter = createRateLimiter(broken, { maxRequests: 0 });
+
+  assert.deepEqual(await limiter.check(['ip']), { allowed: true, retryAfter: 0 });
+  await limiter.recordFailure(['ip']);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, getRolloutBucket, isInRollout, selectRelease } from '../lib/releases.js';
+
+const deviceIds = Array.from({ length: 1000 }, (_, i) => `device-${i}`);
+
+test('compareVersions: numeric, with missing parts treated as 0', () => {
+  assert.equal(compareVersions('1.2.3', '1.3.0'), -1);
+  assert.equal(compareVersions('1.10.0', '1.9.9'), 1);
+  assert.equal(compareVersions('1.2', '1.2.0'), 0);
+  assert.equal(compareVersions(null, '1.0'), 0);
+});
+
+test('getRolloutBucket: deterministic, 0-99, salted by version', () => {
+  const buckets = deviceIds.map(deviceId => getRolloutBucket(deviceId, '2.0.0'));
+
+  assert.deepEqual(deviceIds.map(deviceId => getRolloutBucket(deviceId, '2.0.0')), buckets);
+  assert.ok(buckets.every(bucket => Number.isInteger(bucket) && bucket >= 0 && bucket < 100));
+  assert.notDeepEqual(deviceIds.map(deviceId => getRolloutBucket(deviceId, '2.0.1')), buckets);
+});
+
+test('getRolloutBucket: spreads devices roughly evenly', () => {
+  const inFirstQuarter = deviceIds.filter(deviceId => getRolloutBucket(deviceId, '2.0.0') < 25).length;
+  assert.ok(inFirstQuarter > 180 && inFirstQuarter < 320, `${inFirstQuarter} of 1000 devices below 25`);
+});
+
+test('isInRollout: raising the percentage only adds devices', () => {
+  let previous = new Set();
+  for (const percentage of [0, 10, 50, 90, 100]) {
+    const included = new Set(deviceIds.filter(deviceId => isInRollout({ version: '2.0.0', rollout_percentage: percentage }, deviceId)));
+    for (const deviceId of previous) assert.ok(included.has(deviceId), `${deviceId} dropped at ${percentage}%`);
+    previous = included;
+  }
+
+  assert.equal(previous.size, deviceIds.length);
+  assert.ok(deviceIds.every(deviceId => !isInRollout({ version: '2.0.0', rollout_percentage: 0 }, deviceId)));
+});
+
+test('isInRollout: a missing percentage means fully rolled out', () => {
+  assert.ok(deviceIds.every(deviceId => isInRollout({ version: '2.0.0' }, deviceId)));
+});
+
+test('selectRelease: newest release on the channel whose rollout includes the device', () => {
+  const releases = [
+    { version: '2.1.0', channel: 'beta', rollout_percentage: 100 },
+    { version: '2.0.0', channel: 'stable', rollout_percentage: 0 },
+    { version: '1.9.0', channel: 'stable', rollout_percentage: 100 }
+  ];
+
+  assert.equal(selectRelease(releases, 'device-1').version, '1.9.0');
+  assert.equal(selectRelease(releases, 'device-1', 'stable').version, '1.9.0');
+  assert.equal(selectRelease(releases, 'device-1', 'beta').version, '2.1.0');
+});
+
+test('selectRelease: beta also receives newer stable releases', () => {
+  const releases = [
+    { version: '2.2.0', channel: 'stable', rollout_percentage: 100 },
+    { version: '2.1.0', channel: 'beta', rollout_percentage: 100 }
+  ];
+
+  assert.equal(selectRelease(releases, 'device-1', 'beta').version, '2.2.0');
+});
+
+test('selectRelease: rows without a channel are stable, unknown channels fall back to stable', () => {
+  const releases = [
+    { version: '2.1.0', channel: 'beta' },
+    { version: '2.0.0' }
+  ];
+
+  assert.equal(selectRelease(releases, 'device-1', 'nightly').version, '2.0.0');
+});
+
+test('selectRelease: null when nothing applies', () => {
+  assert.equal(selectRelease([], 'device-1'), null);
+  assert.equal(selectRelease(null, 'device-1'), null);
+  assert.equal(selectRelease([{ version: '2.0.0', channel: 'beta' }], 'device-1'), null);
+});
+
+test('selectRelease: a partial rollout splits devices between releases', () => {
+  const releases = [
+    { version: '2.0.0', channel: 'stable', rollout_percentage: 30 },
+    { version: '1.9.0', channel: 'stable', rollout_percentage: 100 }
+  ];
+
+  for (const deviceId of deviceIds.slice(0, 200)) {
+    const expected = getRolloutBucket(deviceId, '2.0.0') < 30 ? '2.0.0' : '1.9.0';
+    assert.equal(selectRelease(releases, deviceId).version, expected);
+  }
+});
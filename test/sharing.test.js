@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreActivity } from '../lib/sharing.js';
+
+const config = { maxIpsPerSeat: 3, maxCountriesPerSeat: 1, maxUserAgentsPerSeat: 2 };
+
+const activity = ({ ips = 0, countries = 0, userAgents = 0, devices = 0 }) => ({ ips, countries, userAgents, devices });
+
+test('scoreActivity: 0 while everything is within the seat allowance', () => {
+  assert.equal(scoreActivity(activity({ ips: 3, countries: 1, userAgents: 2, devices: 1 }), 1, config), 0);
+  assert.equal(scoreActivity(activity({}), 1, config), 0);
+});
+
+test('scoreActivity: weighs each excess IP, country, user agent and device', () => {
+  assert.equal(scoreActivity(activity({ ips: 4, countries: 1, userAgents: 2, devices: 1 }), 1, config), 2);
+  assert.equal(scoreActivity(activity({ ips: 3, countries: 2, userAgents: 2, devices: 1 }), 1, config), 5);
+  assert.equal(scoreActivity(activity({ ips: 3, countries: 1, userAgents: 3, devices: 1 }), 1, config), 2);
+  assert.equal(scoreActivity(activity({ ips: 3, countries: 1, userAgents: 2, devices: 2 }), 1, config), 5);
+  assert.equal(scoreActivity(activity({ ips: 6, countries: 3, userAgents: 4, devices: 3 }), 1, config), 3 * 2 + 2 * 5 + 2 * 2 + 2 * 5);
+});
+
+test('scoreActivity: thresholds scale with seats', () => {
+  const spread = activity({ ips: 6, countries: 2, userAgents: 4, devices: 2 });
+  assert.ok(scoreActivity(spread, 1, config) > 0);
+  assert.equal(scoreActivity(spread, 2, config), 0);
+});
+
+test('scoreActivity: follows the configured thresholds', () => {
+  const spread = activity({ ips: 5, countries: 1, userAgents: 1, devices: 1 });
+  assert.equal(scoreActivity(spread, 1, config), 4);
+  assert.equal(scoreActivity(spread, 1, { ...config, maxIpsPerSeat: 5 }), 0);
+});
@@ -0,0 +1,172 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createFixtureProvider,
+  createFailoverProvider,
+  createTwitterApiProvider,
+  normalizeUser
+} from '../lib/twitter-providers.js';
+import { UpstreamError, UPSTREAM_ERRORS } from '../lib/upstream.js';
+
+const { warn } = console;
+const fixtures = createFixtureProvider();
+
+// A second fixture directory, so failover can be driven by what each provider's files say
+let dir;
+
+async function writeFixture(subdirectory, id, data) {
+  await mkdir(join(dir, subdirectory), { recursive: true });
+  await writeFile(join(dir, subdirectory, `${id}.json`), JSON.stringify(data));
+}
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'honed-fixtures-'));
+  await writeFixture('user', 'honeddev', { $status: 503 });
+  await writeFixture('user', 'legacyshape', { $status: 429, $retryAfter: 12 });
+  await writeFixture('user', 'ratelimited', { $status: 503 });
+  await writeFixture('tweet', '1850000000000000001', { $status: 503 });
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  console.warn = () => {};
+});
+
+afterEach(() => {
+  console.warn = warn;
+});
+
+test('fixture provider: normalizes a twitterapi.io user', async () => {
+  const { provider, user, raw } = await fixtures.getUser('HONEDDEV');
+
+  assert.equal(provider, 'fixture');
+  assert.equal(raw.data.userName, 'HonedDev');
+  assert.deepEqual(user, {
+    id: '1500000000000000001',
+    userName: 'HonedDev',
+    name: 'Honed Dev',
+    description: 'Fixture account for local development',
+    profilePicture: 'https://pbs.twimg.com/profile_images/1500000000000000001/fixture_normal.jpg',
+    coverPicture: 'https://pbs.twimg.com/profile_banners/1500000000000000001/1700000000',
+    followers: 12840,
+    following: 312,
+    verified: false,
+    isBlueVerified: true,
+    createdAt: 'Tue Mar 01 12:00:00 +0000 2022'
+  });
+});
+
+test('fixture provider: normalizes snake_case user fields and keeps zero counts', async () => {
+  const { user } = await fixtures.getUser('LegacyShape');
+
+  assert.equal(user.id, '1500000000000000002');
+  assert.equal(user.userName, 'LegacyShape');
+  assert.equal(user.name, 'Legacy Shape');
+  assert.equal(user.description, 'Snake-case fields, as some older responses used');
+  assert.equal(user.followers, 0);
+  assert.equal(user.following, 5);
+  assert.equal(user.coverPicture, null);
+});
+
+test('normalizeUser: reads v2 public_metrics', () => {
+  const user = normalizeUser({ id: 42, username: 'v2user', public_metrics: { followers_count: 7, following_count: 3 } });
+
+  assert.equal(user.id, '42');
+  assert.equal(user.userName, 'v2user');
+  assert.equal(user.followers, 7);
+  assert.equal(user.following, 3);
+  assert.equal(user.description, '');
+});
+
+test('fixture provider: normalizes a community with its admin and creator', async () => {
+  const { community } = await fixtures.getCommunity('1800000000000000001');
+
+  assert.equal(community.id, '1800000000000000001');
+  assert.equal(community.name, 'Honed Fixture Community');
+  assert.equal(community.avatarUrl, null);
+  assert.equal(community.memberCount, 842);
+  assert.equal(community.admin.userName, 'HonedDev');
+  assert.equal(community.creator.id, '1500000000000000001');
+});
+
+test('fixture provider: normalizes a tweet, its author, replies, quote and media', async () => {
+  const { tweet } = await fixtures.getTweet('1850000000000000001');
+
+  assert.equal(tweet.id, '1850000000000000001');
+  assert.equal(tweet.author.userName, 'HonedDev');
+  assert.deepEqual(
+    [tweet.likes, tweet.retweets, tweet.replies, tweet.quotes, tweet.views, tweet.bookmarks],
+    [230, 12, 4, 2, 18040, 9]
+  );
+  assert.equal(tweet.quotedTweetId, '1840000000000000001');
+  assert.equal(tweet.inReplyToId, '1849999999999999999');
+  assert.equal(tweet.inReplyToUserName, 'LegacyShape');
+  assert.equal(tweet.conversationId, '1849999999999999999');
+  assert.deepEqual(tweet.media, [
+    { type: 'photo', url: 'https://pbs.twimg.com/media/fixture-photo.jpg', previewUrl: 'https://pbs.twimg.com/media/fixture-photo.jpg' },
+    {
+      type: 'video',
+      url: 'https://video.twimg.com/ext_tw_video/fixture/pu/vid/720x1280/high.mp4',
+      previewUrl: 'https://pbs.twimg.com/ext_tw_video_thumb/fixture/pu/img/fixture.jpg'
+    }
+  ]);
+});
+
+test('fixture provider: missing, deleted and suspended records are NOT_FOUND', async () => {
+  await assert.rejects(fixtures.getUser('nobody'), { code: UPSTREAM_ERRORS.NOT_FOUND, reason: 'not_found' });
+  await assert.rejects(fixtures.getUser('../user/honeddev'), { code: UPSTREAM_ERRORS.NOT_FOUND });
+  await assert.rejects(fixtures.getTweet('1850000000000000002'), { code: UPSTREAM_ERRORS.NOT_FOUND });
+  await assert.rejects(fixtures.getUser('SuspendedUser'), { code: UPSTREAM_ERRORS.NOT_FOUND, reason: 'suspended' });
+});
+
+test('fixture provider: simulated outages and rate limits', async () => {
+  await assert.rejects(fixtures.getUser('outage'), { code: UPSTREAM_ERRORS.UNAVAILABLE, status: 503 });
+  await assert.rejects(fixtures.getUser('ratelimited'), { code: UPSTREAM_ERRORS.RATE_LIMITED, status: 429, retryAfter: 30 });
+});
+
+test('twitterapi provider: a 200 error body is NOT_FOUND only when it says so', async () => {
+  const responses = {
+    missing: { status: 'error', msg: 'User is not found' },
+    failing: { status: 'error', msg: 'Internal error' }
+  };
+  const provider = createTwitterApiProvider({ name: 'stub', request: async (path, params) => responses[params.userName] });
+
+  await assert.rejects(provider.getUser('missing'), { code: UPSTREAM_ERRORS.NOT_FOUND });
+  await assert.rejects(provider.getUser('failing'), { code: UPSTREAM_ERRORS.UNAVAILABLE, message: 'Internal error' });
+});
+
+test('failover: outages and rate limits move on to the next provider', async () => {
+  const provider = createFailoverProvider([createFixtureProvider(dir), fixtures]);
+
+  assert.equal(provider.name, 'fixture,fixture');
+  assert.equal((await provider.getUser('HonedDev')).user.id, '1500000000000000001');
+  assert.equal((await provider.getUser('LegacyShape')).user.id, '1500000000000000002');
+  assert.equal((await provider.getTweet('1850000000000000001')).tweet.likes, 230);
+});
+
+test('failover: NOT_FOUND is authoritative and is not retried elsewhere', async () => {
+  const calls = [];
+  const secondary = {
+    name: 'secondary',
+    getUser: async (userName) => { calls.push(userName); return { provider: 'secondary', user: { userName } }; }
+  };
+  const provider = createFailoverProvider([fixtures, secondary]);
+
+  await assert.rejects(provider.getUser('nobody'), { code: UPSTREAM_ERRORS.NOT_FOUND });
+  assert.deepEqual(calls, []);
+});
+
+test('failover: the last failure is thrown when every provider fails', async () => {
+  const provider = createFailoverProvider([fixtures, createFixtureProvider(dir)]);
+
+  const error = await provider.getUser('ratelimited').catch(error => error);
+  assert.ok(error instanceof UpstreamError);
+  assert.equal(error.code, UPSTREAM_ERRORS.UNAVAILABLE);
+  assert.equal(error.status, 503);
+});
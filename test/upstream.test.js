@@ -0,0 +1,152 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  UPSTREAM_ERRORS,
+  BREAKER_DEFAULTS,
+  UpstreamError,
+  fetchUpstreamJson,
+  getUpstreamErrorResponse
+} from '../lib/upstream.js';
+
+const realFetch = globalThis.fetch;
+const realNow = Date.now;
+const { log, warn } = console;
+
+// Each test gets its own upstream name, so breaker state never leaks between tests
+let upstream = 0;
+let name;
+let calls;
+
+// Queue responses (the last one repeats): a number is a status with an empty JSON body, an Error
+// is thrown by fetch, a Response is returned as a fresh copy
+function stubFetch(...responses) {
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, options });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    if (typeof next === 'number') return new Response('{}', { status: next });
+    return next.clone();
+  };
+}
+
+const fetchJson = (options = {}) => fetchUpstreamJson('https://upstream.test/user', { name, retries: 0, baseDelayMs: 1, ...options });
+
+beforeEach(() => {
+  name = `upstream-${++upstream}`;
+  calls = [];
+  console.warn = () => {};
+  console.log = () => {};
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  Date.now = realNow;
+  Object.assign(console, { log, warn });
+});
+
+test('fetchUpstreamJson: returns the parsed body and sends the headers', async () => {
+  stubFetch(Response.json({ data: { userName: 'honed' } }));
+
+  assert.deepEqual(await fetchJson({ headers: { 'X-API-Key': 'k' } }), { data: { userName: 'honed' } });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].options.headers['X-API-Key'], 'k');
+});
+
+test('fetchUpstreamJson: retries 5xx and network errors', async () => {
+  stubFetch(502, new TypeError('fetch failed'), Response.json({ ok: true }));
+
+  assert.deepEqual(await fetchJson({ retries: 2 }), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('fetchUpstreamJson: gives up after the configured retries', async () => {
+  stubFetch(503);
+
+  await assert.rejects(fetchJson({ retries: 1 }), { code: UPSTREAM_ERRORS.UNAVAILABLE, status: 503 });
+  assert.equal(calls.length, 2);
+});
+
+test('fetchUpstreamJson: 404 is NOT_FOUND and never retried', async () => {
+  stubFetch(404);
+
+  await assert.rejects(fetchJson({ retries: 2 }), { code: UPSTREAM_ERRORS.NOT_FOUND, reason: 'not_found' });
+  assert.equal(calls.length, 1);
+});
+
+test('fetchUpstreamJson: a long Retry-After is passed on instead of waited out', async () => {
+  stubFetch(new Response('{}', { status: 429, headers: { 'Retry-After': '60' } }));
+
+  await assert.rejects(fetchJson({ retries: 2 }), { code: UPSTREAM_ERRORS.RATE_LIMITED, retryAfter: 60 });
+  assert.equal(calls.length, 1);
+});
+
+test('breaker: opens after failureThreshold consecutive outages and fails fast', async () => {
+  stubFetch(500);
+
+  for (let i = 1; i < BREAKER_DEFAULTS.failureThreshold; i++) {
+    await assert.rejects(fetchJson(), error => error.code === UPSTREAM_ERRORS.UNAVAILABLE && !error.retryAfter);
+  }
+  await assert.rejects(fetchJson(), { code: UPSTREAM_ERRORS.UNAVAILABLE, retryAfter: BREAKER_DEFAULTS.openSeconds });
+  assert.equal(calls.length, BREAKER_DEFAULTS.failureThreshold);
+
+  await assert.rejects(fetchJson(), error => error.code === UPSTREAM_ERRORS.UNAVAILABLE && error.retryAfter > 0);
+  assert.equal(calls.length, BREAKER_DEFAULTS.failureThreshold, 'no request while the circuit is open');
+});
+
+test('breaker: answers that prove upstream is up reset the failure count', async () => {
+  stubFetch(500);
+  for (let i = 1; i < BREAKER_DEFAULTS.failureThreshold; i++) {
+    await assert.rejects(fetchJson());
+  }
+
+  stubFetch(404);
+  await assert.rejects(fetchJson(), { code: UPSTREAM_ERRORS.NOT_FOUND });
+
+  stubFetch(500);
+  await assert.rejects(fetchJson(), error => !error.retryAfter);
+});
+
+test('breaker: lets one probe through after openSeconds; success closes it', async () => {
+  stubFetch(500);
+  for (let i = 0; i < BREAKER_DEFAULTS.failureThreshold; i++) {
+    await assert.rejects(fetchJson());
+  }
+
+  const reopenAt = realNow() + BREAKER_DEFAULTS.openSeconds * 1000 + 1;
+  Date.now = () => reopenAt;
+
+  stubFetch(Response.json({ ok: true }));
+  assert.deepEqual(await fetchJson(), { ok: true });
+  assert.deepEqual(await fetchJson(), { ok: true });
+});
+
+test('breaker: a failed probe opens the circuit again', async () => {
+  stubFetch(500);
+  for (let i = 0; i < BREAKER_DEFAULTS.failureThreshold; i++) {
+    await assert.rejects(fetchJson());
+  }
+
+  const reopenAt = realNow() + BREAKER_DEFAULTS.openSeconds * 1000 + 1;
+  Date.now = () => reopenAt;
+
+  await assert.rejects(fetchJson(), { retryAfter: BREAKER_DEFAULTS.openSeconds });
+  const probes = calls.length;
+
+  await assert.rejects(fetchJson(), { code: UPSTREAM_ERRORS.UNAVAILABLE });
+  assert.equal(calls.length, probes, 'no request after the failed probe');
+});
+
+test('getUpstreamErrorResponse: maps each error to its response', () => {
+  assert.deepEqual(
+    getUpstreamErrorResponse(new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, 'Not found', { reason: 'suspended' })),
+    { status: 404, body: { error: 'USER_NOT_FOUND', reason: 'suspended', message: 'This account is suspended.' }, retryAfter: null }
+  );
+  assert.equal(getUpstreamErrorResponse(new UpstreamError(UPSTREAM_ERRORS.NOT_FOUND, 'Not found'), 'TWEET_NOT_FOUND').body.error, 'TWEET_NOT_FOUND');
+
+  const rateLimited = getUpstreamErrorResponse(new UpstreamError(UPSTREAM_ERRORS.RATE_LIMITED, 'Limited', { retryAfter: 7 }));
+  assert.equal(rateLimited.status, 429);
+  assert.equal(rateLimited.retryAfter, 7);
+
+  assert.equal(getUpstreamErrorResponse(new UpstreamError(UPSTREAM_ERRORS.UNAVAILABLE, 'Down')).status, 503);
+  assert.equal(getUpstreamErrorResponse(new Error('boom')).status, 500);
+});